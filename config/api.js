@@ -6,6 +6,9 @@
 // - CORS_ORIGIN: Additional CORS origin (optional)
 // - JWT_SECRET: Secret key for JWT tokens
 // - JWT_EXPIRE: JWT expiration time (default: '7d')
+// - JWT_REFRESH_SECRET: Secret key for refresh tokens (defaults to JWT_SECRET)
+// - JWT_REFRESH_EXPIRE: Refresh token expiration time (default: '30d')
+// - ADMIN_API_KEYS: Comma-separated API keys for back-office scripts (optional)
 const API_BASE_URL = process.env.API_BASE_URL || process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
 
 // Determine environment
@@ -39,6 +42,18 @@ const CORS_ORIGINS = [
 // JWT configuration
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 const JWT_EXPIRE = process.env.JWT_EXPIRE || '7d';
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || JWT_SECRET;
+const JWT_REFRESH_EXPIRE = process.env.JWT_REFRESH_EXPIRE || '30d';
+
+// API keys for back-office scripts (sent in the X-Api-Key header)
+const ADMIN_API_KEYS = (process.env.ADMIN_API_KEYS || '')
+  .split(',')
+  .map(key => key.trim())
+  .filter(Boolean);
+
+// Cookie names for the session tokens
+const AUTH_COOKIE_NAME = 'token';
+const REFRESH_COOKIE_NAME = 'refreshToken';
 
 // Cookie configuration - works across all subdomains
 // For cross-origin cookies (different subdomains like api.vos.local -> vos.local),
@@ -85,12 +100,41 @@ const getCookieOptions = () => {
 
 const COOKIE_OPTIONS = getCookieOptions();
 
+// Refresh cookie lives longer and is only sent to the auth routes
+const REFRESH_COOKIE_OPTIONS = {
+  ...COOKIE_OPTIONS,
+  maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+  path: '/api/auth'
+};
+
+// Per-IP limits for public endpoints that could be used to guess data
+const RATE_LIMITS = {
+  orderTracking: {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: Number(process.env.ORDER_TRACKING_RATE_LIMIT) || 20
+  }
+};
+
+// Page sizes for the admin listing endpoints (see utils/listing.js)
+const PAGINATION = {
+  defaultLimit: 25,
+  maxLimit: 100
+};
+
 module.exports = {
   API_BASE_URL,
   CORS_ORIGINS,
   COOKIE_DOMAIN,
   JWT_SECRET,
   JWT_EXPIRE,
-  COOKIE_OPTIONS
+  JWT_REFRESH_SECRET,
+  JWT_REFRESH_EXPIRE,
+  ADMIN_API_KEYS,
+  AUTH_COOKIE_NAME,
+  REFRESH_COOKIE_NAME,
+  COOKIE_OPTIONS,
+  REFRESH_COOKIE_OPTIONS,
+  RATE_LIMITS,
+  PAGINATION
 };
 
@@ -0,0 +1,20 @@
+// Cart lifecycle configuration
+// Environment Variables:
+// - CART_EXPIRY_DAYS: Pending cart items untouched for this long are deleted (default: 60)
+// - ABANDONED_CART_AFTER_HOURS: Idle time before the first reminder (default: 24)
+// - ABANDONED_CART_MAX_REMINDERS: Reminders per abandoned cart (default: 2)
+// - ABANDONED_CART_INTERVAL_HOURS: Time between reminders (default: 72)
+const CART_EXPIRY_DAYS = Number(process.env.CART_EXPIRY_DAYS) || 60;
+
+const ABANDONED_CART = {
+  afterHours: Number(process.env.ABANDONED_CART_AFTER_HOURS) || 24,
+  maxReminders: Number(process.env.ABANDONED_CART_MAX_REMINDERS) || 2,
+  intervalHours: Number(process.env.ABANDONED_CART_INTERVAL_HOURS) || 72,
+  // Carts processed per run, to fit serverless time limits
+  batchSize: 200
+};
+
+module.exports = {
+  CART_EXPIRY_DAYS,
+  ABANDONED_CART
+};
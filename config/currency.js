@@ -0,0 +1,16 @@
+// Currency configuration
+// Environment Variables:
+// - EXCHANGE_RATES_FILE: Path to a JSON file admins can load rates from (optional)
+//   Format: { "base": "USD", "rates": { "SGD": 1.35 } }
+const SUPPORTED_CURRENCIES = ['USD', 'SGD'];
+
+// Rates are stored as units of each currency per 1 unit of the base currency
+const BASE_CURRENCY = 'USD';
+
+const EXCHANGE_RATES_FILE = process.env.EXCHANGE_RATES_FILE || null;
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  BASE_CURRENCY,
+  EXCHANGE_RATES_FILE
+};
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+// Checkout runs in a transaction (see utils/checkout.placeOrder), so MONGODB_URI must point at a
+// replica set - Atlas, or a local mongod started with --replSet
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI, {
@@ -0,0 +1,13 @@
+// Saved design library configuration
+// Environment Variables:
+// - DESIGN_LIBRARY_MAX_DESIGNS: Designs one customer or guest may keep (default: 200)
+const DESIGN_LIBRARY = {
+  maxDesigns: Number(process.env.DESIGN_LIBRARY_MAX_DESIGNS) || 200,
+  nameMaxLength: 100,
+  // Customizer state is small JSON (layer positions, zoom, colors...); the artwork lives in storage
+  maxConfigurationBytes: 64 * 1024
+};
+
+module.exports = {
+  DESIGN_LIBRARY
+};
@@ -0,0 +1,42 @@
+// Email configuration
+// Environment Variables:
+// - EMAIL_TRANSPORT: 'brevo' or 'mock' (defaults to brevo when BREVO_API_KEY is set, mock otherwise)
+// - BREVO_API_KEY: Brevo (Sendinblue) API key
+// - EMAIL_FROM / EMAIL_FROM_NAME: Sender address and name
+// - FRONTEND_URL: Storefront URL used for links in emails
+// - EMAIL_LINK_SECRET: Secret for signed unsubscribe links (defaults to JWT_SECRET)
+// - EMAIL_MOCK_FAIL: Make the mock transport fail every send, to exercise outbox retries
+const { JWT_SECRET, API_BASE_URL } = require('./api');
+
+const BREVO_API_KEY = process.env.BREVO_API_KEY || null;
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || (BREVO_API_KEY ? 'brevo' : 'mock');
+
+const EMAIL_FROM = {
+  email: process.env.EMAIL_FROM || 'no-reply@evogearstudio.com',
+  name: process.env.EMAIL_FROM_NAME || 'EvoGear Studio'
+};
+
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'https://evogearstudio.com').replace(/\/$/, '');
+const EMAIL_LINK_SECRET = process.env.EMAIL_LINK_SECRET || JWT_SECRET;
+
+// Where unsubscribe links point (GET /api/email/unsubscribe)
+const UNSUBSCRIBE_URL = `${API_BASE_URL.replace(/\/$/, '')}/email/unsubscribe`;
+
+// Outbox delivery: attempt n waits baseDelayMinutes * 2^(n-1) after the previous failure
+const EMAIL_OUTBOX = {
+  maxAttempts: Number(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS) || 6,
+  baseDelayMinutes: 5,
+  // A send stuck in 'sending' this long (crashed worker) is picked up again
+  lockMinutes: 10,
+  batchSize: 50
+};
+
+module.exports = {
+  BREVO_API_KEY,
+  EMAIL_TRANSPORT,
+  EMAIL_FROM,
+  FRONTEND_URL,
+  EMAIL_LINK_SECRET,
+  UNSUBSCRIBE_URL,
+  EMAIL_OUTBOX
+};
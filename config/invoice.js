@@ -0,0 +1,42 @@
+// Invoice configuration
+// Environment Variables:
+// - COMPANY_NAME: Legal name printed on invoices (default: 'EvoGear Studio')
+// - COMPANY_ADDRESS: Company address, lines separated by '|'
+// - COMPANY_EMAIL / COMPANY_WEBSITE: Contact details printed on invoices
+// - COMPANY_TAX_ID: Tax registration number, e.g. the GST registration number (optional)
+// - COMPANY_TAX_ID_LABEL: Label for the tax number (default: 'GST Reg. No.')
+// - INVOICE_PREFIX: Prefix of invoice numbers (default: 'INV-')
+const { EMAIL_FROM, FRONTEND_URL } = require('./email');
+
+const COMPANY = {
+  name: process.env.COMPANY_NAME || 'EvoGear Studio',
+  addressLines: (process.env.COMPANY_ADDRESS || '')
+    .split('|')
+    .map(line => line.trim())
+    .filter(Boolean),
+  email: process.env.COMPANY_EMAIL || EMAIL_FROM.email,
+  website: process.env.COMPANY_WEBSITE || FRONTEND_URL,
+  taxId: process.env.COMPANY_TAX_ID || null,
+  taxIdLabel: process.env.COMPANY_TAX_ID_LABEL || 'GST Reg. No.'
+};
+
+// Invoice numbers are INV-000001, INV-000002... (see models/Counter.js)
+const INVOICE_NUMBER = {
+  prefix: process.env.INVOICE_PREFIX || 'INV-',
+  digits: 6,
+  counter: 'invoice',
+  // How long a request numbering an order holds it before another may take over
+  claimTimeoutMs: 30 * 1000,
+  // How long a concurrent request waits for the number to appear
+  waitTimeoutMs: 5000,
+  pollIntervalMs: 100
+};
+
+// Only orders that have been paid get an invoice
+const INVOICEABLE_PAYMENT_STATUSES = ['completed', 'refunded'];
+
+module.exports = {
+  COMPANY,
+  INVOICE_NUMBER,
+  INVOICEABLE_PAYMENT_STATUSES
+};
@@ -0,0 +1,16 @@
+// Scheduled job configuration
+// Environment Variables:
+// - CRON_SECRET: Bearer token Vercel Cron sends to the /api/jobs endpoints
+// - ARTWORK_GC_GRACE_HOURS: Minimum age before an unreferenced asset is deleted (default: 72)
+// - ARTWORK_GC_MAX_DELETES: Most assets deleted per run, to fit serverless time limits (default: 500)
+const CRON_SECRET = process.env.CRON_SECRET || null;
+
+const ARTWORK_GC = {
+  graceHours: Number(process.env.ARTWORK_GC_GRACE_HOURS) || 72,
+  maxDeletes: Number(process.env.ARTWORK_GC_MAX_DELETES) || 500
+};
+
+module.exports = {
+  CRON_SECRET,
+  ARTWORK_GC
+};
@@ -0,0 +1,22 @@
+// Order lifecycle configuration
+// Environment Variables:
+// - CANCELLATION_WINDOW_HOURS: How long after placing an order customers may cancel it themselves (default: 24)
+const CANCELLATION_WINDOW_HOURS = Number(process.env.CANCELLATION_WINDOW_HOURS) || 24;
+
+// Statuses in which a customer may still cancel (production must not have started either)
+const CUSTOMER_CANCELLABLE_STATUSES = ['pending', 'paymentFailed', 'processing'];
+
+// CartItem status for each Order.paymentStatus; items of unpaid cancelled orders go back to the cart
+const CART_STATUS_BY_PAYMENT = {
+  pending: 'ordered',
+  processing: 'ordered',
+  failed: 'paymentFailed',
+  completed: 'paymentSuccess',
+  refunded: 'cancelled'
+};
+
+module.exports = {
+  CANCELLATION_WINDOW_HOURS,
+  CUSTOMER_CANCELLABLE_STATUSES,
+  CART_STATUS_BY_PAYMENT
+};
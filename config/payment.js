@@ -0,0 +1,25 @@
+// Payment provider configuration
+// Environment Variables:
+// - PAYMENT_PROVIDER: 'stripe' or 'fake' (defaults to stripe in production, fake otherwise)
+// - STRIPE_SECRET_KEY: Stripe secret API key
+// - PAYMENT_WEBHOOK_SECRET: Secret the provider signs webhooks with (Stripe: whsec_...)
+// - PAYMENT_WEBHOOK_TOLERANCE_SECONDS: Oldest webhook signature timestamp accepted (default: 300)
+const isDevelopment = process.env.NODE_ENV !== 'production';
+
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || (isDevelopment ? 'fake' : 'stripe');
+
+const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || null;
+const STRIPE_API_URL = 'https://api.stripe.com/v1';
+
+const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET
+  || (isDevelopment ? 'dev-payment-webhook-secret' : null);
+
+const PAYMENT_WEBHOOK_TOLERANCE_SECONDS = Number(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+module.exports = {
+  PAYMENT_PROVIDER,
+  STRIPE_SECRET_KEY,
+  STRIPE_API_URL,
+  PAYMENT_WEBHOOK_SECRET,
+  PAYMENT_WEBHOOK_TOLERANCE_SECONDS
+};
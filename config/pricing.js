@@ -0,0 +1,76 @@
+// Mousepad price tables
+// Per-configuration prices live in the product catalog (models/Product, models/Variant);
+// the base tables here seed it (npm run seed:catalog) and are served until it has products.
+// Quantity discounts and the client tolerance always come from here.
+// Environment Variables:
+// - PRICING_CONFIG_FILE: Path to a JSON file that replaces the tables below (optional)
+//
+// Sizes are keyed as '<short>x<long>' in millimetres; '900x400' and '400x900' are the same pad.
+// All amounts are per unit in the table's currency.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PRICING = {
+  currencies: {
+    USD: {
+      basePrices: {
+        '250x300': 14.99,
+        '300x600': 22.99,
+        '300x800': 26.99,
+        '400x900': 34.99,
+        '500x1000': 44.99
+      },
+      thicknessSurcharges: {
+        '3mm': 0,
+        '4mm': 3,
+        '5mm': 5
+      },
+      typeSurcharges: {
+        normal: 0,
+        rgb: 15
+      }
+    },
+    SGD: {
+      basePrices: {
+        '250x300': 19.9,
+        '300x600': 30.9,
+        '300x800': 35.9,
+        '400x900': 46.9,
+        '500x1000': 59.9
+      },
+      thicknessSurcharges: {
+        '3mm': 0,
+        '4mm': 4,
+        '5mm': 7
+      },
+      typeSurcharges: {
+        normal: 0,
+        rgb: 20
+      }
+    }
+  },
+
+  // Discount applied to the unit price, highest matching tier wins
+  quantityDiscounts: [
+    { minQuantity: 1, percent: 0 },
+    { minQuantity: 5, percent: 5 },
+    { minQuantity: 10, percent: 10 }
+  ],
+
+  // Largest difference (in currency units) tolerated between client and server totals
+  tolerance: 0.01
+};
+
+const loadPricing = () => {
+  const file = process.env.PRICING_CONFIG_FILE;
+  if (!file) return DEFAULT_PRICING;
+
+  const raw = fs.readFileSync(path.resolve(file), 'utf8');
+  return { ...DEFAULT_PRICING, ...JSON.parse(raw) };
+};
+
+const PRICING = loadPricing();
+
+module.exports = {
+  PRICING
+};
@@ -0,0 +1,32 @@
+// Print-readiness thresholds for mousepad artwork
+const PRINT_REQUIREMENTS = {
+  // Bleed the printer needs beyond the trim edge, on every side
+  bleedMm: 3,
+
+  // Effective DPI at the printed size: below minDpi is blocked, below recommendedDpi warns
+  minDpi: 72,
+  recommendedDpi: 150,
+
+  // Relative aspect-ratio difference: above warn is flagged, above block is rejected
+  aspectTolerance: {
+    warn: 0.02,
+    block: 0.1
+  },
+
+  // Bytes fetched to read the header of an already-uploaded image
+  headerBytes: 256 * 1024,
+  fetchTimeoutMs: 5000
+};
+
+// Production packages sent to the print shop (see utils/production.js)
+// PRODUCTION_PACKAGE_MAX_ORDERS overrides the batch size limit
+const PRODUCTION_PACKAGE = {
+  maxOrders: Number(process.env.PRODUCTION_PACKAGE_MAX_ORDERS) || 50,
+  // Orders must be paid and not yet shipped
+  packageableStatuses: ['processing']
+};
+
+module.exports = {
+  PRINT_REQUIREMENTS,
+  PRODUCTION_PACKAGE
+};
@@ -0,0 +1,104 @@
+// Shipping zones and rates
+// Each zone lists the ISO country codes it covers; '*' is the fallback zone.
+// Rates are per order in each supported currency:
+// - flat:   amount
+// - weight: base + perKg * ceil(total weight in kg)
+const SHIPPING_ZONES = [
+  {
+    id: 'us',
+    countries: ['US'],
+    options: [
+      {
+        id: 'standard',
+        label: 'Standard (5-8 business days)',
+        type: 'flat',
+        estimatedDays: { min: 5, max: 8 },
+        amount: { USD: 5.99, SGD: 7.9 }
+      },
+      {
+        id: 'express',
+        label: 'Express (2-3 business days)',
+        type: 'weight',
+        estimatedDays: { min: 2, max: 3 },
+        base: { USD: 12, SGD: 16 },
+        perKg: { USD: 4, SGD: 5.5 }
+      }
+    ]
+  },
+  {
+    id: 'sg',
+    countries: ['SG'],
+    options: [
+      {
+        id: 'standard',
+        label: 'Standard (3-5 business days)',
+        type: 'flat',
+        estimatedDays: { min: 3, max: 5 },
+        amount: { USD: 3.99, SGD: 4.9 }
+      },
+      {
+        id: 'express',
+        label: 'Express (1-2 business days)',
+        type: 'flat',
+        estimatedDays: { min: 1, max: 2 },
+        amount: { USD: 8.99, SGD: 11.9 }
+      }
+    ]
+  },
+  {
+    id: 'international',
+    countries: ['*'],
+    options: [
+      {
+        id: 'standard',
+        label: 'International Standard (10-20 business days)',
+        type: 'weight',
+        estimatedDays: { min: 10, max: 20 },
+        base: { USD: 14, SGD: 18.9 },
+        perKg: { USD: 8, SGD: 10.9 }
+      },
+      {
+        id: 'express',
+        label: 'International Express (4-7 business days)',
+        type: 'weight',
+        estimatedDays: { min: 4, max: 7 },
+        base: { USD: 30, SGD: 40.9 },
+        perKg: { USD: 12, SGD: 16.5 }
+      }
+    ]
+  }
+];
+
+// Parcel weight estimate used by weight-based rates
+const PARCEL_WEIGHT = {
+  gramsPerSquareMetrePerMm: 400, // rubber base + cloth top
+  rgbExtraGrams: 120,            // LED strip and controller
+  packagingGrams: 150            // per order
+};
+
+// Country names accepted in customerInfo.address.country
+const COUNTRY_ALIASES = {
+  'united states': 'US',
+  'united states of america': 'US',
+  usa: 'US',
+  us: 'US',
+  singapore: 'SG',
+  sg: 'SG'
+};
+
+// Tracking page per carrier; {trackingNumber} is replaced when staff don't give a URL
+const CARRIERS = {
+  usps: { name: 'USPS', trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={trackingNumber}' },
+  ups: { name: 'UPS', trackingUrl: 'https://www.ups.com/track?tracknum={trackingNumber}' },
+  fedex: { name: 'FedEx', trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr={trackingNumber}' },
+  dhl: { name: 'DHL', trackingUrl: 'https://www.dhl.com/global-en/home/tracking.html?tracking-id={trackingNumber}' },
+  singpost: { name: 'SingPost', trackingUrl: 'https://www.singpost.com/track-items?trackingid={trackingNumber}' },
+  other: { name: 'Other', trackingUrl: null }
+};
+
+module.exports = {
+  SHIPPING_ZONES,
+  PARCEL_WEIGHT,
+  COUNTRY_ALIASES,
+  CARRIERS
+};
@@ -0,0 +1,50 @@
+// Artwork storage configuration
+// Environment Variables:
+// - STORAGE_DRIVER: 'cloudinary' or 'local' (defaults to cloudinary in production, local otherwise)
+// - STORAGE_FOLDER: Folder/prefix for uploaded artwork (default: 'mousepads')
+// - LOCAL_STORAGE_DIR: Directory used by the local driver (default: ./uploads)
+// - LOCAL_STORAGE_BASE_URL: Public URL the local files are served from (default: http://localhost:<PORT>/uploads)
+// - MAX_UPLOAD_BYTES: Largest accepted upload (default: 25MB)
+// - THUMBNAIL_WIDTH: Longest side of generated artwork thumbnails in pixels (default: 480)
+// - CART_IMAGE_MAX_AGE / ORDER_IMAGE_MAX_AGE: Browser cache lifetime of served artwork in seconds
+//   (defaults: 300 for cart items, which can change, and 86400 for orders, which can't)
+// - CLOUDINARY_CLOUD_NAME / CLOUDINARY_API_KEY / CLOUDINARY_API_SECRET: Cloudinary credentials
+const path = require('path');
+
+const isDevelopment = process.env.NODE_ENV !== 'production';
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || (isDevelopment ? 'local' : 'cloudinary');
+const STORAGE_FOLDER = process.env.STORAGE_FOLDER || 'mousepads';
+
+const LOCAL_STORAGE_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', 'uploads'));
+const LOCAL_STORAGE_BASE_URL = (process.env.LOCAL_STORAGE_BASE_URL
+  || `http://localhost:${process.env.PORT || 5000}/uploads`).replace(/\/$/, '');
+
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 25 * 1024 * 1024;
+
+const ALLOWED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+// Thumbnails are generated once per artwork and stored next to it
+const THUMBNAIL = {
+  size: Number(process.env.THUMBNAIL_WIDTH) || 480,
+  quality: 80,
+  folder: `${STORAGE_FOLDER}/thumbnails`
+};
+
+// Cache-Control max-age for GET /api/cart/:_id/image and GET /api/order/:_id/items/:idx/image
+const IMAGE_CACHE = {
+  cartMaxAgeSeconds: Number(process.env.CART_IMAGE_MAX_AGE) || 300,
+  orderMaxAgeSeconds: Number(process.env.ORDER_IMAGE_MAX_AGE) || 24 * 60 * 60,
+  fetchTimeoutMs: 15000
+};
+
+module.exports = {
+  STORAGE_DRIVER,
+  STORAGE_FOLDER,
+  LOCAL_STORAGE_DIR,
+  LOCAL_STORAGE_BASE_URL,
+  MAX_UPLOAD_BYTES,
+  ALLOWED_IMAGE_TYPES,
+  THUMBNAIL,
+  IMAGE_CACHE
+};
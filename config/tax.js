@@ -0,0 +1,71 @@
+// Sales tax configuration
+// Rates are percentages. US rates are the statewide base rate only (no local add-ons).
+// taxShipping: whether shipping charges are taxable in the jurisdiction.
+const TAX_RULES = {
+  SG: {
+    label: 'GST',
+    rate: 9,
+    taxShipping: true
+  },
+  US: {
+    label: 'Sales Tax',
+    taxShipping: false,
+    states: {
+      AL: { name: 'Alabama', rate: 4 },
+      AK: { name: 'Alaska', rate: 0 },
+      AZ: { name: 'Arizona', rate: 5.6 },
+      AR: { name: 'Arkansas', rate: 6.5 },
+      CA: { name: 'California', rate: 7.25 },
+      CO: { name: 'Colorado', rate: 2.9 },
+      CT: { name: 'Connecticut', rate: 6.35 },
+      DE: { name: 'Delaware', rate: 0 },
+      DC: { name: 'District of Columbia', rate: 6 },
+      FL: { name: 'Florida', rate: 6 },
+      GA: { name: 'Georgia', rate: 4 },
+      HI: { name: 'Hawaii', rate: 4 },
+      ID: { name: 'Idaho', rate: 6 },
+      IL: { name: 'Illinois', rate: 6.25 },
+      IN: { name: 'Indiana', rate: 7 },
+      IA: { name: 'Iowa', rate: 6 },
+      KS: { name: 'Kansas', rate: 6.5 },
+      KY: { name: 'Kentucky', rate: 6 },
+      LA: { name: 'Louisiana', rate: 4.45 },
+      ME: { name: 'Maine', rate: 5.5 },
+      MD: { name: 'Maryland', rate: 6 },
+      MA: { name: 'Massachusetts', rate: 6.25 },
+      MI: { name: 'Michigan', rate: 6 },
+      MN: { name: 'Minnesota', rate: 6.875 },
+      MS: { name: 'Mississippi', rate: 7 },
+      MO: { name: 'Missouri', rate: 4.225 },
+      MT: { name: 'Montana', rate: 0 },
+      NE: { name: 'Nebraska', rate: 5.5 },
+      NV: { name: 'Nevada', rate: 6.85 },
+      NH: { name: 'New Hampshire', rate: 0 },
+      NJ: { name: 'New Jersey', rate: 6.625 },
+      NM: { name: 'New Mexico', rate: 4.875 },
+      NY: { name: 'New York', rate: 4 },
+      NC: { name: 'North Carolina', rate: 4.75 },
+      ND: { name: 'North Dakota', rate: 5 },
+      OH: { name: 'Ohio', rate: 5.75 },
+      OK: { name: 'Oklahoma', rate: 4.5 },
+      OR: { name: 'Oregon', rate: 0 },
+      PA: { name: 'Pennsylvania', rate: 6 },
+      RI: { name: 'Rhode Island', rate: 7 },
+      SC: { name: 'South Carolina', rate: 6 },
+      SD: { name: 'South Dakota', rate: 4.2 },
+      TN: { name: 'Tennessee', rate: 7 },
+      TX: { name: 'Texas', rate: 6.25 },
+      UT: { name: 'Utah', rate: 6.1 },
+      VT: { name: 'Vermont', rate: 6 },
+      VA: { name: 'Virginia', rate: 5.3 },
+      WA: { name: 'Washington', rate: 6.5 },
+      WV: { name: 'West Virginia', rate: 6 },
+      WI: { name: 'Wisconsin', rate: 5 },
+      WY: { name: 'Wyoming', rate: 4 }
+    }
+  }
+};
+
+module.exports = {
+  TAX_RULES
+};
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { JWT_SECRET, AUTH_COOKIE_NAME, ADMIN_API_KEYS } = require('../config/api');
+const { CRON_SECRET } = require('../config/jobs');
+
+// Read the access token from the auth cookie or an Authorization: Bearer header
+const getTokenFromRequest = (req) => {
+  if (req.cookies && req.cookies[AUTH_COOKIE_NAME]) {
+    return req.cookies[AUTH_COOKIE_NAME];
+  }
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice(7);
+  }
+  return null;
+};
+
+// Guest ids come from localStorage; they travel in the body, query or X-User-Id header
+const getGuestId = (req) => {
+  return (req.body && req.body.userId) || req.query.userId || req.headers['x-user-id'] || null;
+};
+
+// Middleware to attach req.user when a valid session token is present
+const authenticate = async (req, res, next) => {
+  const token = getTokenFromRequest(req);
+  if (!token) return next();
+
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const user = await User.findById(decoded.id);
+    // Tokens issued before the last logout have been revoked
+    if (user && user.tokenVersion === decoded.version) {
+      req.user = user;
+    }
+  } catch (error) {
+    // Invalid or expired token - continue as a guest
+  }
+  next();
+};
+
+// Middleware to require a logged-in user
+const protect = [authenticate, (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Not authenticated'
+    });
+  }
+  req.userId = req.user._id.toString();
+  next();
+}];
+
+// Middleware to resolve the cart/order owner: the logged-in account if there is one,
+// otherwise the guest id. Guest ids may not be used to reach a registered account.
+const getUserId = [authenticate, async (req, res, next) => {
+  if (req.user) {
+    req.userId = req.user._id.toString();
+    req.isGuest = false;
+    return next();
+  }
+
+  const userId = getGuestId(req);
+  if (!userId) {
+    return res.status(400).json({
+      success: false,
+      error: 'User ID is required'
+    });
+  }
+
+  try {
+    if (mongoose.isValidObjectId(userId) && await User.exists({ _id: userId })) {
+      return res.status(401).json({
+        success: false,
+        error: 'Please log in to access this account'
+      });
+    }
+  } catch (error) {
+    console.error('Error resolving user ID:', error);
+    return res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while resolving user'
+        : error.message
+    });
+  }
+
+  req.userId = String(userId);
+  req.isGuest = true;
+  next();
+}];
+
+// Constant-time comparison of a presented secret against the accepted ones
+const matchesSecret = (presented, secrets) => {
+  if (!presented || secrets.length === 0) return false;
+
+  const digest = crypto.createHash('sha256').update(String(presented)).digest();
+  return secrets.some(secret => {
+    const secretDigest = crypto.createHash('sha256').update(secret).digest();
+    return crypto.timingSafeEqual(digest, secretDigest);
+  });
+};
+
+// Check the X-Api-Key header against the configured keys
+const hasValidApiKey = (req) => matchesSecret(req.headers['x-api-key'], ADMIN_API_KEYS);
+
+const notAuthenticated = (res) => res.status(401).json({
+  success: false,
+  error: 'Not authenticated'
+});
+
+const notAuthorized = (res) => res.status(403).json({
+  success: false,
+  error: 'Not authorized to access this resource'
+});
+
+// Middleware to require one of the given roles. A valid API key counts as an admin
+// so back-office scripts can call the same endpoints without a session.
+const requireRole = (...roles) => [authenticate, (req, res, next) => {
+  if (hasValidApiKey(req)) {
+    req.apiClient = true;
+    req.actorRole = 'admin';
+    return next();
+  }
+  if (!req.user) return notAuthenticated(res);
+  if (!roles.includes(req.user.role)) return notAuthorized(res);
+
+  req.actorRole = req.user.role;
+  next();
+}];
+
+// Middleware for sensitive admin actions: a valid API key is required even when
+// the caller also has an admin session
+const requireApiKey = (req, res, next) => {
+  if (!hasValidApiKey(req)) return notAuthenticated(res);
+
+  req.apiClient = true;
+  req.actorRole = 'admin';
+  next();
+};
+
+// Middleware for scheduled job endpoints: Vercel Cron's Authorization: Bearer <CRON_SECRET>,
+// or an admin API key for manual runs
+const requireCronSecret = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+  if (matchesSecret(token, CRON_SECRET ? [CRON_SECRET] : []) || hasValidApiKey(req)) {
+    return next();
+  }
+  return notAuthenticated(res);
+};
+
+// Identify who performed an admin action (user email or API key client)
+const getActor = (req) => (req.user ? req.user.email : 'api-key');
+
+module.exports = {
+  authenticate,
+  protect,
+  getUserId,
+  getGuestId,
+  requireRole,
+  requireApiKey,
+  requireCronSecret,
+  getActor
+};
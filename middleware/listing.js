@@ -0,0 +1,53 @@
+const { query } = require('express-validator');
+const { parseList } = require('../utils/listing');
+const { PAGINATION } = require('../config/api');
+
+/**
+ * Validators for the date range and search parameters shared by admin lists and exports
+ * @returns {Array<Function>} - express-validator chains
+ */
+const listRangeValidators = () => [
+  query('from').optional().isISO8601().withMessage('from must be a date').toDate(),
+  query('to').optional().isISO8601().withMessage('to must be a date').toDate(),
+  query('search').optional().isString().trim().isLength({ max: 100 }).withMessage('Search is too long')
+];
+
+/**
+ * Validators for the paging, sorting, date range and search parameters of admin lists
+ * @param {Object} sortFields - Allowed sort fields (see utils/listing.paginate)
+ * @returns {Array<Function>} - express-validator chains
+ */
+const listQueryValidators = (sortFields) => [
+  query('limit').optional()
+    .isInt({ min: 1, max: PAGINATION.maxLimit }).withMessage(`Limit must be between 1 and ${PAGINATION.maxLimit}`)
+    .toInt(),
+  query('cursor').optional().isString().notEmpty().withMessage('Cursor must be a string'),
+  query('sort').optional().isIn(Object.keys(sortFields))
+    .withMessage(`Sort must be one of: ${Object.keys(sortFields).join(', ')}`),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+  ...listRangeValidators(),
+  query('includeImages').optional().isBoolean().withMessage('includeImages must be true or false').toBoolean()
+];
+
+/**
+ * Validator for a filter that takes one or more comma-separated values, e.g. status=pending,processing
+ * The value is turned into an array.
+ * @param {string} field - Query parameter
+ * @param {Array<string>} [allowed] - Accepted values (any value when omitted)
+ * @returns {Function} - express-validator chain
+ */
+const listFilterValidator = (field, allowed) => query(field).optional()
+  .custom(value => {
+    const values = parseList(value);
+    if (values.length === 0) throw new Error(`${field} is empty`);
+    const unknown = allowed ? values.filter(entry => !allowed.includes(entry)) : [];
+    if (unknown.length > 0) throw new Error(`Unknown ${field}: ${unknown.join(', ')}`);
+    return true;
+  })
+  .customSanitizer(parseList);
+
+module.exports = {
+  listRangeValidators,
+  listQueryValidators,
+  listFilterValidator
+};
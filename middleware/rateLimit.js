@@ -0,0 +1,52 @@
+// Fixed-window, per-IP rate limiting kept in memory
+// Each serverless instance counts on its own, so this slows down guessing rather than
+// enforcing an exact global limit.
+const SWEEP_THRESHOLD = 10000;
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.max - Requests allowed per IP per window
+ * @param {string} [options.message] - Error returned once the limit is hit
+ * @returns {Function} - Express middleware
+ */
+const rateLimit = ({ windowMs, max, message = 'Too many requests, please try again later' }) => {
+  const hits = new Map();
+
+  return (req, res, next) => {
+    const now = Date.now();
+
+    // Forget finished windows now and then so the map can't grow without bound
+    if (hits.size > SWEEP_THRESHOLD) {
+      for (const [key, entry] of hits) {
+        if (entry.resetAt <= now) hits.delete(key);
+      }
+    }
+
+    const key = req.ip;
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+    res.set('RateLimit-Reset', String(Math.ceil((entry.resetAt - now) / 1000)));
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({
+        success: false,
+        error: message
+      });
+    }
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit
+};
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Coupon code applied to a user's cart (one per cart)
+const cartCouponSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Method to get the code applied to a user's cart
+cartCouponSchema.statics.getForUser = function(userId) {
+  return this.findOne({ userId });
+};
+
+// Method to apply (or replace) the code on a user's cart
+cartCouponSchema.statics.applyToCart = function(userId, code) {
+  return this.findOneAndUpdate(
+    { userId },
+    { $set: { code } },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+// Method to remove the code from a user's cart
+cartCouponSchema.statics.removeFromCart = function(userId) {
+  return this.findOneAndDelete({ userId });
+};
+
+module.exports = mongoose.model('CartCoupon', cartCouponSchema);
@@ -1,7 +1,10 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES } = require('../config/currency');
+const printCheckSchema = require('./schemas/printCheck');
+const { CART_STATUS_BY_PAYMENT } = require('../config/orders');
 
 const cartItemSchema = new mongoose.Schema({
-  // User identification - simple string ID from localStorage
+  // User identification - account _id, or a guest ID from localStorage
   userId: {
     type: String,
     required: true,
@@ -27,24 +30,34 @@ const cartItemSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    enum: ['USD', 'SGD'],
+    enum: SUPPORTED_CURRENCIES,
     default: 'USD'
   },
 
-  // Image data (base64 data URLs stored directly in database)
+  // Image references - files live in object storage (see utils/storage)
   finalImage: {
     type: String,
     required: true
   },
+  finalImagePublicId: String,
   originalImageUrl: {
     type: String,
     required: true
   },
+  originalImagePublicId: String,
+  // Small preview of finalImage for list views (see utils/thumbnails)
+  thumbnailUrl: String,
+  thumbnailPublicId: String,
+
+  // Print-readiness of finalImage at mousepadSize (see utils/printCheck)
+  printCheck: printCheckSchema,
 
   // Essential specifications only
+  // Product and variant from the catalog (see models/Product, models/Variant)
   mousepadType: {
     type: String,
-    enum: ['normal', 'rgb'],
+    lowercase: true,
+    trim: true,
     default: 'normal'
   },
   mousepadSize: {
@@ -55,11 +68,25 @@ const cartItemSchema = new mongoose.Schema({
     type: String,
     default: '3mm'
   },
+  edge: String,
+  sku: String,
+
+  // Saved design the item was made from, if any (see models/Design)
+  designId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Design'
+  },
 
+  // 'ordered' once checked out into orderId (see utils/checkout.placeOrder), then
+  // follows that order's payment (see statics.syncWithOrder)
   status: {
     type: String,
-    enum: ['pending', 'paymentFailed', 'paymentSuccess', 'cancelled'],
+    enum: ['pending', 'ordered', 'paymentFailed', 'paymentSuccess', 'cancelled'],
     default: 'pending'
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
   }
 }, {
   timestamps: true
@@ -67,12 +94,69 @@ const cartItemSchema = new mongoose.Schema({
 
 // Index for efficient queries
 cartItemSchema.index({ userId: 1, createdAt: -1 });
+// Expiry sweep and abandoned cart detection
+cartItemSchema.index({ status: 1, updatedAt: 1 });
+// Admin list paging (see utils/listing.js)
+cartItemSchema.index({ createdAt: -1, _id: -1 });
+cartItemSchema.index({ orderId: 1 }, { sparse: true });
+
+// Items still in the cart: not checked out, or left over from the old client-driven payment flow
+const ACTIVE_FILTER = {
+  $or: [
+    { status: 'pending' },
+    { status: 'paymentFailed', orderId: { $exists: false } }
+  ]
+};
 
 // Method to get cart items for a user
 cartItemSchema.statics.getUserCart = function(userId) {
   return this.find({ userId: userId }).sort({ createdAt: -1 });
 };
 
+// Method to get the items a user can still check out
+cartItemSchema.statics.getActiveCart = function(userId) {
+  return this.find({ userId: userId, ...ACTIVE_FILTER }).sort({ createdAt: -1 });
+};
+
+// Method to move items into an order; only items still in the cart are taken, so
+// the count tells whether another checkout got (some of) them first
+cartItemSchema.statics.consumeForOrder = async function(ids, userId, orderId, { session } = {}) {
+  const result = await this.updateMany(
+    { _id: { $in: ids }, userId: userId, ...ACTIVE_FILTER },
+    { $set: { status: 'ordered', orderId: orderId } },
+    { session }
+  );
+  return result.modifiedCount;
+};
+
+// Method to put an unpaid order's items back in the cart (e.g. when it's cancelled)
+cartItemSchema.statics.releaseFromOrder = function(orderId) {
+  return this.updateMany(
+    { orderId: orderId, status: { $in: ['ordered', 'paymentFailed'] } },
+    { $set: { status: 'pending' }, $unset: { orderId: 1 } }
+  );
+};
+
+// Method to work out the status an order's items should have; null means they go back to the cart
+cartItemSchema.statics.statusForOrder = function(order) {
+  if (order.status === 'cancelled' && !['completed', 'refunded'].includes(order.paymentStatus)) {
+    return null;
+  }
+  return CART_STATUS_BY_PAYMENT[order.paymentStatus] || 'ordered';
+};
+
+// Method to bring an order's items in line with its status and payment
+cartItemSchema.statics.syncWithOrder = function(order) {
+  const status = this.statusForOrder(order);
+  if (!status) {
+    return this.releaseFromOrder(order._id);
+  }
+  return this.updateMany(
+    { orderId: order._id, status: { $ne: status } },
+    { $set: { status: status } }
+  );
+};
+
 // Method to add item to cart
 cartItemSchema.statics.addToCart = function(cartItemData) {
   return this.create(cartItemData);
@@ -87,14 +171,22 @@ cartItemSchema.statics.updateCartItem = function(_id, userId, updates) {
   );
 };
 
-// Method to remove cart item
+// Method to remove cart item; checked-out items stay, orders and payment syncing need them
 cartItemSchema.statics.removeFromCart = function(_id, userId) {
-  return this.findOneAndDelete({ _id, userId: userId });
+  return this.findOneAndDelete({ _id, userId: userId, ...ACTIVE_FILTER });
 };
 
-// Method to clear user's cart
+// Method to clear user's cart (items still in the cart only, see removeFromCart)
 cartItemSchema.statics.clearUserCart = function(userId) {
-  return this.deleteMany({ userId: userId });
+  return this.deleteMany({ userId: userId, ...ACTIVE_FILTER });
+};
+
+// Method to move a guest's pending cart items into an account cart
+cartItemSchema.statics.mergeGuestCart = function(guestId, userId) {
+  return this.updateMany(
+    { userId: guestId, status: 'pending' },
+    { $set: { userId: userId } }
+  );
 };
 
 module.exports = mongoose.model('CartItem', cartItemSchema); 
\ No newline at end of file
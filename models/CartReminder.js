@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Abandoned cart reminder state, one per cart owner
+const cartReminderSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  email: String,
+  // Reminders sent since the cart was last changed
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: Date
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('CartReminder', cartReminderSchema);
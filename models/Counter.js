@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. invoice numbers
+const counterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Method to atomically take the next value of a sequence (starting at 1)
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { name },
+    { $inc: { value: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.value;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES } = require('../config/currency');
+
+const couponSchema = new mongoose.Schema({
+  // Codes are matched case-insensitively and stored upper-case
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+
+  // Discount: percent off eligible items, or a fixed amount in `currency`
+  type: {
+    type: String,
+    enum: ['percent', 'fixed'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Currency for fixed amounts and minSubtotal (converted for other order currencies)
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: 'USD'
+  },
+  minSubtotal: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Usage limits (null = unlimited)
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  maxUsesPerUser: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  usedCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  startsAt: Date,
+  expiresAt: Date,
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  // Only items matching these specs count towards the discount (empty = all items)
+  restrictions: {
+    mousepadTypes: [String],
+    mousepadSizes: [String]
+  }
+}, {
+  timestamps: true
+});
+
+// Method to find a coupon by code
+couponSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code || '').trim().toUpperCase() });
+};
+
+// Method to take one use of the global limit; resolves to null when the limit is reached
+couponSchema.statics.incrementUse = function(_id) {
+  return this.findOneAndUpdate(
+    {
+      _id,
+      $or: [
+        { maxUses: null },
+        { $expr: { $lt: ['$usedCount', '$maxUses'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+};
+
+// Method to give back a use taken by incrementUse
+couponSchema.statics.decrementUse = function(_id) {
+  return this.updateOne({ _id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  // 1-based use number for this user; the unique index below makes two concurrent
+  // checkouts unable to claim the same slot, which enforces maxUsesPerUser
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, userId: 1, sequence: 1 }, { unique: true });
+
+// Method to count a user's uses of a coupon
+couponRedemptionSchema.statics.countForUser = function(couponId, userId) {
+  return this.countDocuments({ coupon: couponId, userId });
+};
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const printCheckSchema = require('./schemas/printCheck');
+const { DESIGN_LIBRARY } = require('../config/design');
+
+// A customer's saved design, kept independently of the cart so removing a cart item doesn't lose it
+const designSchema = new mongoose.Schema({
+  // User identification - account _id, or a guest ID from localStorage
+  userId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: DESIGN_LIBRARY.nameMaxLength,
+    default: 'Untitled design'
+  },
+
+  // Image references - files live in object storage (see utils/storage)
+  finalImage: {
+    type: String,
+    required: true
+  },
+  finalImagePublicId: String,
+  originalImageUrl: {
+    type: String,
+    required: true
+  },
+  originalImagePublicId: String,
+  // Small preview of finalImage for list views (see utils/thumbnails)
+  thumbnailUrl: String,
+  thumbnailPublicId: String,
+
+  // Customizer state needed to reopen the design for editing (opaque to the server)
+  configuration: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Specs the design was made for; checked against the catalog when it's added to the cart
+  mousepadType: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  mousepadSize: String,
+  thickness: String,
+  edge: String,
+
+  // Print-readiness of finalImage at mousepadSize (see utils/printCheck)
+  printCheck: printCheckSchema
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Library listing, most recently edited first (see utils/listing.js)
+designSchema.index({ userId: 1, updatedAt: -1, _id: -1 });
+designSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+
+// Method to find a design owned by a user
+designSchema.statics.findOwned = function(_id, userId) {
+  return this.findOne({ _id, userId: userId });
+};
+
+// Method to count a user's designs (for the library limit)
+designSchema.statics.countForUser = function(userId) {
+  return this.countDocuments({ userId: userId });
+};
+
+// Method to move a guest's designs into an account library
+designSchema.statics.mergeGuestDesigns = function(guestId, userId) {
+  return this.updateMany(
+    { userId: guestId },
+    { $set: { userId: userId } }
+  );
+};
+
+module.exports = mongoose.model('Design', designSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Emails waiting to be sent (or already sent), rendered when queued
+const emailOutboxSchema = new mongoose.Schema({
+  template: {
+    type: String,
+    required: true
+  },
+  templateVersion: {
+    type: Number,
+    required: true
+  },
+  to: {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    name: String
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: String,
+  text: String,
+  headers: {
+    type: Map,
+    of: String
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    index: true
+  },
+  // Queuing the same key twice is a no-op (e.g. one confirmation per order)
+  dedupeKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lastError: String,
+  messageId: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for the delivery worker
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Method to queue an email, returning the existing entry for a repeated dedupeKey
+emailOutboxSchema.statics.enqueue = async function(entry) {
+  try {
+    return await this.create(entry);
+  } catch (error) {
+    if (error.code !== 11000 || !entry.dedupeKey) throw error;
+    return this.findOne({ dedupeKey: entry.dedupeKey });
+  }
+};
+
+// Method to lock a queued email for sending, so two workers never send it twice
+// Entries left in 'sending' past staleBefore (a crashed worker) can be claimed again
+emailOutboxSchema.statics.claim = function(filter, staleBefore) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lt: staleBefore } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+module.exports = mongoose.model('EmailOutbox', emailOutboxSchema);
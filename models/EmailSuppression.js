@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Addresses that must not receive marketing email (abandoned cart reminders)
+const emailSuppressionSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    enum: ['unsubscribe', 'bounce', 'complaint', 'manual'],
+    default: 'unsubscribe'
+  }
+}, {
+  timestamps: true
+});
+
+// Method to check whether an address is suppressed
+emailSuppressionSchema.statics.isSuppressed = async function(email) {
+  return Boolean(await this.exists({ email: String(email).toLowerCase().trim() }));
+};
+
+// Method to suppress an address (idempotent)
+emailSuppressionSchema.statics.suppress = function(email, reason = 'unsubscribe') {
+  return this.findOneAndUpdate(
+    { email: String(email).toLowerCase().trim() },
+    { $setOnInsert: { reason } },
+    { new: true, upsert: true }
+  );
+};
+
+module.exports = mongoose.model('EmailSuppression', emailSuppressionSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY } = require('../config/currency');
+
+const exchangeRateSchema = new mongoose.Schema({
+  // One document per currency, expressed against the base currency
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    required: true,
+    unique: true
+  },
+  base: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: BASE_CURRENCY
+  },
+  // Units of `currency` per 1 unit of `base`
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  source: {
+    type: String,
+    enum: ['manual', 'file'],
+    default: 'manual'
+  },
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+// Method to set (or replace) the rate for a currency
+exchangeRateSchema.statics.setRate = function(currency, rate, { source = 'manual', updatedBy } = {}) {
+  return this.findOneAndUpdate(
+    { currency },
+    { $set: { base: BASE_CURRENCY, rate, source, updatedBy } },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -1,13 +1,103 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES } = require('../config/currency');
+const printCheckSchema = require('./schemas/printCheck');
+
+// Order numbers avoid look-alike characters and aren't sequential, so they can't be guessed
+const ORDER_NUMBER_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ORDER_NUMBER_ATTEMPTS = 3;
+
+const generateOrderNumber = () => {
+  const chars = Array.from(crypto.randomBytes(8), byte => ORDER_NUMBER_ALPHABET[byte % ORDER_NUMBER_ALPHABET.length]);
+  return `EG-${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+};
+
+// A parcel sent for (part of) an order, entered by staff
+const shipmentSchema = new mongoose.Schema({
+  carrier: {
+    type: String,
+    required: true
+  },
+  trackingNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  trackingUrl: String,
+  // Which order items (by index) and how many of each are in the parcel
+  items: [{
+    _id: false,
+    itemIndex: Number,
+    quantity: Number
+  }],
+  shippedAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: Date,
+  createdBy: String,
+  notes: String
+}, {
+  timestamps: true
+});
+
+// One refund in the order's refund ledger
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: String,
+  // Line items refunded (by index), with the amount refunded for each
+  items: [{
+    _id: false,
+    itemIndex: Number,
+    quantity: Number,
+    amount: Number
+  }],
+  shipping: {
+    type: Number,
+    default: 0
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  provider: String,
+  providerRefundId: String,
+  failureMessage: String,
+  createdBy: String
+}, {
+  timestamps: true
+});
 
 const orderSchema = new mongoose.Schema({
-  // User identification - simple string ID from localStorage
+  // Customer-facing reference, e.g. EG-7KQ2-MX9D
+  orderNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+
+  // User identification - account _id, or a guest ID from localStorage
   userId: {
     type: String,
     required: true,
     index: true
   },
 
+  // Idempotency-Key of the checkout request and a hash of its body, so retries get this order back
+  idempotency: {
+    key: String,
+    fingerprint: String
+  },
+
   // Order items - store cart item references and snapshot data
   items: [{
     cartItemId: {
@@ -15,15 +105,29 @@ const orderSchema = new mongoose.Schema({
       ref: 'CartItem',
       required: true
     },
+    designId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Design'
+    },
     name: String,
     quantity: Number,
     price: Number,
     currency: String,
+    // Set when the item was priced in another currency and converted
+    originalCurrency: String,
+    originalPrice: Number,
     finalImage: String,
+    finalImagePublicId: String,
     originalImageUrl: String,
+    originalImagePublicId: String,
+    thumbnailUrl: String,
+    thumbnailPublicId: String,
     mousepadType: String,
     mousepadSize: String,
-    thickness: String
+    thickness: String,
+    edge: String,
+    sku: String,
+    printCheck: printCheckSchema
   }],
 
   // Pricing information
@@ -32,6 +136,11 @@ const orderSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  discount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   shipping: {
     type: Number,
     required: true,
@@ -51,10 +160,47 @@ const orderSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    enum: ['USD', 'SGD'],
+    enum: SUPPORTED_CURRENCIES,
     default: 'USD'
   },
 
+  // Coupon applied at checkout
+  coupon: {
+    code: String,
+    type: { type: String },
+    value: Number,
+    redemptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CouponRedemption'
+    }
+  },
+
+  // Rate between the base currency and the order currency at checkout
+  exchangeRate: {
+    from: String,
+    to: String,
+    rate: Number,
+    source: String,
+    asOf: Date
+  },
+
+  // Shipping option and tax locked in at checkout
+  shippingMethod: {
+    id: String,
+    label: String,
+    zone: String,
+    estimatedDays: {
+      min: Number,
+      max: Number
+    },
+    weightGrams: Number
+  },
+  taxDetails: {
+    rate: Number,
+    label: String,
+    jurisdiction: String
+  },
+
   // Customer information
   customerInfo: {
     firstName: String,
@@ -77,8 +223,20 @@ const orderSchema = new mongoose.Schema({
     enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'paymentFailed'],
     default: 'pending'
   },
+  // Every status change, oldest first (see utils/orderStatus.js)
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    changedBy: String,
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
 
-  // Payment information (to be implemented later)
+  // Payment information
   paymentStatus: {
     type: String,
     enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
@@ -86,6 +244,32 @@ const orderSchema = new mongoose.Schema({
   },
   paymentMethod: String,
   paymentTransactionId: String,
+  // Provider event of the most recent payment failure (one failure email per event)
+  paymentFailureId: String,
+
+  // Parcels sent for the order
+  shipments: [shipmentSchema],
+
+  // Refund ledger; refundedAmount counts pending and succeeded refunds
+  refunds: [refundSchema],
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+
+  // Set when the order is sent to production - customers can't cancel after that
+  productionStartedAt: Date,
+  productionStartedBy: String,
+
+  // Issued the first time the invoice is requested and never changed (see utils/invoices.js)
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  invoiceIssuedAt: Date,
+  // Set while a request is numbering the invoice, so concurrent requests don't draw a number too
+  invoiceClaimedAt: Date,
 
   // Additional metadata
   notes: String
@@ -96,10 +280,75 @@ const orderSchema = new mongoose.Schema({
 // Index for efficient queries
 orderSchema.index({ userId: 1, createdAt: -1 });
 orderSchema.index({ status: 1 });
+// Admin list paging (see utils/listing.js)
+orderSchema.index({ createdAt: -1, _id: -1 });
+orderSchema.index({ paymentStatus: 1, createdAt: -1 });
+// One order per checkout Idempotency-Key and user
+orderSchema.index(
+  { userId: 1, 'idempotency.key': 1 },
+  { unique: true, partialFilterExpression: { 'idempotency.key': { $exists: true } } }
+);
+
+// Method to create order, with a fresh order number (retried on the unlikely collision)
+// Inside a transaction a failed insert aborts the whole transaction, so the caller retries it instead
+orderSchema.statics.createOrder = async function(orderData, { session } = {}) {
+  const attempts = session ? 1 : ORDER_NUMBER_ATTEMPTS;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const [order] = await this.create([{ ...orderData, orderNumber: generateOrderNumber() }], { session });
+      return order;
+    } catch (error) {
+      if (!this.isOrderNumberTaken(error) || attempt >= attempts) throw error;
+    }
+  }
+};
+
+// Method to tell an order number collision from other insert errors
+orderSchema.statics.isOrderNumberTaken = function(error) {
+  return Boolean(error && error.code === 11000 && error.keyPattern && error.keyPattern.orderNumber);
+};
+
+// Method to find the order a checkout with this Idempotency-Key created
+orderSchema.statics.findByIdempotencyKey = function(userId, key) {
+  return this.findOne({ userId: userId, 'idempotency.key': key });
+};
+
+// Method to find an order by its customer-facing number
+orderSchema.statics.findByOrderNumber = function(orderNumber) {
+  return this.findOne({ orderNumber: String(orderNumber).trim().toUpperCase() });
+};
 
-// Method to create order
-orderSchema.statics.createOrder = function(orderData) {
-  return this.create(orderData);
+// Method to get the public tracking view: status and parcels, no address, contact details or artwork
+orderSchema.methods.toTrackingView = function() {
+  return {
+    orderNumber: this.orderNumber,
+    status: this.status,
+    paymentStatus: this.paymentStatus,
+    placedAt: this.createdAt,
+    items: this.items.map(item => ({
+      name: item.name,
+      quantity: item.quantity,
+      mousepadType: item.mousepadType,
+      mousepadSize: item.mousepadSize,
+      thickness: item.thickness
+    })),
+    shippingMethod: this.shippingMethod ? {
+      label: this.shippingMethod.label,
+      estimatedDays: this.shippingMethod.estimatedDays
+    } : null,
+    shipments: this.shipments.map(shipment => ({
+      carrier: shipment.carrier,
+      trackingNumber: shipment.trackingNumber,
+      trackingUrl: shipment.trackingUrl,
+      items: shipment.items,
+      shippedAt: shipment.shippedAt,
+      deliveredAt: shipment.deliveredAt
+    })),
+    statusHistory: this.statusHistory.map(entry => ({
+      status: entry.to,
+      changedAt: entry.changedAt
+    }))
+  };
 };
 
 // Method to get user's orders
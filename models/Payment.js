@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A payment attempt at the provider (PaymentIntent / checkout session) for an order
+const paymentSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  providerPaymentId: {
+    type: String,
+    required: true
+  },
+  // Minor units (cents)
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['created', 'processing', 'succeeded', 'failed', 'refunded', 'partiallyRefunded'],
+    default: 'created'
+  },
+  transactionId: String,
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
+  failureMessage: String
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true });
+
+// Method to find a payment from a provider webhook
+paymentSchema.statics.findByProviderId = function(provider, providerPaymentId) {
+  return this.findOne({ provider, providerPaymentId });
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
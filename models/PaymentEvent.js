@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Provider webhook events already handled, so redelivered events are only processed once
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: String,
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  result: {
+    type: String,
+    enum: ['processing', 'applied', 'ignored'],
+    default: 'processing'
+  }
+}, {
+  timestamps: true
+});
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+// Method to claim an event for processing; returns null if it was already claimed
+paymentEventSchema.statics.claim = async function(provider, eventId, type) {
+  try {
+    return await this.create({ provider, eventId, type });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A mousepad product line (e.g. normal, RGB); sizes and thicknesses are its Variants
+const productSchema = new mongoose.Schema({
+  // Key stored on cart items and orders as mousepadType
+  mousepadType: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9-]+$/, 'mousepadType may only contain lowercase letters, digits and dashes']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  // Edge finishes offered for this product, with a per-unit surcharge in each currency
+  edgeOptions: [{
+    _id: false,
+    id: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    label: {
+      type: String,
+      required: true
+    },
+    surcharges: {
+      type: Map,
+      of: Number,
+      default: {}
+    },
+    active: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const {
+  JWT_SECRET,
+  JWT_EXPIRE,
+  JWT_REFRESH_SECRET,
+  JWT_REFRESH_EXPIRE
+} = require('../config/api');
+
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: 8,
+    select: false
+  },
+  firstName: {
+    type: String,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    trim: true
+  },
+
+  // Access level - staff and admin can use the /admin endpoints
+  role: {
+    type: String,
+    enum: ['customer', 'staff', 'admin'],
+    default: 'customer'
+  },
+
+  // Bumped on logout so outstanding access and refresh tokens stop working
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+
+  lastLoginAt: Date
+}, {
+  timestamps: true
+});
+
+// Hash password before saving
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+  const salt = await bcrypt.genSalt(10);
+  this.password = await bcrypt.hash(this.password, salt);
+  next();
+});
+
+// Compare a plain-text password against the stored hash
+userSchema.methods.comparePassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Sign a short-lived access token tied to the current token version
+userSchema.methods.getAccessToken = function() {
+  return jwt.sign({ id: this._id.toString(), version: this.tokenVersion }, JWT_SECRET, { expiresIn: JWT_EXPIRE });
+};
+
+// Sign a refresh token tied to the current token version
+userSchema.methods.getRefreshToken = function() {
+  return jwt.sign(
+    { id: this._id.toString(), version: this.tokenVersion },
+    JWT_REFRESH_SECRET,
+    { expiresIn: JWT_REFRESH_EXPIRE }
+  );
+};
+
+// Public view of the user (no password or token version)
+userSchema.methods.toProfile = function() {
+  return {
+    _id: this._id,
+    email: this.email,
+    firstName: this.firstName,
+    lastName: this.lastName,
+    role: this.role,
+    createdAt: this.createdAt
+  };
+};
+
+// Method to find user by email including the password hash
+userSchema.statics.findByEmailWithPassword = function(email) {
+  return this.findOne({ email: String(email).toLowerCase().trim() }).select('+password');
+};
+
+module.exports = mongoose.model('User', userSchema);
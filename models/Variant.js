@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { normalizeSize, normalizeThickness } = require('../utils/dimensions');
+
+// One producible size + thickness of a Product, with its price and shipping weight
+const variantSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    index: true
+  },
+  sku: {
+    type: String,
+    unique: true,
+    sparse: true,
+    uppercase: true,
+    trim: true
+  },
+  // '<short>x<long>' in millimetres, derived from widthMm and lengthMm
+  mousepadSize: String,
+  widthMm: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  lengthMm: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  thickness: {
+    type: String,
+    required: true,
+    set: (value) => normalizeThickness(value) || value,
+    match: [/^\d+(\.\d+)?mm$/, 'Thickness must look like 3mm']
+  },
+  // Unit price per currency, before quantity discounts and edge surcharges
+  prices: {
+    type: Map,
+    of: Number,
+    required: true
+  },
+  weightGrams: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+variantSchema.index({ product: 1, mousepadSize: 1, thickness: 1 }, { unique: true });
+
+// Keep mousepadSize in step with the dimensions
+variantSchema.pre('validate', function(next) {
+  this.mousepadSize = normalizeSize(`${this.widthMm}x${this.lengthMm}`);
+  next();
+});
+
+module.exports = mongoose.model('Variant', variantSchema);
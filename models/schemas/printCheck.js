@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Result of the print-readiness check (see utils/printCheck), stored on cart and order items
+const printCheckSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['ok', 'warning', 'error'],
+    required: true
+  },
+  mousepadSize: String,
+  widthPx: Number,
+  heightPx: Number,
+  effectiveDpi: Number,
+  aspectRatio: Number,
+  expectedAspectRatio: Number,
+  bleedMm: Number,
+  issues: [{
+    _id: false,
+    code: String,
+    severity: {
+      type: String,
+      enum: ['warning', 'error']
+    },
+    message: String
+  }],
+  checkedAt: Date
+}, {
+  _id: false
+});
+
+module.exports = printCheckSchema;
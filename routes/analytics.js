@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const { requireRole } = require('../middleware/auth');
+const {
+  resolveRange,
+  getRevenueReport,
+  getAverageOrderValue,
+  getTopProducts,
+  getConversionReport,
+  getPaymentFailureReport,
+  AnalyticsError
+} = require('../utils/analytics');
+
+const isTimeZone = (value) => {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    throw new Error('Unknown time zone');
+  }
+};
+
+// Every report takes a date range (defaults to the last 30 days)
+const rangeValidators = [
+  query('from').optional().isISO8601().withMessage('from must be a date').toDate(),
+  query('to').optional().isISO8601().withMessage('to must be a date').toDate()
+];
+
+// Run a report and send it along with the range it covers
+const sendReport = (name, buildReport) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const range = resolveRange(req.query);
+    const data = await buildReport({ ...req.query, range });
+
+    res.status(200).json({
+      success: true,
+      range,
+      data
+    });
+  } catch (error) {
+    if (error instanceof AnalyticsError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error(`Error building ${name} report:`, error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? `Server error while building ${name} report`
+        : error.message
+    });
+  }
+};
+
+// @desc    Revenue and order count per day, week or month and currency (admin endpoint)
+// @route   GET /api/analytics/revenue?from=&to=&interval=day|week|month&timezone=
+// @access  Private (admin)
+router.get('/revenue', requireRole('admin'), [
+  ...rangeValidators,
+  query('interval').optional().isIn(['day', 'week', 'month']).withMessage('Interval must be day, week or month'),
+  query('timezone').optional().custom(isTimeZone)
+], sendReport('revenue', getRevenueReport));
+
+// @desc    Average order value per currency (admin endpoint)
+// @route   GET /api/analytics/average-order-value?from=&to=
+// @access  Private (admin)
+router.get('/average-order-value', requireRole('admin'), rangeValidators, sendReport('average order value', getAverageOrderValue));
+
+// @desc    Best-selling type/size/thickness combinations (admin endpoint)
+// @route   GET /api/analytics/top-products?from=&to=&limit=
+// @access  Private (admin)
+router.get('/top-products', requireRole('admin'), [
+  ...rangeValidators,
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt()
+], sendReport('top products', getTopProducts));
+
+// @desc    Cart-to-order conversion (admin endpoint)
+// @route   GET /api/analytics/conversion?from=&to=
+// @access  Private (admin)
+router.get('/conversion', requireRole('admin'), rangeValidators, sendReport('conversion', getConversionReport));
+
+// @desc    Payment failure rates (admin endpoint)
+// @route   GET /api/analytics/payment-failures?from=&to=
+// @access  Private (admin)
+router.get('/payment-failures', requireRole('admin'), rangeValidators, sendReport('payment failure', getPaymentFailureReport));
+
+module.exports = router;
@@ -0,0 +1,274 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const CartItem = require('../models/CartItem');
+const Design = require('../models/Design');
+const { body, validationResult } = require('express-validator');
+const { authenticate, protect, getGuestId, requireApiKey } = require('../middleware/auth');
+const {
+  JWT_REFRESH_SECRET,
+  AUTH_COOKIE_NAME,
+  REFRESH_COOKIE_NAME,
+  COOKIE_OPTIONS,
+  REFRESH_COOKIE_OPTIONS
+} = require('../config/api');
+
+// Set the access and refresh cookies for a user
+const sendSession = (res, user) => {
+  res.cookie(AUTH_COOKIE_NAME, user.getAccessToken(), COOKIE_OPTIONS);
+  res.cookie(REFRESH_COOKIE_NAME, user.getRefreshToken(), REFRESH_COOKIE_OPTIONS);
+};
+
+// Clear both session cookies (options must match the ones used to set them)
+const clearSession = (res) => {
+  const { maxAge, ...authOptions } = COOKIE_OPTIONS;
+  const { maxAge: refreshMaxAge, ...refreshOptions } = REFRESH_COOKIE_OPTIONS;
+  res.clearCookie(AUTH_COOKIE_NAME, authOptions);
+  res.clearCookie(REFRESH_COOKIE_NAME, refreshOptions);
+};
+
+// Move any guest cart items and saved designs into the account
+const mergeGuestData = async (req, user) => {
+  const guestId = getGuestId(req);
+  const userId = user._id.toString();
+  if (!guestId || guestId === userId) return { cartItems: 0, designs: 0 };
+
+  const cart = await CartItem.mergeGuestCart(guestId, userId);
+  const designs = await Design.mergeGuestDesigns(guestId, userId);
+  return { cartItems: cart.modifiedCount, designs: designs.modifiedCount };
+};
+
+// @desc    Register a new customer account
+// @route   POST /api/auth/register
+// @access  Public
+router.post('/register', [
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('firstName').optional().isString(),
+  body('lastName').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email, password, firstName, lastName } = req.body;
+
+    const existingUser = await User.findOne({ email: email.toLowerCase().trim() });
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        error: 'An account with this email already exists'
+      });
+    }
+
+    const user = await User.create({ email, password, firstName, lastName });
+    const merged = await mergeGuestData(req, user);
+
+    sendSession(res, user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: user.toProfile(),
+      mergedCartItems: merged.cartItems,
+      mergedDesigns: merged.designs
+    });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while registering'
+        : error.message
+    });
+  }
+});
+
+// @desc    Log in and merge the guest cart into the account
+// @route   POST /api/auth/login
+// @access  Public
+router.post('/login', [
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+
+    const user = await User.findByEmailWithPassword(email);
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const merged = await mergeGuestData(req, user);
+
+    sendSession(res, user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged in successfully',
+      data: user.toProfile(),
+      mergedCartItems: merged.cartItems,
+      mergedDesigns: merged.designs
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while logging in'
+        : error.message
+    });
+  }
+});
+
+// @desc    Issue a new access token from the refresh cookie
+// @route   POST /api/auth/refresh
+// @access  Public (with refresh cookie)
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = req.cookies && req.cookies[REFRESH_COOKIE_NAME];
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token is required'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
+    } catch (tokenError) {
+      clearSession(res);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || user.tokenVersion !== decoded.version) {
+      clearSession(res);
+      return res.status(401).json({
+        success: false,
+        error: 'Session has been revoked'
+      });
+    }
+
+    sendSession(res, user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session refreshed',
+      data: user.toProfile()
+    });
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while refreshing session'
+        : error.message
+    });
+  }
+});
+
+// @desc    Log out and revoke outstanding access and refresh tokens
+// @route   POST /api/auth/logout
+// @access  Public (clears cookies even when the access token has expired)
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    if (req.user) {
+      await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+    }
+    clearSession(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while logging out'
+        : error.message
+    });
+  }
+});
+
+// @desc    Get the logged-in user
+// @route   GET /api/auth/me
+// @access  Private
+router.get('/me', protect, async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user.toProfile()
+  });
+});
+
+// @desc    Change a user's role (admin endpoint)
+// @route   PATCH /api/auth/admin/users/:_id/role
+// @access  Private (API key)
+router.patch('/admin/users/:_id/role', requireApiKey, [
+  body('role').isIn(['customer', 'staff', 'admin']).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params._id,
+      { $set: { role: req.body.role } },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User role updated successfully',
+      data: user.toProfile()
+    });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while updating user role'
+        : error.message
+    });
+  }
+});
+
+module.exports = router;
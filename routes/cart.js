@@ -1,51 +1,81 @@
 const express = require('express');
 const router = express.Router();
 const CartItem = require('../models/CartItem');
-const { body, validationResult } = require('express-validator');
-
-// Middleware to get userId from request body, query params, or headers
-const getUserId = (req, res, next) => {
-  const userId = req.body.userId || req.query.userId || req.headers['x-user-id'];
-  if (!userId) {
-    return res.status(400).json({
-      success: false,
-      error: 'User ID is required'
-    });
-  }
-  req.userId = userId;
-  next();
+const CartCoupon = require('../models/CartCoupon');
+const Design = require('../models/Design');
+const { body, param, query, validationResult } = require('express-validator');
+const { getUserId, requireRole } = require('../middleware/auth');
+const { quoteItem, amountsMatch, roundMoney, PricingError } = require('../utils/pricing');
+const { getRates, getConversionRate, convertAmount, CurrencyError } = require('../utils/currency');
+const { findCoupon, evaluateCoupon, CouponError } = require('../utils/coupons');
+const { ImageError } = require('../utils/imageProcessor');
+const { ensureThumbnail } = require('../utils/thumbnails');
+const { validateImageUrl, storeArtwork } = require('../utils/artwork');
+const { cartImageLinks, sendImage } = require('../utils/imageDelivery');
+const { IMAGE_CACHE } = require('../config/storage');
+const { runPrintCheck } = require('../utils/printCheck');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY } = require('../config/currency');
+const User = require('../models/User');
+const { paginate, buildDateRange, buildSearchFilter, escapeRegex, ListingError } = require('../utils/listing');
+const { listQueryValidators, listFilterValidator } = require('../middleware/listing');
+
+// Admin list sort fields (and their types); list views leave the artwork out by default
+const CART_SORT_FIELDS = { createdAt: 'date', updatedAt: 'date', price: 'number' };
+const CART_IMAGE_FIELDS = '-finalImage -originalImageUrl';
+const CART_SEARCH_USER_LIMIT = 500;
+
+// Cart items only carry a userId, so search matches account names and emails first,
+// then also takes the term as a guest ID
+const buildCartSearchFilter = async (search) => {
+  const users = await User.find(buildSearchFilter(search, ['firstName', 'lastName', 'email']))
+    .select('_id')
+    .limit(CART_SEARCH_USER_LIMIT)
+    .lean();
+
+  return {
+    $or: [
+      { userId: { $in: users.map(user => String(user._id)) } },
+      { userId: search.trim() },
+      { name: new RegExp(escapeRegex(search.trim()), 'i') }
+    ]
+  };
 };
 
-// Validate image (can be base64 data URL or regular URL)
-const validateImageUrl = (value, field, allowMissing) => {
-  if (!value) {
-    if (allowMissing) return value;
-    throw new Error(`${field} is required`);
-  }
-  if (typeof value !== 'string') {
-    throw new Error(`${field} must be a string`);
-  }
-  // Accept both base64 data URLs and regular URLs
-  if (!value.startsWith('data:image/') && !value.startsWith('http://') && !value.startsWith('https://')) {
-    throw new Error(`${field} must be a valid image data URL or URL`);
-  }
-  return value;
+// Defaults applied to new items when a field is missing
+const CART_ITEM_DEFAULTS = {
+  name: 'Custom Mousepad',
+  quantity: 1,
+  currency: 'USD',
+  mousepadType: 'normal',
+  mousepadSize: '',
+  thickness: '',
+  edge: null
 };
 
 // Extract only essential fields for database storage
+// Price is never taken from the payload - it is computed by applyServerPrice - and neither is
+// status, which follows the item's order (see CartItem.syncWithOrder)
 const sanitizeCartPayload = (payload, userId, { partial = false } = {}) => {
-  const essentialFields = {
-    userId: userId,
-    name: payload.name || 'Custom Mousepad',
-    quantity: payload.quantity || 1,
-    price: payload.price,
-    currency: payload.currency || 'USD',
-    mousepadType: payload.mousepadType || payload.specs?.type || payload.configuration?.mousepadType || 'normal',
-    mousepadSize: payload.mousepadSize || payload.specs?.size || payload.configuration?.mousepadSize || '',
-    thickness: payload.thickness || payload.specs?.thickness || payload.configuration?.thickness || '',
-    status: payload.status || 'pending'
+  const provided = {
+    name: payload.name,
+    quantity: payload.quantity,
+    currency: payload.currency,
+    mousepadType: payload.mousepadType || payload.specs?.type || payload.configuration?.mousepadType,
+    mousepadSize: payload.mousepadSize || payload.specs?.size || payload.configuration?.mousepadSize,
+    thickness: payload.thickness || payload.specs?.thickness || payload.configuration?.thickness,
+    edge: payload.edge || payload.specs?.edge || payload.configuration?.edge
   };
 
+  // Partial updates only touch the fields that were sent
+  const essentialFields = { userId: userId };
+  Object.keys(provided).forEach(key => {
+    if (provided[key] !== undefined && provided[key] !== null && provided[key] !== '') {
+      essentialFields[key] = provided[key];
+    } else if (!partial) {
+      essentialFields[key] = CART_ITEM_DEFAULTS[key];
+    }
+  });
+
   // Validate and sanitize image URLs
   const finalImage = payload.finalImage || payload.image;
   if (finalImage) {
@@ -66,17 +96,103 @@ const sanitizeCartPayload = (payload, userId, { partial = false } = {}) => {
   return essentialFields;
 };
 
+// Recompute the unit price for an item and reject a client price that disagrees
+// Combinations missing from the product catalog are rejected by quoteItem
+// Returns the fields to store (normalized specs + server price)
+const applyServerPrice = async (item, clientPrice) => {
+  const quote = await quoteItem(item);
+
+  if (clientPrice !== undefined && clientPrice !== null && !amountsMatch(clientPrice, quote.unitPrice)) {
+    throw new PricingError(`Price mismatch: expected ${quote.unitPrice} ${quote.currency} per unit`);
+  }
+
+  return {
+    mousepadType: quote.mousepadType,
+    mousepadSize: quote.mousepadSize,
+    thickness: quote.thickness,
+    edge: quote.edge,
+    sku: quote.sku,
+    currency: quote.currency,
+    quantity: quote.quantity,
+    price: quote.unitPrice
+  };
+};
+
+// Build the cart summary in one display currency, including any applied coupon
+// Display currency: the requested one, the cart's only currency, or the base currency
+// Pass couponCode to preview a code instead of the one saved on the cart
+const buildCartSummary = async (userId, requestedCurrency, { couponCode } = {}) => {
+  const cartItems = await CartItem.getActiveCart(userId);
+
+  const itemCurrencies = [...new Set(cartItems.map(item => item.currency))];
+  const currency = requestedCurrency
+    || (itemCurrencies.length === 1 ? itemCurrencies[0] : BASE_CURRENCY);
+  if (!SUPPORTED_CURRENCIES.includes(currency)) {
+    throw new CurrencyError(`Unsupported currency: ${currency}`);
+  }
+
+  const allRates = await getRates();
+  const rates = {};
+  for (const itemCurrency of itemCurrencies) {
+    rates[itemCurrency] = await getConversionRate(itemCurrency, currency, allRates);
+  }
+
+  const lines = cartItems.map(item => ({
+    mousepadType: item.mousepadType,
+    mousepadSize: item.mousepadSize,
+    quantity: item.quantity,
+    lineTotal: roundMoney(convertAmount(item.price, rates[item.currency]) * item.quantity)
+  }));
+  const itemCount = lines.reduce((sum, line) => sum + line.quantity, 0);
+  const totalPrice = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+  // An applied coupon that no longer qualifies is reported but not subtracted
+  let coupon = null;
+  const cartCoupon = couponCode ? null : await CartCoupon.getForUser(userId);
+  const code = couponCode || (cartCoupon && cartCoupon.code);
+  if (code) {
+    try {
+      const couponDoc = await findCoupon(code);
+      coupon = { ...(await evaluateCoupon(couponDoc, { items: lines, currency, userId })), valid: true };
+    } catch (couponError) {
+      if (!(couponError instanceof CouponError)) throw couponError;
+      coupon = { code: String(code).toUpperCase(), valid: false, error: couponError.message, discount: 0 };
+    }
+  }
+  const discount = coupon ? coupon.discount : 0;
+
+  return {
+    itemCount,
+    totalPrice,
+    discount,
+    totalAfterDiscount: roundMoney(totalPrice - discount),
+    currency,
+    coupon,
+    exchangeRates: Object.values(rates).filter(rate => rate.from !== rate.to)
+  };
+};
+
 // @desc    Get user's cart items
 // @route   GET /api/cart
-// @access  Public (with userId)
+// @access  Public (session or guest userId)
+// Artwork is left out unless ?includeImages=true; items link to a thumbnail and the image endpoint instead
 router.get('/', getUserId, async (req, res) => {
   try {
-    const cartItems = await CartItem.getUserCart(req.userId);
-    
+    if (req.query.includeImages === 'true') {
+      const cartItems = await CartItem.getUserCart(req.userId);
+      return res.status(200).json({
+        success: true,
+        count: cartItems.length,
+        data: cartItems
+      });
+    }
+
+    const cartItems = await CartItem.getUserCart(req.userId).select(CART_IMAGE_FIELDS).lean();
+
     res.status(200).json({
       success: true,
       count: cartItems.length,
-      data: cartItems
+      data: cartItems.map(item => ({ ...item, ...cartImageLinks(req, item) }))
     });
   } catch (error) {
     console.error('Error fetching cart items:', error);
@@ -91,19 +207,39 @@ router.get('/', getUserId, async (req, res) => {
 
 // @desc    Add item to cart
 // @route   POST /api/cart
-// @access  Public (with userId)
+// @access  Public (session or guest userId)
 router.post('/', getUserId, async (req, res) => {
   try {
     let processedData;
     try {
       processedData = sanitizeCartPayload(req.body, req.userId);
+      Object.assign(processedData, await applyServerPrice(processedData, req.body.price));
     } catch (validationError) {
       return res.status(400).json({
         success: false,
         error: validationError.message
       });
     }
-    
+
+    try {
+      processedData.printCheck = await runPrintCheck(processedData.finalImage, processedData.mousepadSize);
+      if (processedData.printCheck.status === 'error') {
+        return res.status(422).json({
+          success: false,
+          error: 'Artwork is not print-ready',
+          printCheck: processedData.printCheck
+        });
+      }
+
+      await storeArtwork(processedData);
+    } catch (imageError) {
+      if (!(imageError instanceof ImageError)) throw imageError;
+      return res.status(400).json({
+        success: false,
+        error: imageError.message
+      });
+    }
+
     // Create new item (MongoDB will generate _id automatically)
     const newCartItem = await CartItem.addToCart(processedData);
 
@@ -123,17 +259,202 @@ router.post('/', getUserId, async (req, res) => {
   }
 });
 
+// @desc    Add a saved design to the cart (specs default to the design's, quantity to 1)
+// @route   POST /api/cart/from-design/:designId
+// @access  Public (session or guest userId)
+router.post('/from-design/:designId', getUserId, [
+  param('designId').isMongoId().withMessage('Design ID must be valid'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const design = await Design.findOwned(req.params.designId, req.userId).lean();
+    if (!design) {
+      return res.status(404).json({
+        success: false,
+        error: 'Design not found'
+      });
+    }
+
+    let processedData;
+    try {
+      processedData = sanitizeCartPayload({
+        mousepadType: design.mousepadType,
+        mousepadSize: design.mousepadSize,
+        thickness: design.thickness,
+        edge: design.edge,
+        ...req.body,
+        finalImage: design.finalImage,
+        originalImageUrl: design.originalImageUrl
+      }, req.userId);
+      Object.assign(processedData, await applyServerPrice(processedData, req.body.price));
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    // The design's artwork is already stored; the cart item shares it and its thumbnail
+    try {
+      processedData.printCheck = await runPrintCheck(processedData.finalImage, processedData.mousepadSize);
+    } catch (imageError) {
+      if (!(imageError instanceof ImageError)) throw imageError;
+      return res.status(400).json({
+        success: false,
+        error: imageError.message
+      });
+    }
+    if (processedData.printCheck.status === 'error') {
+      return res.status(422).json({
+        success: false,
+        error: 'Artwork is not print-ready',
+        printCheck: processedData.printCheck
+      });
+    }
+
+    const newCartItem = await CartItem.addToCart({
+      ...processedData,
+      finalImagePublicId: design.finalImagePublicId,
+      originalImagePublicId: design.originalImagePublicId,
+      thumbnailUrl: design.thumbnailUrl,
+      thumbnailPublicId: design.thumbnailPublicId,
+      designId: design._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Design added to cart successfully',
+      data: newCartItem
+    });
+  } catch (error) {
+    console.error('Error adding design to cart:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while adding design to cart'
+        : error.message
+    });
+  }
+});
+
+// @desc    Apply a coupon code to the cart
+// @route   POST /api/cart/coupon
+// @access  Public (session or guest userId)
+router.post('/coupon', getUserId, [
+  body('code').isString().trim().notEmpty().withMessage('Coupon code is required'),
+  body('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage('Unsupported currency')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // Check the code against the current cart before saving it
+    try {
+      const summary = await buildCartSummary(req.userId, req.body.currency, { couponCode: req.body.code });
+      if (summary.itemCount === 0) {
+        throw new CouponError('Add an item to your cart before applying a coupon code');
+      }
+      if (!summary.coupon.valid) {
+        throw new CouponError(summary.coupon.error);
+      }
+
+      await CartCoupon.applyToCart(req.userId, summary.coupon.code);
+
+      res.status(200).json({
+        success: true,
+        message: 'Coupon applied successfully',
+        data: summary
+      });
+    } catch (couponError) {
+      if (!(couponError instanceof CouponError) && !(couponError instanceof CurrencyError)) throw couponError;
+      return res.status(400).json({
+        success: false,
+        error: couponError.message
+      });
+    }
+  } catch (error) {
+    console.error('Error applying coupon:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production' 
+        ? 'Server error while applying coupon' 
+        : error.message
+    });
+  }
+});
+
+// @desc    Remove the coupon code from the cart
+// @route   DELETE /api/cart/coupon
+// @access  Public (session or guest userId)
+router.delete('/coupon', getUserId, async (req, res) => {
+  try {
+    const removed = await CartCoupon.removeFromCart(req.userId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'No coupon applied to cart'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing coupon:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production' 
+        ? 'Server error while removing coupon' 
+        : error.message
+    });
+  }
+});
+
 // @desc    Update cart item
 // @route   PUT /api/cart/:_id
-// @access  Public (with userId)
+// @access  Public (session or guest userId)
 router.put('/:_id', getUserId, async (req, res) => {
   try {
     const { _id } = req.params;
     const updates = req.body;
 
+    const existingItem = await CartItem.findOne({ _id, userId: req.userId });
+    if (!existingItem) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cart item not found'
+      });
+    }
+    // The order keeps its own copy, so an ordered item can't be changed from the cart
+    if (existingItem.orderId) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cart item is already in an order'
+      });
+    }
+
     let processedUpdates;
     try {
       processedUpdates = sanitizeCartPayload(updates, req.userId, { partial: true });
+
+      // Reprice against the merged item so spec or quantity changes can't keep a stale price
+      const mergedItem = { ...existingItem.toObject(), ...processedUpdates };
+      Object.assign(processedUpdates, await applyServerPrice(mergedItem, updates.price));
     } catch (validationError) {
       return res.status(400).json({
         success: false,
@@ -141,6 +462,31 @@ router.put('/:_id', getUserId, async (req, res) => {
       });
     }
 
+    try {
+      // Re-check print readiness when the artwork or the size changes
+      if (processedUpdates.finalImage || processedUpdates.mousepadSize !== existingItem.mousepadSize) {
+        processedUpdates.printCheck = await runPrintCheck(
+          processedUpdates.finalImage || existingItem.finalImage,
+          processedUpdates.mousepadSize
+        );
+        if (processedUpdates.printCheck.status === 'error') {
+          return res.status(422).json({
+            success: false,
+            error: 'Artwork is not print-ready',
+            printCheck: processedUpdates.printCheck
+          });
+        }
+      }
+
+      await storeArtwork(processedUpdates);
+    } catch (imageError) {
+      if (!(imageError instanceof ImageError)) throw imageError;
+      return res.status(400).json({
+        success: false,
+        error: imageError.message
+      });
+    }
+
     // Remove userId field from updates (shouldn't be changed)
     delete processedUpdates.userId;
 
@@ -169,36 +515,56 @@ router.put('/:_id', getUserId, async (req, res) => {
   }
 });
 
-// @desc    Remove item from cart
-// @route   DELETE /api/cart/:_id
-// @access  Public (with userId)
-router.delete('/:_id', getUserId, async (req, res) => {
+// @desc    Get a cart item's artwork (or its thumbnail with ?size=thumbnail)
+// @route   GET /api/cart/:_id/image
+// @access  Public (session or guest userId)
+router.get('/:_id/image', getUserId, [
+  query('size').optional().isIn(['full', 'thumbnail']).withMessage('Size must be full or thumbnail')
+], async (req, res) => {
   try {
-    const { _id } = req.params;
-
-    const deletedItem = await CartItem.removeFromCart(_id, req.userId);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
 
-    if (!deletedItem) {
+    const cartItem = await CartItem.findOne({ _id: req.params._id, userId: req.userId })
+      .select('finalImage thumbnailUrl')
+      .lean();
+    if (!cartItem) {
       return res.status(404).json({
         success: false,
         error: 'Cart item not found'
       });
     }
 
-    // No need to clean up images - they're stored as base64 in the database
-    // Images are automatically removed when the document is deleted
+    let imageUrl = cartItem.finalImage;
+    if (req.query.size === 'thumbnail') {
+      try {
+        imageUrl = await ensureThumbnail(CartItem, cartItem);
+      } catch (thumbnailError) {
+        // Fall back to the full artwork rather than a broken image
+        if (!(thumbnailError instanceof ImageError)) throw thumbnailError;
+        console.warn(`Serving full artwork for cart item ${cartItem._id}: ${thumbnailError.message}`);
+      }
+    }
 
-    res.status(200).json({
-      success: true,
-      message: 'Item removed from cart successfully',
-      data: deletedItem
-    });
+    await sendImage(req, res, imageUrl, { maxAge: IMAGE_CACHE.cartMaxAgeSeconds });
   } catch (error) {
-    console.error('Error removing item from cart:', error);
+    if (error instanceof ImageError) {
+      return res.status(502).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error fetching cart item image:', error);
     res.status(500).json({
       success: false,
-      error: process.env.NODE_ENV === 'production' 
-        ? 'Server error while removing item from cart' 
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while fetching cart item image'
         : error.message
     });
   }
@@ -206,16 +572,14 @@ router.delete('/:_id', getUserId, async (req, res) => {
 
 // @desc    Clear user's cart
 // @route   DELETE /api/cart/clear
-// @access  Public (with userId)
+// @access  Public (session or guest userId)
+// Registered before /:_id so 'clear' isn't taken as an item ID
 router.delete('/clear', getUserId, async (req, res) => {
   try {
-    // Get cart items before clearing to clean up images
-    const cartItems = await CartItem.getUserCart(req.userId);
-    
     const result = await CartItem.clearUserCart(req.userId);
 
-    // No need to clean up images - they're stored as base64 in the database
-    // Images are automatically removed when documents are deleted
+    // Images stay in storage - orders may still reference them. The artwork GC job
+    // (scripts/gc-artwork.js, /api/jobs/artwork-gc) deletes them once unreferenced.
 
     res.status(200).json({
       success: true,
@@ -233,95 +597,136 @@ router.delete('/clear', getUserId, async (req, res) => {
   }
 });
 
-// @desc    Get cart summary (count and total price)
-// @route   GET /api/cart/summary
-// @access  Public (with userId)
-router.get('/summary', getUserId, async (req, res) => {
+// @desc    Remove item from cart
+// @route   DELETE /api/cart/:_id
+// @access  Public (session or guest userId)
+router.delete('/:_id', getUserId, async (req, res) => {
   try {
-    const cartItems = await CartItem.getUserCart(req.userId);
-    
-    const summary = cartItems.reduce((acc, item) => {
-      acc.itemCount += item.quantity;
-      acc.totalPrice += item.price * item.quantity;
-      return acc;
-    }, { itemCount: 0, totalPrice: 0 });
+    const { _id } = req.params;
+
+    const deletedItem = await CartItem.removeFromCart(_id, req.userId);
+
+    if (!deletedItem) {
+      // Items that have been checked out belong to their order
+      const checkedOut = await CartItem.exists({ _id, userId: req.userId });
+      return res.status(checkedOut ? 409 : 404).json({
+        success: false,
+        error: checkedOut ? 'Cart item is already in an order' : 'Cart item not found'
+      });
+    }
+
+    // Images stay in storage - orders may still reference them. The artwork GC job
+    // (scripts/gc-artwork.js, /api/jobs/artwork-gc) deletes them once unreferenced.
 
     res.status(200).json({
       success: true,
-      data: {
-        itemCount: summary.itemCount,
-        totalPrice: summary.totalPrice,
-        currency: cartItems.length > 0 ? cartItems[0].currency : 'USD'
-      }
+      message: 'Item removed from cart successfully',
+      data: deletedItem
     });
   } catch (error) {
-    console.error('Error fetching cart summary:', error);
+    console.error('Error removing item from cart:', error);
     res.status(500).json({
       success: false,
       error: process.env.NODE_ENV === 'production' 
-        ? 'Server error while fetching cart summary' 
+        ? 'Server error while removing item from cart' 
         : error.message
     });
   }
 });
 
-router.patch('/payment', getUserId, [
-  body('status').isIn(['pending', 'paymentFailed', 'paymentSuccess', 'cancelled']).withMessage('Valid payment status is required'),
-  body('itemIds').isArray({ min: 1 }).withMessage('itemIds must be a non-empty array')
-], async (req, res) => {
+// @desc    Get cart summary (count and total price in one display currency)
+// @route   GET /api/cart/summary
+// @access  Public (session or guest userId)
+router.get('/summary', getUserId, async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
+    let summary;
+    try {
+      summary = await buildCartSummary(req.userId, req.query.currency);
+    } catch (currencyError) {
+      if (!(currencyError instanceof CurrencyError)) throw currencyError;
       return res.status(400).json({
         success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
-    const { status, itemIds } = req.body;
-
-    // Find matching cart items by userId and _id
-    const updated = await CartItem.updateMany(
-      { userId: req.userId, _id: { $in: itemIds } },
-      { $set: { status: status, updatedAt: new Date() } }
-    );
-
-    if (updated.modifiedCount === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'No cart items found or updated'
+        error: currencyError.message
       });
     }
 
-    return res.json({
+    res.status(200).json({
       success: true,
-      message: `Payment status updated for ${updated.modifiedCount} items.`,
+      data: summary
     });
-
   } catch (error) {
-    console.error('Error updating payment status:', error);
+    console.error('Error fetching cart summary:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      error: process.env.NODE_ENV === 'production' 
+        ? 'Server error while fetching cart summary' 
+        : error.message
     });
   }
 });
 
-// @desc    Get all cart items (admin endpoint)
-// @route   GET /api/cart/admin/all
+// @desc    Retired: cart item statuses now follow their order's payment (see CartItem.syncWithOrder)
+// @route   PATCH /api/cart/payment
 // @access  Public
-router.get('/admin/all', async (req, res) => {
+router.patch('/payment', (req, res) => {
+  res.status(410).json({
+    success: false,
+    error: 'Cart item payment status is updated from the order payment and can no longer be set directly'
+  });
+});
+
+// @desc    List cart items, newest first by default (admin endpoint)
+// @route   GET /api/cart/admin/all?limit=&cursor=&sort=&order=&status=&currency=&mousepadType=&from=&to=&search=&includeImages=
+// @access  Private (admin, staff)
+router.get('/admin/all', requireRole('admin', 'staff'), [
+  ...listQueryValidators(CART_SORT_FIELDS),
+  listFilterValidator('status', CartItem.schema.path('status').enumValues),
+  listFilterValidator('currency', SUPPORTED_CURRENCIES),
+  listFilterValidator('mousepadType')
+], async (req, res) => {
   try {
-    const cartItems = await CartItem.find({}).sort({ createdAt: -1 });
-    
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { status, currency, mousepadType, from, to, search, includeImages } = req.query;
+    const conditions = [];
+    if (status) conditions.push({ status: { $in: status } });
+    if (currency) conditions.push({ currency: { $in: currency } });
+    if (mousepadType) conditions.push({ mousepadType: { $in: mousepadType } });
+    const createdAt = buildDateRange(from, to);
+    if (createdAt) conditions.push({ createdAt });
+    if (search) conditions.push(await buildCartSearchFilter(search));
+
+    const { data, pagination } = await paginate(CartItem, {
+      filter: conditions.length > 0 ? { $and: conditions } : {},
+      sortFields: CART_SORT_FIELDS,
+      sort: req.query.sort,
+      order: req.query.order,
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+      // Artwork can be large, so it's only sent when asked for
+      projection: includeImages ? undefined : CART_IMAGE_FIELDS
+    });
+
     res.status(200).json({
       success: true,
-      count: cartItems.length,
-      data: cartItems
+      count: data.length,
+      pagination,
+      data
     });
   } catch (error) {
+    if (error instanceof ListingError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     console.error('Error fetching all cart items:', error);
     res.status(500).json({
       success: false,
@@ -0,0 +1,329 @@
+const express = require('express');
+const router = express.Router();
+const Product = require('../models/Product');
+const Variant = require('../models/Variant');
+const { body, validationResult } = require('express-validator');
+const { requireRole } = require('../middleware/auth');
+const { getCatalog, invalidateCatalog } = require('../utils/catalog');
+const { PRICING } = require('../config/pricing');
+const { SUPPORTED_CURRENCIES } = require('../config/currency');
+
+const PRODUCT_FIELDS = ['mousepadType', 'name', 'description', 'edgeOptions', 'active', 'sortOrder'];
+const VARIANT_FIELDS = ['sku', 'widthMm', 'lengthMm', 'thickness', 'prices', 'weightGrams', 'active'];
+
+// Pick the editable fields from a request body
+const pickFields = (payload, fields) => {
+  return fields.reduce((picked, key) => {
+    if (payload[key] !== undefined) picked[key] = payload[key];
+    return picked;
+  }, {});
+};
+
+// Prices are keyed by supported currency
+const validatePrices = (prices) => {
+  if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+    throw new Error('Prices must be an object keyed by currency');
+  }
+  Object.entries(prices).forEach(([currency, amount]) => {
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      throw new Error(`Unsupported currency: ${currency}`);
+    }
+    if (typeof amount !== 'number' || amount < 0) {
+      throw new Error(`Price in ${currency} must be a non-negative number`);
+    }
+  });
+  return true;
+};
+
+// Validation shared by product create and update (update makes every field optional)
+const productValidators = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    field('mousepadType').isString().trim().notEmpty().withMessage('mousepadType is required'),
+    field('name').isString().trim().notEmpty().withMessage('Name is required'),
+    body('description').optional().isString(),
+    body('edgeOptions').optional().isArray().withMessage('Edge options must be an array'),
+    body('edgeOptions.*.id').isString().trim().notEmpty().withMessage('Edge option id is required'),
+    body('edgeOptions.*.label').isString().trim().notEmpty().withMessage('Edge option label is required'),
+    body('edgeOptions.*.surcharges').optional().custom(validatePrices),
+    body('edgeOptions.*.active').optional().isBoolean(),
+    body('active').optional().isBoolean(),
+    body('sortOrder').optional().isInt()
+  ];
+};
+
+// Validation shared by variant create and update (update makes every field optional)
+const variantValidators = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    body('sku').optional().isString().trim().notEmpty(),
+    field('widthMm').isInt({ min: 1 }).withMessage('Width must be a positive number of millimetres'),
+    field('lengthMm').isInt({ min: 1 }).withMessage('Length must be a positive number of millimetres'),
+    field('thickness').isString().trim().notEmpty().withMessage('Thickness is required'),
+    field('prices').custom(validatePrices),
+    field('weightGrams').isFloat({ min: 0 }).withMessage('Weight must be a non-negative number of grams'),
+    body('active').optional().isBoolean()
+  ];
+};
+
+// Turn duplicate keys and schema validation failures into a 4xx, anything else into a 500
+const handleCatalogError = (res, error, action) => {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'A product or variant with these details already exists'
+    });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({
+    success: false,
+    error: process.env.NODE_ENV === 'production'
+      ? `Server error while ${action}`
+      : error.message
+  });
+};
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    errors: errors.array()
+  });
+  return true;
+};
+
+// @desc    Get the active catalog for the customizer
+// @route   GET /api/catalog
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const catalog = await getCatalog();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        currencies: SUPPORTED_CURRENCIES,
+        quantityDiscounts: PRICING.quantityDiscounts,
+        products: catalog.products.map(product => ({
+          mousepadType: product.mousepadType,
+          name: product.name,
+          description: product.description,
+          edgeOptions: product.edgeOptions.map(edge => ({ id: edge.id, label: edge.label, surcharges: edge.surcharges })),
+          variants: product.variants.map(variant => ({
+            sku: variant.sku,
+            mousepadSize: variant.mousepadSize,
+            widthMm: variant.widthMm,
+            lengthMm: variant.lengthMm,
+            thickness: variant.thickness,
+            prices: variant.prices,
+            weightGrams: variant.weightGrams
+          }))
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching catalog:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while fetching catalog'
+        : error.message
+    });
+  }
+});
+
+// @desc    Get all products and variants, including inactive ones (admin endpoint)
+// @route   GET /api/catalog/admin/products
+// @access  Private (admin)
+router.get('/admin/products', requireRole('admin'), async (req, res) => {
+  try {
+    const catalog = await getCatalog({ includeInactive: true });
+
+    res.status(200).json({
+      success: true,
+      source: catalog.source,
+      count: catalog.products.length,
+      data: catalog.products
+    });
+  } catch (error) {
+    handleCatalogError(res, error, 'fetching products');
+  }
+});
+
+// @desc    Create a product (admin endpoint)
+// @route   POST /api/catalog/admin/products
+// @access  Private (admin)
+router.post('/admin/products', requireRole('admin'), productValidators(false), async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const product = await Product.create(pickFields(req.body, PRODUCT_FIELDS));
+    invalidateCatalog();
+
+    res.status(201).json({
+      success: true,
+      message: 'Product created successfully',
+      data: product
+    });
+  } catch (error) {
+    handleCatalogError(res, error, 'creating product');
+  }
+});
+
+// @desc    Update a product (admin endpoint)
+// @route   PATCH /api/catalog/admin/products/:_id
+// @access  Private (admin)
+router.patch('/admin/products/:_id', requireRole('admin'), productValidators(true), async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const product = await Product.findByIdAndUpdate(
+      req.params._id,
+      { $set: pickFields(req.body, PRODUCT_FIELDS) },
+      { new: true, runValidators: true }
+    );
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+    invalidateCatalog();
+
+    res.status(200).json({
+      success: true,
+      message: 'Product updated successfully',
+      data: product
+    });
+  } catch (error) {
+    handleCatalogError(res, error, 'updating product');
+  }
+});
+
+// @desc    Deactivate a product (admin endpoint)
+// @route   DELETE /api/catalog/admin/products/:_id
+// @access  Private (admin)
+router.delete('/admin/products/:_id', requireRole('admin'), async (req, res) => {
+  try {
+    // Products are kept for the carts and orders that reference them, only switched off
+    const product = await Product.findByIdAndUpdate(
+      req.params._id,
+      { $set: { active: false } },
+      { new: true }
+    );
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+    invalidateCatalog();
+
+    res.status(200).json({
+      success: true,
+      message: 'Product deactivated successfully',
+      data: product
+    });
+  } catch (error) {
+    handleCatalogError(res, error, 'deactivating product');
+  }
+});
+
+// @desc    Add a variant (size + thickness) to a product (admin endpoint)
+// @route   POST /api/catalog/admin/products/:_id/variants
+// @access  Private (admin)
+router.post('/admin/products/:_id/variants', requireRole('admin'), variantValidators(false), async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const product = await Product.findById(req.params._id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    const variant = await Variant.create({ ...pickFields(req.body, VARIANT_FIELDS), product: product._id });
+    invalidateCatalog();
+
+    res.status(201).json({
+      success: true,
+      message: 'Variant created successfully',
+      data: variant
+    });
+  } catch (error) {
+    handleCatalogError(res, error, 'creating variant');
+  }
+});
+
+// @desc    Update a variant (admin endpoint)
+// @route   PATCH /api/catalog/admin/variants/:_id
+// @access  Private (admin)
+router.patch('/admin/variants/:_id', requireRole('admin'), variantValidators(true), async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    // Loaded and saved so mousepadSize follows changed dimensions
+    const variant = await Variant.findById(req.params._id);
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        error: 'Variant not found'
+      });
+    }
+
+    variant.set(pickFields(req.body, VARIANT_FIELDS));
+    await variant.save();
+    invalidateCatalog();
+
+    res.status(200).json({
+      success: true,
+      message: 'Variant updated successfully',
+      data: variant
+    });
+  } catch (error) {
+    handleCatalogError(res, error, 'updating variant');
+  }
+});
+
+// @desc    Deactivate a variant (admin endpoint)
+// @route   DELETE /api/catalog/admin/variants/:_id
+// @access  Private (admin)
+router.delete('/admin/variants/:_id', requireRole('admin'), async (req, res) => {
+  try {
+    const variant = await Variant.findByIdAndUpdate(
+      req.params._id,
+      { $set: { active: false } },
+      { new: true }
+    );
+
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        error: 'Variant not found'
+      });
+    }
+    invalidateCatalog();
+
+    res.status(200).json({
+      success: true,
+      message: 'Variant deactivated successfully',
+      data: variant
+    });
+  } catch (error) {
+    handleCatalogError(res, error, 'deactivating variant');
+  }
+});
+
+module.exports = router;
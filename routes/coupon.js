@@ -0,0 +1,179 @@
+const express = require('express');
+const router = express.Router();
+const Coupon = require('../models/Coupon');
+const { body, validationResult } = require('express-validator');
+const { requireRole } = require('../middleware/auth');
+const { SUPPORTED_CURRENCIES } = require('../config/currency');
+
+const COUPON_FIELDS = [
+  'code', 'description', 'type', 'value', 'currency', 'minSubtotal',
+  'maxUses', 'maxUsesPerUser', 'startsAt', 'expiresAt', 'active', 'restrictions'
+];
+
+// Validation shared by create and update (update makes every field optional)
+const couponValidators = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    field('code').isString().trim().notEmpty().withMessage('Code is required'),
+    field('type').isIn(['percent', 'fixed']).withMessage('Type must be percent or fixed'),
+    field('value').isFloat({ gt: 0 }).withMessage('Value must be a positive number'),
+    body('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage('Unsupported currency'),
+    body('minSubtotal').optional().isFloat({ min: 0 }).withMessage('Minimum subtotal must be a number'),
+    body('maxUses').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('maxUses must be a positive integer'),
+    body('maxUsesPerUser').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('maxUsesPerUser must be a positive integer'),
+    body('startsAt').optional({ values: 'null' }).isISO8601().withMessage('startsAt must be a date'),
+    body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('expiresAt must be a date'),
+    body('active').optional().isBoolean(),
+    body('restrictions.mousepadTypes').optional().isArray(),
+    body('restrictions.mousepadSizes').optional().isArray()
+  ];
+};
+
+// Pick the editable coupon fields from a request body
+const pickCouponFields = (payload) => {
+  return COUPON_FIELDS.reduce((fields, key) => {
+    if (payload[key] !== undefined) fields[key] = payload[key];
+    return fields;
+  }, {});
+};
+
+// @desc    Get all coupons (admin endpoint)
+// @route   GET /api/coupon/admin/all
+// @access  Private (admin)
+router.get('/admin/all', requireRole('admin'), async (req, res) => {
+  try {
+    const coupons = await Coupon.find({}).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: coupons.length,
+      data: coupons
+    });
+  } catch (error) {
+    console.error('Error fetching coupons:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while fetching coupons'
+        : error.message
+    });
+  }
+});
+
+// @desc    Create a coupon (admin endpoint)
+// @route   POST /api/coupon/admin
+// @access  Private (admin)
+router.post('/admin', requireRole('admin'), couponValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (await Coupon.findByCode(req.body.code)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A coupon with this code already exists'
+      });
+    }
+
+    const coupon = await Coupon.create(pickCouponFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while creating coupon'
+        : error.message
+    });
+  }
+});
+
+// @desc    Update a coupon (admin endpoint)
+// @route   PATCH /api/coupon/admin/:_id
+// @access  Private (admin)
+router.patch('/admin/:_id', requireRole('admin'), couponValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // usedCount is maintained by checkout and can't be edited
+    const coupon = await Coupon.findByIdAndUpdate(
+      req.params._id,
+      { $set: pickCouponFields(req.body) },
+      { new: true, runValidators: true }
+    );
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        error: 'Coupon not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Error updating coupon:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while updating coupon'
+        : error.message
+    });
+  }
+});
+
+// @desc    Deactivate a coupon (admin endpoint)
+// @route   DELETE /api/coupon/admin/:_id
+// @access  Private (admin)
+router.delete('/admin/:_id', requireRole('admin'), async (req, res) => {
+  try {
+    // Coupons are kept for the orders that used them, only switched off
+    const coupon = await Coupon.findByIdAndUpdate(
+      req.params._id,
+      { $set: { active: false } },
+      { new: true }
+    );
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        error: 'Coupon not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon deactivated successfully',
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Error deactivating coupon:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while deactivating coupon'
+        : error.message
+    });
+  }
+});
+
+module.exports = router;
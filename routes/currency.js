@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const ExchangeRate = require('../models/ExchangeRate');
+const { body, param, validationResult } = require('express-validator');
+const { requireRole, getActor } = require('../middleware/auth');
+const { getRates, loadRatesFromFile, CurrencyError } = require('../utils/currency');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY, EXCHANGE_RATES_FILE } = require('../config/currency');
+
+// @desc    Get current exchange rates
+// @route   GET /api/currency/rates
+// @access  Public
+router.get('/rates', async (req, res) => {
+  try {
+    const rates = await getRates();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        base: BASE_CURRENCY,
+        currencies: SUPPORTED_CURRENCIES,
+        rates
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while fetching exchange rates'
+        : error.message
+    });
+  }
+});
+
+// @desc    Set the exchange rate for a currency by hand (admin endpoint)
+// @route   PUT /api/currency/admin/rates/:currency
+// @access  Private (admin)
+router.put('/admin/rates/:currency', requireRole('admin'), [
+  param('currency')
+    .isIn(SUPPORTED_CURRENCIES.filter(currency => currency !== BASE_CURRENCY))
+    .withMessage('Unsupported currency'),
+  body('rate').isFloat({ gt: 0 }).withMessage('Rate must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const rate = await ExchangeRate.setRate(req.params.currency, Number(req.body.rate), {
+      source: 'manual',
+      updatedBy: getActor(req)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate updated successfully',
+      data: rate
+    });
+  } catch (error) {
+    console.error('Error updating exchange rate:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while updating exchange rate'
+        : error.message
+    });
+  }
+});
+
+// @desc    Load exchange rates from the configured local file (admin endpoint)
+// @route   POST /api/currency/admin/rates/load
+// @access  Private (admin)
+router.post('/admin/rates/load', requireRole('admin'), async (req, res) => {
+  try {
+    if (!EXCHANGE_RATES_FILE) {
+      return res.status(400).json({
+        success: false,
+        error: 'EXCHANGE_RATES_FILE is not configured'
+      });
+    }
+
+    const rates = await loadRatesFromFile(EXCHANGE_RATES_FILE, getActor(req));
+
+    res.status(200).json({
+      success: true,
+      message: `Loaded ${rates.length} exchange rates`,
+      data: rates
+    });
+  } catch (error) {
+    if (error instanceof CurrencyError || error instanceof SyntaxError || error.code === 'ENOENT') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error loading exchange rates:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while loading exchange rates'
+        : error.message
+    });
+  }
+});
+
+module.exports = router;
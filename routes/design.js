@@ -0,0 +1,453 @@
+const express = require('express');
+const router = express.Router();
+const Design = require('../models/Design');
+const CartItem = require('../models/CartItem');
+const { body, query, validationResult } = require('express-validator');
+const { getUserId } = require('../middleware/auth');
+const { ImageError } = require('../utils/imageProcessor');
+const { ensureThumbnail } = require('../utils/thumbnails');
+const { designImageLinks, sendImage } = require('../utils/imageDelivery');
+const { validateImageUrl, storeArtwork } = require('../utils/artwork');
+const { runPrintCheck } = require('../utils/printCheck');
+const { paginate, buildDateRange, buildSearchFilter, ListingError } = require('../utils/listing');
+const { listQueryValidators } = require('../middleware/listing');
+const { IMAGE_CACHE } = require('../config/storage');
+const { DESIGN_LIBRARY } = require('../config/design');
+
+// Library sort fields (and their types); list views leave the artwork and customizer state out
+const DESIGN_SORT_FIELDS = { updatedAt: 'date', createdAt: 'date' };
+const DESIGN_IMAGE_FIELDS = '-finalImage -originalImageUrl';
+const DESIGN_LIST_FIELDS = `${DESIGN_IMAGE_FIELDS} -configuration`;
+
+// Fields copied when a design is saved from a cart item or duplicated
+const DESIGN_COPY_FIELDS = [
+  'finalImage', 'finalImagePublicId', 'originalImageUrl', 'originalImagePublicId',
+  'thumbnailUrl', 'thumbnailPublicId', 'mousepadType', 'mousepadSize', 'thickness', 'edge', 'printCheck'
+];
+
+const copyFields = (source) => {
+  return DESIGN_COPY_FIELDS.reduce((fields, key) => {
+    if (source[key] !== undefined && source[key] !== null) fields[key] = source[key];
+    return fields;
+  }, {});
+};
+
+// Validation shared by save and update (update makes the artwork optional)
+const designValidators = () => [
+  body('name').optional().isString().trim()
+    .isLength({ min: 1, max: DESIGN_LIBRARY.nameMaxLength })
+    .withMessage(`Name must be 1-${DESIGN_LIBRARY.nameMaxLength} characters`),
+  body('configuration').optional().custom(value => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error('Configuration must be an object');
+    }
+    if (Buffer.byteLength(JSON.stringify(value)) > DESIGN_LIBRARY.maxConfigurationBytes) {
+      throw new Error(`Configuration must be smaller than ${Math.round(DESIGN_LIBRARY.maxConfigurationBytes / 1024)}KB`);
+    }
+    return true;
+  })
+];
+
+// Extract the editable design fields from a request body (specs accepted in the same shapes as the cart)
+const sanitizeDesignPayload = (payload, { partial = false } = {}) => {
+  const provided = {
+    name: payload.name,
+    configuration: payload.configuration,
+    mousepadType: payload.mousepadType || payload.specs?.type || payload.configuration?.mousepadType,
+    mousepadSize: payload.mousepadSize || payload.specs?.size || payload.configuration?.mousepadSize,
+    thickness: payload.thickness || payload.specs?.thickness || payload.configuration?.thickness,
+    edge: payload.edge || payload.specs?.edge || payload.configuration?.edge
+  };
+
+  const fields = {};
+  Object.keys(provided).forEach(key => {
+    if (provided[key] !== undefined && provided[key] !== null && provided[key] !== '') {
+      fields[key] = provided[key];
+    }
+  });
+
+  const finalImage = payload.finalImage || payload.image;
+  if (finalImage || !partial) {
+    fields.finalImage = validateImageUrl(finalImage, 'finalImage', partial);
+  }
+  if (payload.originalImageUrl || !partial) {
+    fields.originalImageUrl = validateImageUrl(payload.originalImageUrl, 'originalImageUrl', partial);
+  }
+
+  return fields;
+};
+
+// Answer 409 when the user's library has no room for another design
+const libraryFull = async (req, res) => {
+  if (await Design.countForUser(req.userId) < DESIGN_LIBRARY.maxDesigns) return false;
+  res.status(409).json({
+    success: false,
+    error: `Design library is full (at most ${DESIGN_LIBRARY.maxDesigns} designs), delete one first`
+  });
+  return true;
+};
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    errors: errors.array()
+  });
+  return true;
+};
+
+// @desc    List the user's saved designs, most recently edited first by default
+// @route   GET /api/design?limit=&cursor=&sort=&order=&from=&to=&search=&includeImages=
+// @access  Public (session or guest userId)
+router.get('/', getUserId, listQueryValidators(DESIGN_SORT_FIELDS), async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { from, to, search, includeImages } = req.query;
+    const conditions = [{ userId: req.userId }];
+    const createdAt = buildDateRange(from, to);
+    if (createdAt) conditions.push({ createdAt });
+    if (search) conditions.push(buildSearchFilter(search, ['name']));
+
+    const { data, pagination } = await paginate(Design, {
+      filter: { $and: conditions },
+      sortFields: DESIGN_SORT_FIELDS,
+      sort: req.query.sort || 'updatedAt',
+      order: req.query.order,
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+      projection: includeImages ? '-configuration' : DESIGN_LIST_FIELDS
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data: includeImages ? data : data.map(design => ({ ...design, ...designImageLinks(req, design) })),
+      pagination
+    });
+  } catch (error) {
+    if (error instanceof ListingError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error fetching designs:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while fetching designs'
+        : error.message
+    });
+  }
+});
+
+// @desc    Save a design, from artwork and customizer state or from one of the user's cart items
+// @route   POST /api/design
+// @access  Public (session or guest userId)
+router.post('/', getUserId, [
+  ...designValidators(),
+  body('cartItemId').optional().isMongoId().withMessage('Cart item ID must be valid')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    if (await libraryFull(req, res)) return;
+
+    // A cart item's artwork is already stored and print-checked, so it's copied as-is
+    if (req.body.cartItemId) {
+      const cartItem = await CartItem.findOne({ _id: req.body.cartItemId, userId: req.userId }).lean();
+      if (!cartItem) {
+        return res.status(404).json({
+          success: false,
+          error: 'Cart item not found'
+        });
+      }
+
+      const design = await Design.create({
+        ...copyFields(cartItem),
+        userId: req.userId,
+        name: req.body.name,
+        configuration: req.body.configuration
+      });
+      // The cart item now has a source design, like one added from the library
+      await CartItem.updateOne({ _id: cartItem._id, designId: { $exists: false } }, { $set: { designId: design._id } });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Design saved successfully',
+        data: design
+      });
+    }
+
+    let fields;
+    try {
+      fields = sanitizeDesignPayload(req.body);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    try {
+      // Recorded for the customer; only adding the design to the cart requires print-ready artwork
+      if (fields.mousepadSize) {
+        fields.printCheck = await runPrintCheck(fields.finalImage, fields.mousepadSize);
+      }
+
+      await storeArtwork(fields);
+    } catch (imageError) {
+      if (!(imageError instanceof ImageError)) throw imageError;
+      return res.status(400).json({
+        success: false,
+        error: imageError.message
+      });
+    }
+
+    const design = await Design.create({ ...fields, userId: req.userId });
+
+    res.status(201).json({
+      success: true,
+      message: 'Design saved successfully',
+      data: design
+    });
+  } catch (error) {
+    console.error('Error saving design:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while saving design'
+        : error.message
+    });
+  }
+});
+
+// @desc    Get a saved design with its artwork and customizer state
+// @route   GET /api/design/:_id
+// @access  Public (session or guest userId)
+router.get('/:_id', getUserId, async (req, res) => {
+  try {
+    const design = await Design.findOwned(req.params._id, req.userId);
+    if (!design) {
+      return res.status(404).json({
+        success: false,
+        error: 'Design not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: design
+    });
+  } catch (error) {
+    console.error('Error fetching design:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while fetching design'
+        : error.message
+    });
+  }
+});
+
+// @desc    Get a design's artwork (or its thumbnail with ?size=thumbnail)
+// @route   GET /api/design/:_id/image
+// @access  Public (session or guest userId)
+router.get('/:_id/image', getUserId, [
+  query('size').optional().isIn(['full', 'thumbnail']).withMessage('Size must be full or thumbnail')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const design = await Design.findOwned(req.params._id, req.userId)
+      .select('finalImage thumbnailUrl')
+      .lean();
+    if (!design) {
+      return res.status(404).json({
+        success: false,
+        error: 'Design not found'
+      });
+    }
+
+    let imageUrl = design.finalImage;
+    if (req.query.size === 'thumbnail') {
+      try {
+        imageUrl = await ensureThumbnail(Design, design);
+      } catch (thumbnailError) {
+        // Fall back to the full artwork rather than a broken image
+        if (!(thumbnailError instanceof ImageError)) throw thumbnailError;
+        console.warn(`Serving full artwork for design ${design._id}: ${thumbnailError.message}`);
+      }
+    }
+
+    await sendImage(req, res, imageUrl, { maxAge: IMAGE_CACHE.cartMaxAgeSeconds });
+  } catch (error) {
+    if (error instanceof ImageError) {
+      return res.status(502).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error fetching design image:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while fetching design image'
+        : error.message
+    });
+  }
+});
+
+// @desc    Rename a design or save changes to its artwork, specs or customizer state
+// @route   PATCH /api/design/:_id
+// @access  Public (session or guest userId)
+router.patch('/:_id', getUserId, designValidators(), async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const existing = await Design.findOwned(req.params._id, req.userId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Design not found'
+      });
+    }
+
+    let updates;
+    try {
+      updates = sanitizeDesignPayload(req.body, { partial: true });
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    try {
+      // Re-check print readiness when the artwork or the size changes
+      const mousepadSize = updates.mousepadSize || existing.mousepadSize;
+      if (mousepadSize && (updates.finalImage || updates.mousepadSize !== existing.mousepadSize)) {
+        updates.printCheck = await runPrintCheck(updates.finalImage || existing.finalImage, mousepadSize);
+      }
+
+      await storeArtwork(updates);
+    } catch (imageError) {
+      if (!(imageError instanceof ImageError)) throw imageError;
+      return res.status(400).json({
+        success: false,
+        error: imageError.message
+      });
+    }
+
+    // Cart items and orders made from the design keep their own copy of the artwork
+    const design = await Design.findOneAndUpdate(
+      { _id: existing._id, userId: req.userId },
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    if (!design) {
+      return res.status(404).json({
+        success: false,
+        error: 'Design not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Design updated successfully',
+      data: design
+    });
+  } catch (error) {
+    console.error('Error updating design:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while updating design'
+        : error.message
+    });
+  }
+});
+
+// @desc    Duplicate a design (the copy shares the stored artwork)
+// @route   POST /api/design/:_id/duplicate
+// @access  Public (session or guest userId)
+router.post('/:_id/duplicate', getUserId, [
+  body('name').optional().isString().trim()
+    .isLength({ min: 1, max: DESIGN_LIBRARY.nameMaxLength })
+    .withMessage(`Name must be 1-${DESIGN_LIBRARY.nameMaxLength} characters`)
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const original = await Design.findOwned(req.params._id, req.userId).lean();
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        error: 'Design not found'
+      });
+    }
+
+    if (await libraryFull(req, res)) return;
+
+    const name = req.body.name || `${original.name} (copy)`.slice(0, DESIGN_LIBRARY.nameMaxLength);
+    const design = await Design.create({
+      ...copyFields(original),
+      userId: req.userId,
+      name,
+      configuration: original.configuration
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Design duplicated successfully',
+      data: design
+    });
+  } catch (error) {
+    console.error('Error duplicating design:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while duplicating design'
+        : error.message
+    });
+  }
+});
+
+// @desc    Delete a saved design
+// @route   DELETE /api/design/:_id
+// @access  Public (session or guest userId)
+router.delete('/:_id', getUserId, async (req, res) => {
+  try {
+    const design = await Design.findOneAndDelete({ _id: req.params._id, userId: req.userId });
+
+    if (!design) {
+      return res.status(404).json({
+        success: false,
+        error: 'Design not found'
+      });
+    }
+
+    // Images stay in storage - cart items and orders may still reference them. The artwork GC job
+    // (scripts/gc-artwork.js, /api/jobs/artwork-gc) deletes them once unreferenced.
+
+    res.status(200).json({
+      success: true,
+      message: 'Design deleted successfully',
+      data: { _id: design._id }
+    });
+  } catch (error) {
+    console.error('Error deleting design:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while deleting design'
+        : error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const EmailSuppression = require('../models/EmailSuppression');
+const { verifyUnsubscribeToken } = require('../utils/email/unsubscribe');
+
+// Handles both the link in the email (GET) and one-click unsubscribe from mail clients (POST)
+const unsubscribe = async (req, res) => {
+  try {
+    const { email, token } = req.query;
+
+    if (!email || !token || !verifyUnsubscribeToken(email, token)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid unsubscribe link'
+      });
+    }
+
+    await EmailSuppression.suppress(email, 'unsubscribe');
+
+    res.status(200).json({
+      success: true,
+      message: 'You have been unsubscribed from cart reminder emails'
+    });
+  } catch (error) {
+    console.error('Error unsubscribing email:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while unsubscribing'
+        : error.message
+    });
+  }
+};
+
+// @desc    Unsubscribe an address from cart reminder emails
+// @route   GET /api/email/unsubscribe?email=&token=
+// @access  Public (signed link)
+router.get('/unsubscribe', unsubscribe);
+
+// @desc    One-click unsubscribe (RFC 8058)
+// @route   POST /api/email/unsubscribe?email=&token=
+// @access  Public (signed link)
+router.post('/unsubscribe', unsubscribe);
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const { requireCronSecret } = require('../middleware/auth');
+const { collectArtworkGarbage } = require('../utils/artworkGc');
+const { runAbandonedCartJob } = require('../utils/abandonedCarts');
+const { processOutbox } = require('../utils/email/outbox');
+
+// @desc    Delete stored artwork no cart item, order or saved design references
+// @route   GET /api/jobs/artwork-gc?dryRun=true
+// @access  Private (cron secret or API key)
+router.get('/artwork-gc', requireCronSecret, async (req, res) => {
+  try {
+    const report = await collectArtworkGarbage({
+      dryRun: req.query.dryRun === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error collecting orphaned artwork:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while collecting orphaned artwork'
+        : error.message
+    });
+  }
+});
+
+// @desc    Expire stale carts and email abandoned cart reminders
+// @route   GET /api/jobs/abandoned-carts?dryRun=true
+// @access  Private (cron secret or API key)
+router.get('/abandoned-carts', requireCronSecret, async (req, res) => {
+  try {
+    const report = await runAbandonedCartJob({
+      dryRun: req.query.dryRun === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error processing abandoned carts:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while processing abandoned carts'
+        : error.message
+    });
+  }
+});
+
+// @desc    Send queued emails that are due (new and retried)
+// @route   GET /api/jobs/email-outbox
+// @access  Private (cron secret or API key)
+router.get('/email-outbox', requireCronSecret, async (req, res) => {
+  try {
+    const report = await processOutbox();
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error processing email outbox:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while processing email outbox'
+        : error.message
+    });
+  }
+});
+
+module.exports = router;
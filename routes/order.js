@@ -2,29 +2,199 @@ const express = require('express');
 const router = express.Router();
 const Order = require('../models/Order');
 const CartItem = require('../models/CartItem');
-const { body, validationResult } = require('express-validator');
+const CartCoupon = require('../models/CartCoupon');
+const { body, header, param, query, validationResult } = require('express-validator');
+const { Readable, pipeline } = require('stream');
+const { getUserId, requireRole, getActor } = require('../middleware/auth');
+const { SUPPORTED_CURRENCIES } = require('../config/currency');
+const { CARRIERS } = require('../config/shipping');
+const { RATE_LIMITS } = require('../config/api');
+const { rateLimit } = require('../middleware/rateLimit');
+const { amountsMatch, PricingError } = require('../utils/pricing');
+const { quoteCheckout, placeOrder, fingerprintCheckout, CheckoutError } = require('../utils/checkout');
+const { CurrencyError } = require('../utils/currency');
+const { findCoupon, redeemCoupon, releaseCoupon, CouponError } = require('../utils/coupons');
+const { notifyOrder } = require('../utils/notifications');
+const { transitionOrder, applyOrderChange, getAvailableTransitions, ORDER_TRANSITIONS, OrderStatusError } = require('../utils/orderStatus');
+const { addShipment, updateShipment, ShipmentError } = require('../utils/shipments');
+const { cancelOrder, issueRefund, RefundError } = require('../utils/refunds');
+const { paginate, buildDateRange, buildSearchFilter, ListingError } = require('../utils/listing');
+const { listQueryValidators, listRangeValidators, listFilterValidator } = require('../middleware/listing');
+const { resolveExportOptions, ordersToCsv, EXPORT_COLUMNS, ExportError } = require('../utils/orderExport');
+const { ensureInvoiceNumber, renderInvoicePdf, InvoiceError } = require('../utils/invoices');
+const { loadProductionOrders, markInProduction, writeProductionPackage, ProductionError } = require('../utils/production');
+const { ImageError } = require('../utils/imageProcessor');
+const { ensureThumbnail } = require('../utils/thumbnails');
+const { orderItemImageLinks, sendImage } = require('../utils/imageDelivery');
+const { IMAGE_CACHE } = require('../config/storage');
 
-// Middleware to get userId from request body, query params, or headers
-const getUserId = (req, res, next) => {
-  const userId = req.body.userId || req.query.userId || req.headers['x-user-id'];
-  if (!userId) {
-    return res.status(400).json({
+// Admin list sort fields (and their types) and search fields; list views leave the artwork out by default
+const ORDER_SORT_FIELDS = { createdAt: 'date', updatedAt: 'date', total: 'number' };
+const ORDER_SEARCH_FIELDS = ['customerInfo.firstName', 'customerInfo.lastName', 'customerInfo.email', 'orderNumber'];
+const ORDER_IMAGE_FIELDS = '-items.finalImage -items.originalImageUrl';
+
+// Filters shared by the admin order list and the CSV export
+const orderFilterValidators = () => [
+  listFilterValidator('status', Order.schema.path('status').enumValues),
+  listFilterValidator('paymentStatus', Order.schema.path('paymentStatus').enumValues),
+  listFilterValidator('currency', SUPPORTED_CURRENCIES),
+  listFilterValidator('mousepadType')
+];
+
+// Build the Mongo filter for validated admin list/export query parameters
+const buildAdminOrderFilter = ({ status, paymentStatus, currency, mousepadType, from, to, search }) => {
+  const conditions = [];
+  if (status) conditions.push({ status: { $in: status } });
+  if (paymentStatus) conditions.push({ paymentStatus: { $in: paymentStatus } });
+  if (currency) conditions.push({ currency: { $in: currency } });
+  if (mousepadType) conditions.push({ 'items.mousepadType': { $in: mousepadType } });
+  const createdAt = buildDateRange(from, to);
+  if (createdAt) conditions.push({ createdAt });
+  const searchFilter = buildSearchFilter(search, ORDER_SEARCH_FIELDS);
+  if (searchFilter) conditions.push(searchFilter);
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+// Load the requested cart items for the user, in request order
+// Returns null if any item is missing or belongs to someone else
+const loadCartItems = async (userId, items) => {
+  const cartItemIds = items.map(item => String(item.cartItemId));
+  const cartItems = await CartItem.find({
+    _id: { $in: cartItemIds },
+    userId: userId
+  });
+
+  if (cartItems.length !== cartItemIds.length) {
+    return null;
+  }
+  return cartItemIds.map(id => cartItems.find(ci => ci._id.toString() === id));
+};
+
+// Resolve the coupon for a checkout: an explicit couponCode (null or '' for none),
+// otherwise the code applied to the cart
+const resolveCoupon = async (userId, couponCode) => {
+  let code = couponCode;
+  if (code === undefined) {
+    const cartCoupon = await CartCoupon.getForUser(userId);
+    code = cartCoupon ? cartCoupon.code : null;
+  }
+  return code ? findCoupon(code) : null;
+};
+
+// Answer a retried checkout with the order its Idempotency-Key already created
+// Returns true when a response was sent
+const replayCheckout = async (res, userId, idempotency) => {
+  const order = await Order.findByIdempotencyKey(userId, idempotency.key);
+  if (!order) return false;
+
+  if (order.idempotency.fingerprint !== idempotency.fingerprint) {
+    res.status(422).json({
       success: false,
-      error: 'User ID is required'
+      error: 'Idempotency-Key was already used for a different checkout'
     });
+    return true;
+  }
+
+  res.set('Idempotent-Replayed', 'true');
+  res.status(201).json({
+    success: true,
+    message: 'Order created successfully',
+    data: order
+  });
+  return true;
+};
+
+// Build a checkout quote, turning pricing/shipping/coupon problems into a 400 response
+const buildQuote = async (res, { couponCode, ...params }) => {
+  try {
+    const coupon = await resolveCoupon(params.userId, couponCode);
+    return await quoteCheckout({ ...params, coupon });
+  } catch (error) {
+    if (error instanceof PricingError || error instanceof CheckoutError
+      || error instanceof CurrencyError || error instanceof CouponError) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+      return null;
+    }
+    throw error;
   }
-  req.userId = userId;
-  next();
 };
 
-// @desc    Create new order from checkout
+// @desc    Quote shipping options, tax and total for a checkout
+// @route   POST /api/order/quote
+// @access  Public (session or guest userId)
+router.post('/quote', getUserId, [
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.cartItemId').notEmpty().withMessage('Cart item ID is required'),
+  body('customerInfo.address.country').optional().isString(),
+  body('customerInfo.address.state').optional().isString(),
+  body('shippingOptionId').optional().isString(),
+  body('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage('Unsupported currency'),
+  body('couponCode').optional({ values: 'null' }).isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { items, customerInfo, shippingOptionId, currency, couponCode } = req.body;
+
+    const cartItems = await loadCartItems(req.userId, items);
+    if (!cartItems) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some cart items do not belong to you or do not exist'
+      });
+    }
+
+    const quote = await buildQuote(res, {
+      cartItems,
+      address: (customerInfo && customerInfo.address) || {},
+      shippingOptionId,
+      currency,
+      couponCode,
+      userId: req.userId
+    });
+    if (!quote) return;
+
+    res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    console.error('Error quoting checkout:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production' 
+        ? 'Server error while quoting checkout' 
+        : error.message
+    });
+  }
+});
+
+// @desc    Create new order from checkout, taking the items out of the cart
 // @route   POST /api/order
-// @access  Public (with userId)
+// @access  Public (session or guest userId)
+// Send an Idempotency-Key header to make retries safe: a repeat returns the original order
 router.post('/', getUserId, [
+  header('Idempotency-Key').optional().isString().trim().isLength({ min: 1, max: 255 })
+    .withMessage('Idempotency-Key must be 1-255 characters'),
   body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
   body('items.*.cartItemId').notEmpty().withMessage('Cart item ID is required'),
-  body('subtotal').isNumeric().withMessage('Subtotal must be a number'),
-  body('total').isNumeric().withMessage('Total must be a number'),
+  body('subtotal').optional().isNumeric().withMessage('Subtotal must be a number'),
+  body('shipping').optional().isNumeric().withMessage('Shipping must be a number'),
+  body('tax').optional().isNumeric().withMessage('Tax must be a number'),
+  body('total').optional().isNumeric().withMessage('Total must be a number'),
+  body('shippingOptionId').optional().isString(),
+  body('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage('Unsupported currency'),
+  body('couponCode').optional({ values: 'null' }).isString(),
+  body('discount').optional().isNumeric().withMessage('Discount must be a number'),
   body('customerInfo.firstName').notEmpty().withMessage('First name is required'),
   body('customerInfo.lastName').notEmpty().withMessage('Last name is required'),
   body('customerInfo.email').isEmail().withMessage('Valid email is required'),
@@ -43,66 +213,162 @@ router.post('/', getUserId, [
       });
     }
 
-    const { items, subtotal, shipping, tax, total, currency, customerInfo } = req.body;
+    const {
+      items, subtotal, discount, shipping, tax, total, currency, customerInfo, shippingOptionId, couponCode
+    } = req.body;
     const userId = req.userId;
 
-    // Verify all cart items belong to the user
-    const cartItemIds = items.map(item => item.cartItemId);
-    const cartItems = await CartItem.find({
-      _id: { $in: cartItemIds },
-      userId: userId
-    });
+    const idempotencyKey = req.get('Idempotency-Key');
+    const idempotency = idempotencyKey
+      ? { key: idempotencyKey.trim(), fingerprint: fingerprintCheckout(req.body) }
+      : null;
+    if (idempotency && await replayCheckout(res, userId, idempotency)) return;
 
-    if (cartItems.length !== cartItemIds.length) {
+    // Verify all cart items belong to the user
+    const cartItems = await loadCartItems(userId, items);
+    if (!cartItems) {
       return res.status(400).json({
         success: false,
         error: 'Some cart items do not belong to you or do not exist'
       });
     }
 
+    const address = {
+      street: customerInfo.address.street,
+      city: customerInfo.address.city,
+      state: customerInfo.address.state,
+      zipCode: customerInfo.address.zipCode,
+      country: customerInfo.address.country || 'United States'
+    };
+
+    // Recompute prices, shipping and tax on the server - client amounts are only checked, never stored
+    // A currency is only needed when the cart mixes currencies; the items are then converted to it
+    const quote = await buildQuote(res, { cartItems, address, shippingOptionId, currency, couponCode, userId });
+    if (!quote) return;
+
+    const mismatch = [
+      { field: 'Subtotal', client: subtotal, server: quote.subtotal },
+      { field: 'Discount', client: discount, server: quote.discount },
+      { field: 'Shipping', client: shipping, server: quote.shipping },
+      { field: 'Tax', client: tax, server: quote.tax.amount },
+      { field: 'Total', client: total, server: quote.total }
+    ].find(check => check.client !== undefined && check.client !== null && !amountsMatch(check.client, check.server));
+
+    if (mismatch) {
+      return res.status(400).json({
+        success: false,
+        error: `${mismatch.field} mismatch: expected ${mismatch.server} ${quote.currency}`
+      });
+    }
+
     // Create order data
     const orderData = {
       userId: userId,
-      items: items.map(item => {
-        const cartItem = cartItems.find(ci => ci._id.toString() === item.cartItemId);
+      items: cartItems.map((cartItem, index) => {
+        const itemQuote = quote.items[index];
         return {
-          cartItemId: item.cartItemId,
+          cartItemId: cartItem._id,
+          designId: cartItem.designId,
           name: cartItem.name,
-          quantity: cartItem.quantity,
-          price: cartItem.price,
-          currency: cartItem.currency,
+          quantity: itemQuote.quantity,
+          price: itemQuote.unitPrice,
+          currency: itemQuote.currency,
+          originalCurrency: itemQuote.originalCurrency,
+          originalPrice: itemQuote.originalUnitPrice,
           finalImage: cartItem.finalImage,
+          finalImagePublicId: cartItem.finalImagePublicId,
           originalImageUrl: cartItem.originalImageUrl,
-          mousepadType: cartItem.mousepadType,
-          mousepadSize: cartItem.mousepadSize,
-          thickness: cartItem.thickness
+          originalImagePublicId: cartItem.originalImagePublicId,
+          thumbnailUrl: cartItem.thumbnailUrl,
+          thumbnailPublicId: cartItem.thumbnailPublicId,
+          mousepadType: itemQuote.mousepadType,
+          mousepadSize: itemQuote.mousepadSize,
+          thickness: itemQuote.thickness,
+          edge: itemQuote.edge,
+          sku: itemQuote.sku,
+          printCheck: cartItem.printCheck
         };
       }),
-      subtotal: subtotal || 0,
-      shipping: shipping || 0,
-      tax: tax || 0,
-      total: total || 0,
-      currency: currency || 'USD',
+      subtotal: quote.subtotal,
+      discount: quote.discount,
+      shipping: quote.shipping,
+      tax: quote.tax.amount,
+      total: quote.total,
+      currency: quote.currency,
+      exchangeRate: quote.exchangeRate,
+      shippingMethod: {
+        id: quote.shippingOption.id,
+        label: quote.shippingOption.label,
+        zone: quote.shippingZone,
+        estimatedDays: quote.shippingOption.estimatedDays,
+        weightGrams: quote.weightGrams
+      },
+      taxDetails: {
+        rate: quote.tax.rate,
+        label: quote.tax.label,
+        jurisdiction: quote.tax.jurisdiction
+      },
       customerInfo: {
         firstName: customerInfo.firstName,
         lastName: customerInfo.lastName,
         email: customerInfo.email,
         phone: customerInfo.phone,
-        address: {
-          street: customerInfo.address.street,
-          city: customerInfo.address.city,
-          state: customerInfo.address.state,
-          zipCode: customerInfo.address.zipCode,
-          country: customerInfo.address.country || 'United States'
-        },
+        address: address,
         additionalNotes: customerInfo.additionalNotes || ''
       },
       status: 'pending',
-      paymentStatus: 'pending'
+      statusHistory: [{ from: null, to: 'pending', changedBy: 'customer', reason: 'Order placed' }],
+      paymentStatus: 'pending',
+      ...(idempotency ? { idempotency } : {})
     };
 
-    // Create order
-    const order = await Order.createOrder(orderData);
+    // Count the coupon use before creating the order, and give it back if that fails
+    let redemption = null;
+    if (quote.coupon) {
+      try {
+        redemption = await redeemCoupon(await findCoupon(quote.coupon.code), userId);
+      } catch (couponError) {
+        if (!(couponError instanceof CouponError)) throw couponError;
+        return res.status(400).json({
+          success: false,
+          error: couponError.message
+        });
+      }
+      orderData.coupon = {
+        code: quote.coupon.code,
+        type: quote.coupon.type,
+        value: quote.coupon.value,
+        redemptionId: redemption._id
+      };
+    }
+
+    // Create the order and take its items out of the cart together
+    let order;
+    try {
+      order = await placeOrder(orderData, cartItems.map(cartItem => cartItem._id));
+    } catch (createError) {
+      if (redemption) await releaseCoupon(redemption);
+
+      // A concurrent request with the same key may have just won
+      const duplicateKey = createError.code === 11000 && createError.keyPattern && createError.keyPattern['idempotency.key'];
+      const conflict = createError instanceof CheckoutError || duplicateKey;
+      if (conflict && idempotency && await replayCheckout(res, userId, idempotency)) return;
+      if (createError instanceof CheckoutError) {
+        return res.status(createError.statusCode).json({
+          success: false,
+          error: createError.message
+        });
+      }
+      throw createError;
+    }
+
+    if (redemption) {
+      redemption.orderId = order._id;
+      await redemption.save();
+      await CartCoupon.removeFromCart(userId);
+    }
+
+    await notifyOrder('created', order);
 
     res.status(201).json({
       success: true,
@@ -120,17 +386,75 @@ router.post('/', getUserId, [
   }
 });
 
+// @desc    Look up an order's status and tracking without an account
+// @route   GET /api/order/track?orderNumber=&email=
+// @access  Public (order number + checkout email, rate limited)
+router.get('/track', rateLimit({
+  ...RATE_LIMITS.orderTracking,
+  message: 'Too many tracking requests, please try again later'
+}), [
+  query('orderNumber').isString().trim().notEmpty().withMessage('Order number is required'),
+  query('email').isEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findByOrderNumber(req.query.orderNumber);
+    const email = String(req.query.email).trim().toLowerCase();
+
+    // Same answer for a wrong number and a wrong email, so neither can be probed
+    if (!order || !order.customerInfo || String(order.customerInfo.email).toLowerCase() !== email) {
+      return res.status(404).json({
+        success: false,
+        error: 'No order found with this order number and email'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: order.toTrackingView()
+    });
+  } catch (error) {
+    console.error('Error tracking order:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while tracking order'
+        : error.message
+    });
+  }
+});
+
 // @desc    Get user's orders
 // @route   GET /api/order
-// @access  Public (with userId)
+// @access  Public (session or guest userId)
+// Artwork is left out unless ?includeImages=true; items link to a thumbnail and the image endpoint instead
 router.get('/', getUserId, async (req, res) => {
   try {
-    const orders = await Order.getUserOrders(req.userId);
-    
+    if (req.query.includeImages === 'true') {
+      const orders = await Order.getUserOrders(req.userId);
+      return res.status(200).json({
+        success: true,
+        count: orders.length,
+        data: orders
+      });
+    }
+
+    const orders = await Order.getUserOrders(req.userId).select(ORDER_IMAGE_FIELDS).lean();
+
     res.status(200).json({
       success: true,
       count: orders.length,
-      data: orders
+      data: orders.map(order => ({
+        ...order,
+        items: order.items.map((item, index) => ({ ...item, ...orderItemImageLinks(req, order, index) }))
+      }))
     });
   } catch (error) {
     console.error('Error fetching orders:', error);
@@ -143,19 +467,47 @@ router.get('/', getUserId, async (req, res) => {
   }
 });
 
-// @desc    Get all orders (admin endpoint)
-// @route   GET /api/order/admin/all
-// @access  Public
-router.get('/admin/all', async (req, res) => {
+// @desc    List orders, newest first by default (admin endpoint)
+// @route   GET /api/order/admin/all?limit=&cursor=&sort=&order=&status=&paymentStatus=&currency=&mousepadType=&from=&to=&search=&includeImages=
+// @access  Private (admin, staff)
+router.get('/admin/all', requireRole('admin', 'staff'), [
+  ...listQueryValidators(ORDER_SORT_FIELDS),
+  ...orderFilterValidators()
+], async (req, res) => {
   try {
-    const orders = await Order.find({}).sort({ createdAt: -1 });
-    
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { data, pagination } = await paginate(Order, {
+      filter: buildAdminOrderFilter(req.query),
+      sortFields: ORDER_SORT_FIELDS,
+      sort: req.query.sort,
+      order: req.query.order,
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+      // Artwork can be large, so it's only sent when asked for
+      projection: req.query.includeImages ? undefined : ORDER_IMAGE_FIELDS
+    });
+
     res.status(200).json({
       success: true,
-      count: orders.length,
-      data: orders
+      count: data.length,
+      pagination,
+      data
     });
   } catch (error) {
+    if (error instanceof ListingError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     console.error('Error fetching all orders:', error);
     res.status(500).json({
       success: false,
@@ -166,10 +518,123 @@ router.get('/admin/all', async (req, res) => {
   }
 });
 
+// @desc    Export orders matching the admin list filters as CSV (admin endpoint)
+// @route   GET /api/order/admin/export?rows=order|item&columns=&status=&paymentStatus=&currency=&mousepadType=&from=&to=&search=
+// @access  Private (admin, staff)
+router.get('/admin/export', requireRole('admin', 'staff'), [
+  ...listRangeValidators(),
+  ...orderFilterValidators(),
+  query('rows').optional().isIn(['order', 'item']).withMessage('Rows must be order or item'),
+  listFilterValidator('columns', EXPORT_COLUMNS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const options = resolveExportOptions({ rows: req.query.rows, columns: req.query.columns });
+
+    // Read through a cursor so large exports never sit in memory all at once
+    const cursor = Order.find(buildAdminOrderFilter(req.query))
+      .select(options.projection)
+      .sort({ createdAt: 1, _id: 1 })
+      .lean()
+      .cursor();
+
+    const filename = `orders-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'no-store');
+
+    // pipeline closes the cursor if the client goes away mid-download
+    pipeline(Readable.from(ordersToCsv(cursor, options)), res, (streamError) => {
+      if (streamError && streamError.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('Error streaming order export:', streamError);
+      }
+      cursor.close().catch(() => {});
+    });
+  } catch (error) {
+    if (error instanceof ExportError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error exporting orders:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while exporting orders'
+        : error.message
+    });
+  }
+});
+
+// @desc    Download a production package (artwork + job sheet ZIP) and mark the orders as in production (admin endpoint)
+// @route   POST /api/order/admin/production-package
+// @access  Private (admin, staff)
+router.post('/admin/production-package', requireRole('admin', 'staff'), [
+  body('orderIds').isArray({ min: 1 }).withMessage('orderIds must be a non-empty array'),
+  body('orderIds.*').isMongoId().withMessage('Invalid order ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const orders = await loadProductionOrders(req.body.orderIds);
+
+    const filename = `production-${new Date().toISOString().slice(0, 10)}-${orders.length}-orders.zip`;
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'no-store');
+
+    const result = await writeProductionPackage(orders, res);
+    if (result.missing.length > 0) {
+      console.warn(`Production package is missing ${result.missing.length} artwork files:`, result.missing);
+    }
+
+    // Only lock the orders against cancellation once the whole package has been delivered
+    if (result.aborted) {
+      console.warn(`Production package download for ${orders.length} orders was interrupted; orders not marked`);
+      return;
+    }
+    await markInProduction(orders, getActor(req));
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Error streaming production package:', error);
+      return res.destroy(error);
+    }
+    if (error instanceof ProductionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error building production package:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while building production package'
+        : error.message
+    });
+  }
+});
+
 // @desc    Get order by _id (admin endpoint)
 // @route   GET /api/order/admin/:_id
-// @access  Public
-router.get('/admin/:_id', async (req, res) => {
+// @access  Private (admin, staff)
+router.get('/admin/:_id', requireRole('admin', 'staff'), async (req, res) => {
   try {
     const { _id } = req.params;
     const order = await Order.getOrderById(_id);
@@ -196,9 +661,310 @@ router.get('/admin/:_id', async (req, res) => {
   }
 });
 
+// @desc    List the statuses an order can move to next (admin endpoint)
+// @route   GET /api/order/admin/:_id/transitions
+// @access  Private (admin, staff)
+router.get('/admin/:_id/transitions', requireRole('admin', 'staff'), async (req, res) => {
+  try {
+    const order = await Order.getOrderById(req.params._id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        status: order.status,
+        paymentStatus: order.paymentStatus,
+        transitions: getAvailableTransitions(order),
+        statusHistory: order.statusHistory
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching order transitions:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while fetching order transitions'
+        : error.message
+    });
+  }
+});
+
+// @desc    Move an order to a new status (admin endpoint)
+// @route   POST /api/order/admin/:_id/status
+// @access  Private (admin, staff)
+router.post('/admin/:_id/status', requireRole('admin', 'staff'), [
+  body('status').isIn(Object.keys(ORDER_TRANSITIONS)).withMessage('Invalid order status'),
+  // Cancelling also releases the coupon and refunds, and is admin-only (see /admin/:_id/cancel)
+  body('status').not().equals('cancelled').withMessage('Use POST /api/order/admin/:_id/cancel to cancel an order'),
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.getOrderById(req.params._id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const updatedOrder = await transitionOrder(order, req.body.status, {
+      changedBy: getActor(req),
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Order moved to ${updatedOrder.status}`,
+      data: updatedOrder
+    });
+  } catch (error) {
+    if (error instanceof OrderStatusError) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        allowed: error.allowed
+      });
+    }
+
+    console.error('Error updating order status:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while updating order status'
+        : error.message
+    });
+  }
+});
+
+// Validation shared by shipment create and update (update makes every field optional)
+const shipmentValidators = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    field('carrier').isIn(Object.keys(CARRIERS)).withMessage(`Carrier must be one of: ${Object.keys(CARRIERS).join(', ')}`),
+    field('trackingNumber').isString().trim().notEmpty().withMessage('Tracking number is required'),
+    body('trackingUrl').optional({ values: 'null' }).isURL({ protocols: ['https', 'http'], require_protocol: true }).withMessage('Tracking URL must be a URL'),
+    body('notes').optional().isString().isLength({ max: 1000 })
+  ];
+};
+
+// Turn order status and shipment problems into a 409, anything else into a 500
+const handleShipmentError = (res, error, action) => {
+  if (error instanceof ShipmentError || error instanceof OrderStatusError) {
+    return res.status(409).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({
+    success: false,
+    error: process.env.NODE_ENV === 'production'
+      ? `Server error while ${action}`
+      : error.message
+  });
+};
+
+// @desc    Add a shipment (carrier, tracking number, items) to an order (admin endpoint)
+// @route   POST /api/order/admin/:_id/shipments
+// @access  Private (admin, staff)
+router.post('/admin/:_id/shipments', requireRole('admin', 'staff'), [
+  ...shipmentValidators(false),
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.itemIndex').isInt({ min: 0 }).withMessage('Item index must be a number').toInt(),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+  body('shippedAt').optional().isISO8601().withMessage('shippedAt must be a date').toDate()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.getOrderById(req.params._id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const updatedOrder = await addShipment(order, req.body, { changedBy: getActor(req) });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipment added successfully',
+      data: updatedOrder
+    });
+  } catch (error) {
+    handleShipmentError(res, error, 'adding shipment');
+  }
+});
+
+// @desc    Update a shipment's tracking details or mark it delivered (admin endpoint)
+// @route   PATCH /api/order/admin/:_id/shipments/:shipmentId
+// @access  Private (admin, staff)
+router.patch('/admin/:_id/shipments/:shipmentId', requireRole('admin', 'staff'), [
+  ...shipmentValidators(true),
+  body('deliveredAt').optional({ values: 'null' }).isISO8601().withMessage('deliveredAt must be a date').toDate()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.getOrderById(req.params._id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const updatedOrder = await updateShipment(order, req.params.shipmentId, req.body, { changedBy: getActor(req) });
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipment updated successfully',
+      data: updatedOrder
+    });
+  } catch (error) {
+    handleShipmentError(res, error, 'updating shipment');
+  }
+});
+
+// Turn cancellation and refund problems into a 409, anything else into a 500
+const handleRefundError = (res, error, action) => {
+  if (error instanceof RefundError || error instanceof OrderStatusError) {
+    return res.status(409).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({
+    success: false,
+    error: process.env.NODE_ENV === 'production'
+      ? `Server error while ${action}`
+      : error.message
+  });
+};
+
+// @desc    Cancel an order, refunding it if paid (admin endpoint)
+// @route   POST /api/order/admin/:_id/cancel
+// @access  Private (admin)
+router.post('/admin/:_id/cancel', requireRole('admin'), [
+  body('reason').isString().trim().notEmpty().isLength({ max: 500 }).withMessage('Reason is required'),
+  body('refund').optional().isBoolean().withMessage('refund must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.getOrderById(req.params._id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const result = await cancelOrder(order, {
+      changedBy: getActor(req),
+      reason: req.body.reason,
+      refund: req.body.refund !== false
+    });
+
+    res.status(200).json({
+      success: true,
+      message: result.refundError
+        ? `Order cancelled, but the refund failed: ${result.refundError}`
+        : 'Order cancelled successfully',
+      data: result.order
+    });
+  } catch (error) {
+    handleRefundError(res, error, 'cancelling order');
+  }
+});
+
+// @desc    Refund line items (and optionally shipping) on a paid order (admin endpoint)
+// @route   POST /api/order/admin/:_id/refunds
+// @access  Private (admin)
+router.post('/admin/:_id/refunds', requireRole('admin'), [
+  body('reason').isString().trim().notEmpty().isLength({ max: 500 }).withMessage('Reason is required'),
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.itemIndex').isInt({ min: 0 }).withMessage('Item index must be a number').toInt(),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+  body('includeShipping').optional().isBoolean().withMessage('includeShipping must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.getOrderById(req.params._id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const { order: updatedOrder, refund } = await issueRefund(order, {
+      items: req.body.items,
+      includeShipping: req.body.includeShipping,
+      reason: req.body.reason
+    }, { changedBy: getActor(req) });
+
+    res.status(201).json({
+      success: true,
+      message: `Refunded ${refund.amount} ${refund.currency}`,
+      data: updatedOrder
+    });
+  } catch (error) {
+    handleRefundError(res, error, 'refunding order');
+  }
+});
+
 // @desc    Get order by _id
 // @route   GET /api/order/:_id
-// @access  Public (with userId)
+// @access  Public (session or guest userId)
 router.get('/:_id', getUserId, async (req, res) => {
   try {
     const { _id } = req.params;
@@ -234,12 +1000,185 @@ router.get('/:_id', getUserId, async (req, res) => {
   }
 });
 
-// @desc    Update order payment status
+// @desc    Get an order item's artwork (or its thumbnail with ?size=thumbnail)
+// @route   GET /api/order/:_id/items/:idx/image
+// @access  Public (session or guest userId; staff and admins can view any order)
+router.get('/:_id/items/:idx/image', getUserId, [
+  param('idx').isInt({ min: 0 }).withMessage('Item index must be a non-negative integer').toInt(),
+  query('size').optional().isIn(['full', 'thumbnail']).withMessage('Size must be full or thumbnail')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params._id)
+      .select('userId items.finalImage items.thumbnailUrl')
+      .lean();
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const isStaff = req.user && ['admin', 'staff'].includes(req.user.role);
+    if (order.userId !== req.userId && !isStaff) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this order'
+      });
+    }
+
+    const index = req.params.idx;
+    if (index >= order.items.length) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order item not found'
+      });
+    }
+
+    let imageUrl = order.items[index].finalImage;
+    if (req.query.size === 'thumbnail') {
+      try {
+        imageUrl = await ensureThumbnail(Order, order, `items.${index}.`);
+      } catch (thumbnailError) {
+        // Fall back to the full artwork rather than a broken image
+        if (!(thumbnailError instanceof ImageError)) throw thumbnailError;
+        console.warn(`Serving full artwork for order ${order._id} item ${index}: ${thumbnailError.message}`);
+      }
+    }
+
+    await sendImage(req, res, imageUrl, { maxAge: IMAGE_CACHE.orderMaxAgeSeconds });
+  } catch (error) {
+    if (error instanceof ImageError) {
+      return res.status(502).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error fetching order item image:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while fetching order item image'
+        : error.message
+    });
+  }
+});
+
+// @desc    Download the invoice of a paid order as a PDF (numbered on first download)
+// @route   GET /api/order/:_id/invoice.pdf
+// @access  Public (session or guest userId; staff and admins can view any order)
+router.get('/:_id/invoice.pdf', getUserId, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params._id).select(ORDER_IMAGE_FIELDS);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const isStaff = req.user && ['admin', 'staff'].includes(req.user.role);
+    if (order.userId !== req.userId && !isStaff) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this order'
+      });
+    }
+
+    const invoiced = await ensureInvoiceNumber(order);
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="${invoiced.invoiceNumber}.pdf"`);
+    res.set('Cache-Control', 'private, no-cache');
+    await renderInvoicePdf(invoiced, res);
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Error streaming invoice:', error);
+      return res.destroy(error);
+    }
+    if (error instanceof InvoiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error generating invoice:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while generating invoice'
+        : error.message
+    });
+  }
+});
+
+// @desc    Cancel an order within the cancellation window, refunding it if paid
+// @route   POST /api/order/:_id/cancel
+// @access  Public (session or guest userId)
+router.post('/:_id/cancel', getUserId, [
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.getOrderById(req.params._id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    // Verify order belongs to user
+    if (order.userId !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to cancel this order'
+      });
+    }
+
+    const result = await cancelOrder(order, {
+      changedBy: 'customer',
+      reason: req.body.reason,
+      byCustomer: true
+    });
+
+    res.status(200).json({
+      success: true,
+      message: result.refundError
+        ? 'Order cancelled - your refund is being processed'
+        : 'Order cancelled successfully',
+      data: result.order
+    });
+  } catch (error) {
+    handleRefundError(res, error, 'cancelling order');
+  }
+});
+
+// Completed, failed and refunded payments are only recorded from verified provider webhooks (see routes/payment.js);
+// a failure reported by the browser is acknowledged but changes nothing until the provider confirms it
+// @desc    Report a payment attempt in progress or failed from the browser
 // @route   PATCH /api/order/:_id/payment-status
-// @access  Public (with userId)
+// @access  Public (session or guest userId)
 router.patch('/:_id/payment-status', getUserId, [
-  body('status').isIn(['pending', 'processing', 'completed', 'failed', 'refunded']).withMessage('Invalid payment status'),
-  body('paymentTransactionId').optional().isString()
+  body('status').isIn(['processing', 'failed']).withMessage('Payment status can only be reported as processing or failed'),
+  body('paymentTransactionId').not().exists().withMessage('Payment transaction ID is set by the payment provider')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -251,7 +1190,7 @@ router.patch('/:_id/payment-status', getUserId, [
     }
 
     const { _id } = req.params;
-    const { status, paymentTransactionId } = req.body;
+    const { status } = req.body;
     const userId = req.userId;
 
     // Find order by _id
@@ -272,30 +1211,36 @@ router.patch('/:_id/payment-status', getUserId, [
       });
     }
 
-    // Update payment status
-    const updateData = {
-      paymentStatus: status
-    };
-
-    // Update order status based on payment status
-    if (status === 'completed') {
-      updateData.status = 'processing';
-    } else if (status === 'failed') {
-      updateData.status = 'paymentFailed';
+    if (['completed', 'refunded'].includes(order.paymentStatus)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Order payment has already been settled'
+      });
     }
 
-    // Add payment transaction ID if provided
-    if (paymentTransactionId) {
-      updateData.paymentTransactionId = paymentTransactionId;
+    if (status === 'failed') {
+      return res.status(200).json({
+        success: true,
+        message: 'Payment failure noted - the order is updated once the payment provider confirms it',
+        data: order
+      });
     }
 
-    // Update order
-    const updatedOrder = await Order.findByIdAndUpdate(
-      order._id,
-      { $set: updateData },
+    // Update order, unless a webhook settled the payment in the meantime
+    const updatedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: { $nin: ['completed', 'refunded'] } },
+      { $set: { paymentStatus: status } },
       { new: true }
     );
 
+    if (!updatedOrder) {
+      return res.status(409).json({
+        success: false,
+        error: 'Order payment has already been settled'
+      });
+    }
+    await applyOrderChange(order, updatedOrder);
+
     res.status(200).json({
       success: true,
       message: 'Order payment status updated successfully',
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { body, validationResult } = require('express-validator');
+const { getUserId } = require('../middleware/auth');
+const { getPaymentProvider, fromMinorUnits, PaymentError } = require('../utils/payments');
+const { startPayment, handleWebhook } = require('../utils/payments/processor');
+
+// @desc    Create (or resume) a payment for an order
+// @route   POST /api/payment/intent
+// @access  Public (session or guest userId)
+router.post('/intent', getUserId, [
+  body('orderId').isMongoId().withMessage('Valid order ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.getOrderById(req.body.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    // Verify order belongs to user
+    if (order.userId !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to pay for this order'
+      });
+    }
+
+    const { payment, clientSecret } = await startPayment(order);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        provider: payment.provider,
+        paymentId: payment.providerPaymentId,
+        clientSecret,
+        amount: fromMinorUnits(payment.amount),
+        currency: payment.currency
+      }
+    });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error creating payment:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while creating payment'
+        : error.message
+    });
+  }
+});
+
+// @desc    Receive payment provider webhooks (body is kept raw for signature checks, see server.js)
+// @route   POST /api/payment/webhook
+// @access  Public (signed by the provider)
+router.post('/webhook', async (req, res) => {
+  try {
+    const result = await handleWebhook(req.body, req.headers);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof PaymentError || error instanceof SyntaxError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error handling payment webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while handling payment webhook'
+        : error.message
+    });
+  }
+});
+
+// Trigger fake provider outcomes locally, through the same signed webhook path
+if (getPaymentProvider().name === 'fake' && process.env.NODE_ENV !== 'production') {
+  // @desc    Simulate a payment outcome (fake provider, development only)
+  // @route   POST /api/payment/fake/:paymentId/:outcome
+  // @access  Public (development only)
+  router.post('/fake/:paymentId/:outcome', async (req, res) => {
+    try {
+      const payment = await Payment.findByProviderId('fake', req.params.paymentId);
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          error: 'Payment not found'
+        });
+      }
+
+      const { rawBody, headers } = getPaymentProvider().simulateWebhook(payment.providerPaymentId, req.params.outcome, {
+        amount: req.body && req.body.amount
+      });
+      const result = await handleWebhook(rawBody, headers);
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error instanceof PaymentError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      console.error('Error simulating payment:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+}
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { quoteItem, PricingError } = require('../utils/pricing');
+
+// @desc    Quote the price of a mousepad configuration
+// @route   GET /api/pricing/quote
+// @access  Public
+router.get('/quote', async (req, res) => {
+  try {
+    const { mousepadType, mousepadSize, thickness, edge, currency, quantity } = req.query;
+    const quote = await quoteItem({ mousepadType, mousepadSize, thickness, edge, currency, quantity });
+
+    res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    if (error instanceof PricingError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error quoting price:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while quoting price'
+        : error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const { getUserId } = require('../middleware/auth');
+const { getStorage } = require('../utils/storage');
+const { uploadImage, ImageError } = require('../utils/imageProcessor');
+const { STORAGE_FOLDER, MAX_UPLOAD_BYTES, ALLOWED_IMAGE_TYPES } = require('../config/storage');
+
+// @desc    Upload artwork (raw image body, Content-Type: image/png|jpeg|webp)
+// @route   POST /api/upload
+// @access  Public (session or guest userId)
+router.post('/', express.raw({ type: ALLOWED_IMAGE_TYPES, limit: MAX_UPLOAD_BYTES }), getUserId, async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Send the image as the request body with Content-Type ${ALLOWED_IMAGE_TYPES.join(', ')}`
+      });
+    }
+
+    let result;
+    try {
+      result = await uploadImage(req.body);
+    } catch (imageError) {
+      if (!(imageError instanceof ImageError)) throw imageError;
+      return res.status(400).json({
+        success: false,
+        error: imageError.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Image uploaded successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error uploading image:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while uploading image'
+        : error.message
+    });
+  }
+});
+
+// @desc    Get signed parameters for a direct browser upload
+// @route   POST /api/upload/signature
+// @access  Public (session or guest userId)
+router.post('/signature', getUserId, async (req, res) => {
+  try {
+    const storage = getStorage();
+    if (!storage.signUpload) {
+      return res.status(400).json({
+        success: false,
+        error: `Direct uploads are not supported by the ${storage.name} storage driver; use POST /api/upload`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: storage.signUpload({ folder: STORAGE_FOLDER })
+    });
+  } catch (error) {
+    console.error('Error signing upload:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'production'
+        ? 'Server error while signing upload'
+        : error.message
+    });
+  }
+});
+
+module.exports = router;
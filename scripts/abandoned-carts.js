@@ -0,0 +1,31 @@
+// Expire stale carts and email abandoned cart reminders
+// Usage: node scripts/abandoned-carts.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { runAbandonedCartJob } = require('../utils/abandonedCarts');
+
+const run = async () => {
+  await connectDB();
+
+  const { expiry, reminders } = await runAbandonedCartJob({
+    dryRun: process.argv.includes('--dry-run')
+  });
+
+  console.log(`Abandoned carts${reminders.dryRun ? ' (dry run)' : ''}`);
+  console.log(`Expired cart items (untouched since ${expiry.cutoff.toISOString()}): ${expiry.expired}`);
+  console.log(`Carts considered: ${reminders.considered}`);
+  console.log(`Reminders ${reminders.dryRun ? 'to send' : 'sent'}: ${reminders.sent.length}`);
+  reminders.sent.forEach(entry => console.log(`  ${entry.email} (${entry.userId})`));
+  Object.entries(reminders.skipped).forEach(([reason, count]) => console.log(`Skipped (${reason}): ${count}`));
+  console.log(`Failed: ${reminders.failed.length}`);
+
+  await mongoose.disconnect();
+  process.exit(reminders.failed.length > 0 ? 1 : 0);
+};
+
+run().catch(async (error) => {
+  console.error('Abandoned cart job failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
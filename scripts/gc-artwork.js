@@ -0,0 +1,52 @@
+// Delete stored artwork that no cart item, order or saved design references
+// Usage: node scripts/gc-artwork.js [--dry-run] [--grace-hours=72] [--max-deletes=500]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { collectArtworkGarbage } = require('../utils/artworkGc');
+
+// A malformed value must not fall through: a NaN grace period would protect nothing
+const getArg = (name) => {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  if (!arg) return undefined;
+
+  const raw = arg.slice(name.length + 3);
+  const value = Number(raw);
+  if (raw.trim() === '' || !Number.isFinite(value) || value < 0) {
+    console.error(`--${name} must be a non-negative number, got '${raw}'`);
+    process.exit(1);
+  }
+  return value;
+};
+
+const run = async () => {
+  const options = {
+    dryRun: process.argv.includes('--dry-run'),
+    graceHours: getArg('grace-hours'),
+    maxDeletes: getArg('max-deletes')
+  };
+
+  await connectDB();
+
+  const report = await collectArtworkGarbage(options);
+
+  console.log(`Artwork GC${report.dryRun ? ' (dry run)' : ''} - ${report.driver} storage`);
+  console.log(`Scanned: ${report.scanned}`);
+  console.log(`Referenced: ${report.referenced}`);
+  console.log(`Newer than ${report.graceHours}h: ${report.recent}`);
+  console.log(`Orphaned: ${report.orphaned.length}${report.truncated ? ' (limit reached, run again)' : ''}`);
+  report.orphaned.forEach(asset => console.log(`  ${asset.publicId} (${asset.bytes} bytes, ${asset.createdAt.toISOString()})`));
+  if (!report.dryRun) {
+    console.log(`Deleted: ${report.deleted}`);
+    console.log(`Failed: ${report.failed.length}`);
+  }
+
+  await mongoose.disconnect();
+  process.exit(report.failed.length > 0 ? 1 : 0);
+};
+
+run().catch(async (error) => {
+  console.error('Artwork GC failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,116 @@
+// Migrate base64 artwork stored in CartItem and Order documents to object storage
+// Usage: node scripts/migrate-images.js [--dry-run]
+//
+// Each data URL is uploaded through the configured storage adapter (STORAGE_DRIVER) and
+// replaced by its URL and public ID. Identical images (e.g. an order item copied from a
+// cart item) are uploaded once.
+require('dotenv').config();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const CartItem = require('../models/CartItem');
+const Order = require('../models/Order');
+const { storeImage } = require('../utils/imageProcessor');
+
+const IMAGE_FIELDS = [
+  ['finalImage', 'finalImagePublicId'],
+  ['originalImageUrl', 'originalImagePublicId']
+];
+
+const dryRun = process.argv.includes('--dry-run');
+const uploaded = new Map(); // sha256 of data URL -> { url, publicId }
+const stats = { cartItems: 0, orders: 0, uploads: 0, reused: 0, failed: 0 };
+
+const isDataUrl = (value) => typeof value === 'string' && value.startsWith('data:');
+
+// Upload a data URL once and reuse the result for identical images
+const migrateImage = async (dataUrl) => {
+  const hash = crypto.createHash('sha256').update(dataUrl).digest('hex');
+  if (uploaded.has(hash)) {
+    stats.reused++;
+    return uploaded.get(hash);
+  }
+
+  const stored = dryRun
+    ? { url: `(dry-run) ${hash.slice(0, 12)}`, publicId: null }
+    : await storeImage(dataUrl);
+  uploaded.set(hash, stored);
+  stats.uploads++;
+  return stored;
+};
+
+// Build the $set for one image holder (a cart item, or an order item at `prefix`)
+const migrateFields = async (holder, prefix = '') => {
+  const update = {};
+  for (const [field, publicIdField] of IMAGE_FIELDS) {
+    if (isDataUrl(holder[field])) {
+      const stored = await migrateImage(holder[field]);
+      update[`${prefix}${field}`] = stored.url;
+      update[`${prefix}${publicIdField}`] = stored.publicId;
+    }
+  }
+  return update;
+};
+
+const migrateCartItems = async () => {
+  const cursor = CartItem.find({
+    $or: [{ finalImage: /^data:/ }, { originalImageUrl: /^data:/ }]
+  }).lean().cursor();
+
+  for await (const item of cursor) {
+    try {
+      const update = await migrateFields(item);
+      if (!dryRun) {
+        await CartItem.updateOne({ _id: item._id }, { $set: update });
+      }
+      stats.cartItems++;
+    } catch (error) {
+      stats.failed++;
+      console.error(`Cart item ${item._id}: ${error.message}`);
+    }
+  }
+};
+
+const migrateOrders = async () => {
+  const cursor = Order.find({
+    $or: [{ 'items.finalImage': /^data:/ }, { 'items.originalImageUrl': /^data:/ }]
+  }).lean().cursor();
+
+  for await (const order of cursor) {
+    try {
+      const update = {};
+      for (let index = 0; index < order.items.length; index++) {
+        Object.assign(update, await migrateFields(order.items[index], `items.${index}.`));
+      }
+      if (!dryRun) {
+        await Order.updateOne({ _id: order._id }, { $set: update });
+      }
+      stats.orders++;
+    } catch (error) {
+      stats.failed++;
+      console.error(`Order ${order._id}: ${error.message}`);
+    }
+  }
+};
+
+const run = async () => {
+  await connectDB();
+  console.log(`Migrating base64 images${dryRun ? ' (dry run)' : ''}...`);
+
+  await migrateCartItems();
+  await migrateOrders();
+
+  console.log(`Cart items migrated: ${stats.cartItems}`);
+  console.log(`Orders migrated: ${stats.orders}`);
+  console.log(`Images uploaded: ${stats.uploads} (${stats.reused} duplicates reused)`);
+  console.log(`Failures: ${stats.failed}`);
+
+  await mongoose.disconnect();
+  process.exit(stats.failed > 0 ? 1 : 0);
+};
+
+run().catch(async (error) => {
+  console.error('Image migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,30 @@
+// Link cart items to the orders that consumed them and fix statuses that disagree with the order's payment
+// Usage: node scripts/reconcile-cart-items.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { reconcileCartItems } = require('../utils/cartReconcile');
+
+const run = async () => {
+  await connectDB();
+
+  const report = await reconcileCartItems({
+    dryRun: process.argv.includes('--dry-run')
+  });
+
+  console.log(`Cart item reconciliation${report.dryRun ? ' (dry run)' : ''}`);
+  console.log(`Orders checked: ${report.orders}`);
+  console.log(`Items ${report.dryRun ? 'to link' : 'linked'} to their order: ${report.linked}`);
+  console.log(`Item statuses ${report.dryRun ? 'to fix' : 'fixed'}: ${report.updated}`);
+  console.log(`Items of unpaid cancelled orders ${report.dryRun ? 'to return' : 'returned'} to the cart: ${report.released}`);
+  Object.entries(report.unlinked).forEach(([status, count]) => console.log(`Left alone, ${status} without an order: ${count}`));
+
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+run().catch(async (error) => {
+  console.error('Cart item reconciliation failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,48 @@
+// Create the product catalog from the price tables in config/pricing.js
+// Existing products and variants are left alone; only missing ones are added.
+// Usage: node scripts/seed-catalog.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Product = require('../models/Product');
+const Variant = require('../models/Variant');
+const { buildDefaultCatalog } = require('../utils/catalog');
+
+const run = async () => {
+  await connectDB();
+  const dryRun = process.argv.includes('--dry-run');
+  let createdProducts = 0;
+  let createdVariants = 0;
+
+  for (const { variants, ...productData } of buildDefaultCatalog().products) {
+    let product = await Product.findOne({ mousepadType: productData.mousepadType });
+    if (!product) {
+      createdProducts++;
+      console.log(`Product: ${productData.mousepadType}`);
+      if (!dryRun) product = await Product.create(productData);
+    }
+
+    for (const variantData of variants) {
+      const exists = product && await Variant.exists({
+        product: product._id,
+        mousepadSize: variantData.mousepadSize,
+        thickness: variantData.thickness
+      });
+      if (exists) continue;
+
+      createdVariants++;
+      console.log(`  Variant: ${variantData.sku}`);
+      if (!dryRun) await Variant.create({ ...variantData, product: product._id });
+    }
+  }
+
+  console.log(`${dryRun ? 'Would create' : 'Created'} ${createdProducts} products and ${createdVariants} variants`);
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+run().catch(async (error) => {
+  console.error('Catalog seed failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -8,14 +8,29 @@ require('dotenv').config();
 // Import database connection
 const connectDB = require('./config/database');
 const { CORS_ORIGINS } = require('./config/api');
+const { STORAGE_DRIVER, LOCAL_STORAGE_DIR } = require('./config/storage');
 
 // Import routes
+const authRoutes = require('./routes/auth');
 const cartRoutes = require('./routes/cart');
 const orderRoutes = require('./routes/order');
+const pricingRoutes = require('./routes/pricing');
+const currencyRoutes = require('./routes/currency');
+const couponRoutes = require('./routes/coupon');
+const uploadRoutes = require('./routes/upload');
+const jobRoutes = require('./routes/jobs');
+const emailRoutes = require('./routes/email');
+const paymentRoutes = require('./routes/payment');
+const catalogRoutes = require('./routes/catalog');
+const analyticsRoutes = require('./routes/analytics');
+const designRoutes = require('./routes/design');
 
 // Initialize express app
 const app = express();
 
+// Behind Vercel's proxy - use the client IP from X-Forwarded-For (rate limiting)
+app.set('trust proxy', 1);
+
 // Connect to MongoDB
 connectDB();
 
@@ -58,16 +73,30 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'X-User-Id'],
-  exposedHeaders: []
+  // Checkout retries send Idempotency-Key and read Idempotent-Replayed (see POST /api/order)
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-User-Id', 'X-Api-Key', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Compression middleware
 app.use(compression());
 
 // Body parser middleware
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Cart and design routes keep a large limit while clients still post base64 artwork;
+// everything else uploads images through /api/upload
+app.use('/api/cart', express.json({ limit: '50mb' }));
+app.use('/api/design', express.json({ limit: '50mb' }));
+// Webhook signatures are computed over the exact bytes sent
+app.use('/api/payment/webhook', express.raw({ type: '*/*', limit: '1mb' }));
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+
+// Serve locally stored artwork (local storage driver only)
+if (STORAGE_DRIVER === 'local') {
+  app.use('/uploads', express.static(LOCAL_STORAGE_DIR, {
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -80,8 +109,19 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/auth', authRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/order', orderRoutes);
+app.use('/api/pricing', pricingRoutes);
+app.use('/api/currency', currencyRoutes);
+app.use('/api/coupon', couponRoutes);
+app.use('/api/upload', uploadRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/email', emailRoutes);
+app.use('/api/payment', paymentRoutes);
+app.use('/api/catalog', catalogRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/design', designRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+const CartItem = require('../models/CartItem');
+const CartReminder = require('../models/CartReminder');
+const EmailSuppression = require('../models/EmailSuppression');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { sendEmail } = require('./email');
+const { getUnsubscribeUrl } = require('./email/unsubscribe');
+const { renderTemplate } = require('./email/templates');
+const { CART_EXPIRY_DAYS, ABANDONED_CART } = require('../config/cart');
+const { FRONTEND_URL } = require('../config/email');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Delete pending cart items nobody has touched for CART_EXPIRY_DAYS
+ * Their artwork is left to the artwork GC job.
+ * @param {Object} [options] - { dryRun, expiryDays }
+ * @returns {Promise<Object>} - { cutoff, expired }
+ */
+async function expireCarts({ dryRun = false, expiryDays = CART_EXPIRY_DAYS } = {}) {
+  const cutoff = new Date(Date.now() - expiryDays * 24 * HOUR_MS);
+  const filter = { status: 'pending', updatedAt: { $lt: cutoff } };
+
+  const expired = dryRun
+    ? await CartItem.countDocuments(filter)
+    : (await CartItem.deleteMany(filter)).deletedCount;
+
+  return { cutoff, expired };
+}
+
+// Find who to email for a cart: the account, or the guest's most recent order
+const resolveRecipient = async (userId) => {
+  if (mongoose.isValidObjectId(userId)) {
+    const user = await User.findById(userId);
+    if (user) return { email: user.email, firstName: user.firstName };
+  }
+
+  const order = await Order.findOne({ userId, 'customerInfo.email': { $exists: true, $ne: '' } })
+    .sort({ createdAt: -1 })
+    .select('customerInfo.email customerInfo.firstName');
+  if (order) return { email: order.customerInfo.email, firstName: order.customerInfo.firstName };
+
+  return null;
+};
+
+/**
+ * Email customers whose pending cart has been idle for ABANDONED_CART.afterHours
+ * Each cart gets at most maxReminders reminders, intervalHours apart; changing the cart starts over.
+ * @param {Object} [options] - { dryRun }
+ * @returns {Promise<Object>} - Report of carts considered, emailed and skipped
+ */
+async function sendAbandonedCartReminders({ dryRun = false } = {}) {
+  const now = Date.now();
+  const idleSince = new Date(now - ABANDONED_CART.afterHours * HOUR_MS);
+  const expiryCutoff = new Date(now - CART_EXPIRY_DAYS * 24 * HOUR_MS);
+  const intervalCutoff = new Date(now - ABANDONED_CART.intervalHours * HOUR_MS);
+
+  const carts = await CartItem.aggregate([
+    { $match: { status: 'pending', updatedAt: { $gte: expiryCutoff } } },
+    { $sort: { updatedAt: -1 } },
+    // Only what the email needs: the thumbnail, never the print-resolution artwork
+    {
+      $project: {
+        userId: 1,
+        updatedAt: 1,
+        name: 1,
+        mousepadSize: 1,
+        thickness: 1,
+        quantity: 1,
+        price: 1,
+        currency: 1,
+        thumbnailUrl: 1
+      }
+    },
+    {
+      $group: {
+        _id: '$userId',
+        lastUpdated: { $max: '$updatedAt' },
+        items: { $push: '$$ROOT' }
+      }
+    },
+    { $match: { lastUpdated: { $lt: idleSince } } },
+    // Leave out carts that are done or not due yet before batching, so they can't crowd out newer ones
+    {
+      $lookup: {
+        from: CartReminder.collection.name,
+        localField: '_id',
+        foreignField: 'userId',
+        as: 'reminder'
+      }
+    },
+    { $set: { reminder: { $arrayElemAt: ['$reminder', 0] } } },
+    {
+      $match: {
+        $or: [
+          { reminder: null },
+          // Changed since the last reminder
+          { $expr: { $lt: ['$reminder.lastSentAt', '$lastUpdated'] } },
+          { 'reminder.count': { $lte: 0 } },
+          {
+            'reminder.count': { $lt: ABANDONED_CART.maxReminders },
+            'reminder.lastSentAt': { $lte: intervalCutoff }
+          }
+        ]
+      }
+    },
+    { $unset: 'reminder' },
+    { $sort: { lastUpdated: 1 } },
+    { $limit: ABANDONED_CART.batchSize }
+  ]);
+
+  const report = {
+    dryRun,
+    considered: carts.length,
+    sent: [],
+    skipped: { noEmail: 0, suppressed: 0, limitReached: 0, tooSoon: 0 },
+    failed: []
+  };
+
+  for (const cart of carts) {
+    const userId = cart._id;
+    let reminder = await CartReminder.findOne({ userId });
+
+    // The cart changed since the last reminder - treat it as a new abandonment
+    if (reminder && reminder.lastSentAt && reminder.lastSentAt < cart.lastUpdated) {
+      reminder.count = 0;
+    }
+    if (reminder && reminder.count >= ABANDONED_CART.maxReminders) {
+      report.skipped.limitReached++;
+      continue;
+    }
+    if (reminder && reminder.count > 0 && reminder.lastSentAt > intervalCutoff) {
+      report.skipped.tooSoon++;
+      continue;
+    }
+
+    const recipient = await resolveRecipient(userId);
+    if (!recipient) {
+      report.skipped.noEmail++;
+      continue;
+    }
+    if (await EmailSuppression.isSuppressed(recipient.email)) {
+      report.skipped.suppressed++;
+      continue;
+    }
+
+    if (dryRun) {
+      report.sent.push({ userId, email: recipient.email });
+      continue;
+    }
+
+    try {
+      const unsubscribeUrl = getUnsubscribeUrl(recipient.email);
+      const { subject, html, text } = renderTemplate('abandonedCart', {
+        firstName: recipient.firstName,
+        items: cart.items.map(item => ({
+          name: item.name,
+          mousepadSize: item.mousepadSize,
+          thickness: item.thickness,
+          quantity: item.quantity,
+          price: item.price,
+          currency: item.currency,
+          // Items without a thumbnail yet are shown without an image
+          imageUrl: item.thumbnailUrl
+        })),
+        cartUrl: `${FRONTEND_URL}/cart`,
+        unsubscribeUrl
+      });
+
+      await sendEmail({
+        to: { email: recipient.email, name: recipient.firstName },
+        subject,
+        html,
+        text,
+        headers: {
+          'List-Unsubscribe': `<${unsubscribeUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+      });
+
+      if (!reminder) {
+        reminder = new CartReminder({ userId, count: 0 });
+      }
+      reminder.email = recipient.email;
+      reminder.count += 1;
+      reminder.lastSentAt = new Date();
+      await reminder.save();
+
+      report.sent.push({ userId, email: recipient.email });
+    } catch (error) {
+      console.error(`Error sending abandoned cart reminder for ${userId}:`, error.message);
+      report.failed.push(userId);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Run the cart lifecycle job: expire stale carts, then send reminders
+ * @param {Object} [options] - { dryRun }
+ * @returns {Promise<Object>} - { expiry, reminders }
+ */
+async function runAbandonedCartJob({ dryRun = false } = {}) {
+  const expiry = await expireCarts({ dryRun });
+  const reminders = await sendAbandonedCartReminders({ dryRun });
+
+  // Reminder state for carts that were checked out, emptied or expired
+  if (!dryRun) {
+    const activeUserIds = await CartItem.distinct('userId', { status: 'pending' });
+    await CartReminder.deleteMany({ userId: { $nin: activeUserIds } });
+  }
+
+  return { expiry, reminders };
+}
+
+module.exports = {
+  expireCarts,
+  sendAbandonedCartReminders,
+  runAbandonedCartJob
+};
@@ -0,0 +1,255 @@
+const Order = require('../models/Order');
+const CartItem = require('../models/CartItem');
+const { roundMoney } = require('./pricing');
+
+// Raised for report parameters that can't be used (inverted or overly long date range...)
+class AnalyticsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AnalyticsError';
+  }
+}
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Orders that brought money in (refunds are subtracted separately)
+const PAID_PAYMENT_STATUSES = ['completed', 'refunded'];
+
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null);
+
+/**
+ * Resolve a report date range, defaulting to the last DEFAULT_RANGE_DAYS days
+ * @param {Object} params
+ * @param {Date} [params.from] - Inclusive start
+ * @param {Date} [params.to] - Inclusive end (defaults to now)
+ * @returns {Object} - { from, to }
+ * @throws {AnalyticsError}
+ */
+function resolveRange({ from, to } = {}) {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (start > end) {
+    throw new AnalyticsError('from must be before to');
+  }
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    throw new AnalyticsError(`Date range can be at most ${MAX_RANGE_DAYS} days`);
+  }
+  return { from: start, to: end };
+}
+
+const createdIn = ({ from, to }) => ({ createdAt: { $gte: from, $lte: to } });
+
+/**
+ * Revenue and order count per period and currency, for paid orders
+ * @param {Object} params
+ * @param {Object} params.range - From resolveRange
+ * @param {string} [params.interval] - 'day', 'week' (starting Monday) or 'month'
+ * @param {string} [params.timezone] - IANA time zone the periods are cut in (default UTC)
+ * @returns {Promise<Array<Object>>} - [{ period, currency, orders, revenue, refunded, netRevenue }], oldest first
+ */
+async function getRevenueReport({ range, interval = 'day', timezone = 'UTC' }) {
+  const rows = await Order.aggregate([
+    { $match: { ...createdIn(range), paymentStatus: { $in: PAID_PAYMENT_STATUSES } } },
+    {
+      $group: {
+        _id: {
+          period: { $dateTrunc: { date: '$createdAt', unit: interval, timezone, startOfWeek: 'monday' } },
+          currency: '$currency'
+        },
+        orders: { $sum: 1 },
+        revenue: { $sum: '$total' },
+        refunded: { $sum: { $ifNull: ['$refundedAmount', 0] } }
+      }
+    },
+    { $sort: { '_id.period': 1, '_id.currency': 1 } }
+  ]);
+
+  return rows.map(row => ({
+    period: row._id.period,
+    currency: row._id.currency,
+    orders: row.orders,
+    revenue: roundMoney(row.revenue),
+    refunded: roundMoney(row.refunded),
+    netRevenue: roundMoney(row.revenue - row.refunded)
+  }));
+}
+
+/**
+ * Average order value per currency, for paid orders
+ * @param {Object} params - { range }
+ * @returns {Promise<Array<Object>>} - [{ currency, orders, revenue, averageOrderValue, averageItemsPerOrder }]
+ */
+async function getAverageOrderValue({ range }) {
+  const rows = await Order.aggregate([
+    { $match: { ...createdIn(range), paymentStatus: { $in: PAID_PAYMENT_STATUSES } } },
+    {
+      $group: {
+        _id: '$currency',
+        orders: { $sum: 1 },
+        revenue: { $sum: '$total' },
+        items: { $sum: { $sum: '$items.quantity' } }
+      }
+    },
+    { $sort: { revenue: -1 } }
+  ]);
+
+  return rows.map(row => ({
+    currency: row._id,
+    orders: row.orders,
+    revenue: roundMoney(row.revenue),
+    averageOrderValue: roundMoney(row.revenue / row.orders),
+    averageItemsPerOrder: Math.round((row.items / row.orders) * 100) / 100
+  }));
+}
+
+/**
+ * Best-selling type/size/thickness combinations in paid orders, by units sold
+ * @param {Object} params
+ * @param {Object} params.range
+ * @param {number} [params.limit] - Combinations returned (default 10)
+ * @returns {Promise<Array<Object>>} - [{ mousepadType, mousepadSize, thickness, units, orders, revenue: [{ currency, amount }] }]
+ */
+async function getTopProducts({ range, limit = 10 }) {
+  const rows = await Order.aggregate([
+    { $match: { ...createdIn(range), paymentStatus: { $in: PAID_PAYMENT_STATUSES } } },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: {
+          mousepadType: '$items.mousepadType',
+          mousepadSize: '$items.mousepadSize',
+          thickness: '$items.thickness',
+          currency: '$currency'
+        },
+        units: { $sum: '$items.quantity' },
+        orderIds: { $addToSet: '$_id' },
+        revenue: { $sum: { $multiply: ['$items.price', '$items.quantity'] } }
+      }
+    },
+    // Item revenue is kept per currency; units and orders add up across currencies
+    {
+      $group: {
+        _id: {
+          mousepadType: '$_id.mousepadType',
+          mousepadSize: '$_id.mousepadSize',
+          thickness: '$_id.thickness'
+        },
+        units: { $sum: '$units' },
+        orders: { $sum: { $size: '$orderIds' } },
+        revenue: { $push: { currency: '$_id.currency', amount: '$revenue' } }
+      }
+    },
+    { $sort: { units: -1, orders: -1 } },
+    { $limit: limit }
+  ]);
+
+  return rows.map(row => ({
+    ...row._id,
+    units: row.units,
+    orders: row.orders,
+    revenue: row.revenue.map(entry => ({ currency: entry.currency, amount: roundMoney(entry.amount) }))
+  }));
+}
+
+// Count documents and distinct users matching a filter
+const countWithUsers = async (Model, match) => {
+  const [row] = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: '$userId', documents: { $sum: 1 } } },
+    { $group: { _id: null, users: { $sum: 1 }, documents: { $sum: '$documents' } } }
+  ]);
+  return row ? { users: row.users, documents: row.documents } : { users: 0, documents: 0 };
+};
+
+/**
+ * Cart-to-order conversion: shoppers who added something to their cart vs shoppers who
+ * placed (and paid for) an order, both counted over the same date range
+ * @param {Object} params - { range }
+ * @returns {Promise<Object>}
+ */
+async function getConversionReport({ range }) {
+  const match = createdIn(range);
+  const [carts, orders, paidOrders, orderedItems] = await Promise.all([
+    countWithUsers(CartItem, match),
+    countWithUsers(Order, match),
+    countWithUsers(Order, { ...match, paymentStatus: { $in: PAID_PAYMENT_STATUSES } }),
+    CartItem.countDocuments({ ...match, status: 'paymentSuccess' })
+  ]);
+
+  return {
+    cartItems: carts.documents,
+    shoppersWithCart: carts.users,
+    orders: orders.documents,
+    shoppersWithOrder: orders.users,
+    paidOrders: paidOrders.documents,
+    shoppersWithPaidOrder: paidOrders.users,
+    paidCartItems: orderedItems,
+    cartToOrderRate: ratio(orders.users, carts.users),
+    cartToPaidOrderRate: ratio(paidOrders.users, carts.users),
+    cartItemPurchaseRate: ratio(orderedItems, carts.documents)
+  };
+}
+
+/**
+ * Payment outcomes of orders placed in the range, per currency and overall
+ * failureRate is failed / (failed + paid); ordersEverFailed also counts orders paid after a failure,
+ * and recoveryRate is the share of those that ended up paid.
+ * @param {Object} params - { range }
+ * @returns {Promise<Object>} - { overall, byCurrency: [...] }
+ */
+async function getPaymentFailureReport({ range }) {
+  const FAILED_BEFORE = { $in: ['paymentFailed', { $ifNull: ['$statusHistory.to', []] }] };
+  const rows = await Order.aggregate([
+    { $match: createdIn(range) },
+    {
+      $group: {
+        _id: '$currency',
+        orders: { $sum: 1 },
+        paid: { $sum: { $cond: [{ $in: ['$paymentStatus', PAID_PAYMENT_STATUSES] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'failed'] }, 1, 0] } },
+        pending: { $sum: { $cond: [{ $in: ['$paymentStatus', ['pending', 'processing']] }, 1, 0] } },
+        everFailed: { $sum: { $cond: [FAILED_BEFORE, 1, 0] } },
+        recovered: {
+          $sum: { $cond: [{ $and: [FAILED_BEFORE, { $in: ['$paymentStatus', PAID_PAYMENT_STATUSES] }] }, 1, 0] }
+        }
+      }
+    },
+    { $sort: { orders: -1 } }
+  ]);
+
+  const summarize = (row) => ({
+    orders: row.orders,
+    paid: row.paid,
+    failed: row.failed,
+    pending: row.pending,
+    ordersEverFailed: row.everFailed,
+    failureRate: ratio(row.failed, row.failed + row.paid),
+    recovered: row.recovered,
+    recoveryRate: ratio(row.recovered, row.everFailed)
+  });
+
+  const overall = rows.reduce((sum, row) => {
+    ['orders', 'paid', 'failed', 'pending', 'everFailed', 'recovered'].forEach(key => {
+      sum[key] += row[key];
+    });
+    return sum;
+  }, { orders: 0, paid: 0, failed: 0, pending: 0, everFailed: 0, recovered: 0 });
+
+  return {
+    overall: summarize(overall),
+    byCurrency: rows.map(row => ({ currency: row._id, ...summarize(row) }))
+  };
+}
+
+module.exports = {
+  AnalyticsError,
+  resolveRange,
+  getRevenueReport,
+  getAverageOrderValue,
+  getTopProducts,
+  getConversionReport,
+  getPaymentFailureReport
+};
@@ -0,0 +1,58 @@
+const { storeImage } = require('./imageProcessor');
+const { getStorage } = require('./storage');
+const { tryGenerateThumbnail } = require('./thumbnails');
+
+/**
+ * Check an artwork field is a base64 image data URL or a URL in our own storage
+ * Other hosts are refused: their images can't be print-checked, packaged for production or cleaned up.
+ * @param {*} value
+ * @param {string} field - Field name for the error message
+ * @param {boolean} allowMissing - Let an empty value through (partial updates)
+ * @returns {string} - The value
+ */
+const validateImageUrl = (value, field, allowMissing) => {
+  if (!value) {
+    if (allowMissing) return value;
+    throw new Error(`${field} is required`);
+  }
+  if (typeof value !== 'string') {
+    throw new Error(`${field} must be a string`);
+  }
+  if (!value.startsWith('data:image/') && !getStorage().getPublicIdFromUrl(value)) {
+    throw new Error(`${field} must be an image data URL or an image uploaded through /api/upload`);
+  }
+  return value;
+};
+
+/**
+ * Upload any base64 artwork and keep only its URLs and public IDs
+ * Works on the finalImage/originalImageUrl fields shared by cart items and designs
+ * (older clients still post data URLs; new clients upload through /api/upload first).
+ * @param {Object} fields - Document fields, updated in place
+ * @returns {Promise<Object>} - The same fields
+ */
+const storeArtwork = async (fields) => {
+  const stored = {};
+  for (const [field, publicIdField] of [['finalImage', 'finalImagePublicId'], ['originalImageUrl', 'originalImagePublicId']]) {
+    const value = fields[field];
+    if (!value) continue;
+
+    // The same data URL is often sent for both fields - upload it once
+    if (!stored[value]) {
+      stored[value] = await storeImage(value);
+    }
+    fields[field] = stored[value].url;
+    fields[publicIdField] = stored[value].publicId;
+  }
+
+  // New artwork gets a new thumbnail (or none, to be created on first view)
+  if (fields.finalImage) {
+    Object.assign(fields, await tryGenerateThumbnail(fields.finalImage));
+  }
+  return fields;
+};
+
+module.exports = {
+  validateImageUrl,
+  storeArtwork
+};
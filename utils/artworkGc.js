@@ -0,0 +1,129 @@
+const CartItem = require('../models/CartItem');
+const Order = require('../models/Order');
+const Design = require('../models/Design');
+const { getStorage } = require('./storage');
+const { STORAGE_FOLDER } = require('../config/storage');
+const { ARTWORK_GC } = require('../config/jobs');
+
+// Raised for GC options that would make the grace period or delete limit meaningless
+class ArtworkGcError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArtworkGcError';
+  }
+}
+
+// Every document field that can reference stored artwork: [model, urlField, publicIdField]
+const REFERENCE_SOURCES = [
+  [CartItem, 'finalImage', 'finalImagePublicId'],
+  [CartItem, 'originalImageUrl', 'originalImagePublicId'],
+  [Order, 'items.finalImage', 'items.finalImagePublicId'],
+  [Order, 'items.originalImageUrl', 'items.originalImagePublicId'],
+  [CartItem, 'thumbnailUrl', 'thumbnailPublicId'],
+  [Order, 'items.thumbnailUrl', 'items.thumbnailPublicId'],
+  [Design, 'finalImage', 'finalImagePublicId'],
+  [Design, 'originalImageUrl', 'originalImagePublicId'],
+  [Design, 'thumbnailUrl', 'thumbnailPublicId']
+];
+
+/**
+ * Collect the public IDs of all assets referenced by cart items, orders and saved designs
+ * Older documents may only have a URL, so URLs are mapped back to public IDs too.
+ * @returns {Promise<Set<string>>}
+ */
+async function getReferencedPublicIds() {
+  const storage = getStorage();
+  const referenced = new Set();
+
+  for (const [model, urlField, publicIdField] of REFERENCE_SOURCES) {
+    const publicIds = await model.distinct(publicIdField);
+    publicIds.filter(Boolean).forEach(publicId => referenced.add(publicId));
+
+    const urls = await model.distinct(urlField, { [urlField]: { $not: /^data:/ } });
+    urls.forEach(url => {
+      const publicId = storage.getPublicIdFromUrl(url);
+      if (publicId) referenced.add(publicId);
+    });
+  }
+
+  return referenced;
+}
+
+/**
+ * Find stored artwork no document references and delete it once past the grace period
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report only, delete nothing
+ * @param {number} [options.graceHours] - Minimum asset age before deletion
+ * @param {number} [options.maxDeletes] - Stop after this many deletions
+ * @returns {Promise<Object>} - Report of scanned, referenced, orphaned and deleted assets
+ */
+async function collectArtworkGarbage({
+  dryRun = false,
+  graceHours = ARTWORK_GC.graceHours,
+  maxDeletes = ARTWORK_GC.maxDeletes
+} = {}) {
+  [['graceHours', graceHours], ['maxDeletes', maxDeletes]].forEach(([name, value]) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new ArtworkGcError(`${name} must be a non-negative number`);
+    }
+  });
+
+  const storage = getStorage();
+  const cutoff = new Date(Date.now() - graceHours * 60 * 60 * 1000);
+  const referenced = await getReferencedPublicIds();
+
+  const report = {
+    dryRun,
+    driver: storage.name,
+    graceHours,
+    cutoff,
+    scanned: 0,
+    referenced: 0,
+    recent: 0,
+    orphaned: [],
+    deleted: 0,
+    failed: [],
+    truncated: false
+  };
+
+  for await (const asset of storage.list({ prefix: STORAGE_FOLDER })) {
+    report.scanned++;
+
+    if (referenced.has(asset.publicId)) {
+      report.referenced++;
+      continue;
+    }
+    // Uploads not attached to a cart item or design yet are still fresh
+    if (asset.createdAt > cutoff) {
+      report.recent++;
+      continue;
+    }
+
+    if (report.orphaned.length >= maxDeletes) {
+      report.truncated = true;
+      break;
+    }
+    report.orphaned.push({ publicId: asset.publicId, bytes: asset.bytes, createdAt: asset.createdAt });
+
+    if (!dryRun) {
+      try {
+        if (await storage.remove(asset.publicId)) {
+          report.deleted++;
+        } else {
+          report.failed.push(asset.publicId);
+        }
+      } catch (error) {
+        console.error(`Error deleting orphaned asset ${asset.publicId}:`, error.message);
+        report.failed.push(asset.publicId);
+      }
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  ArtworkGcError,
+  getReferencedPublicIds,
+  collectArtworkGarbage
+};
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const CartItem = require('../models/CartItem');
+const Order = require('../models/Order');
+
+const RELEASABLE_STATUSES = ['ordered', 'paymentFailed'];
+
+/**
+ * Bring cart items in line with the orders that consumed them
+ * Links items to the newest order that lists them, then sets each order's items to the status its
+ * payment calls for (see CartItem.syncWithOrder). Items of unpaid cancelled orders that were never
+ * linked are left where they are, so old carts don't reappear. Unlinked items that still carry a
+ * status from the old client-driven payment flow are only reported.
+ * @param {Object} [options] - { dryRun }
+ * @returns {Promise<Object>} - { dryRun, orders, linked, updated, released, unlinked: { status: count } }
+ */
+async function reconcileCartItems({ dryRun = false } = {}) {
+  const report = { dryRun, orders: 0, linked: 0, updated: 0, released: 0, unlinked: {} };
+  // Items a dry run would have linked already, so older orders don't claim them too
+  const claimed = new Set();
+
+  const cursor = Order.find({})
+    .select('status paymentStatus items.cartItemId createdAt')
+    .sort({ createdAt: -1, _id: -1 })
+    .lean()
+    .cursor();
+
+  for await (const order of cursor) {
+    report.orders++;
+    const status = CartItem.statusForOrder(order);
+
+    if (status) {
+      const ids = order.items
+        .map(item => item.cartItemId)
+        .filter(id => id && !claimed.has(String(id)));
+      const unlinked = { _id: { $in: ids }, orderId: { $exists: false } };
+
+      if (dryRun) {
+        const linkable = await CartItem.find(unlinked).select('status').lean();
+        linkable.forEach(item => claimed.add(String(item._id)));
+        report.linked += linkable.length;
+        report.updated += linkable.filter(item => item.status !== status).length;
+        report.updated += await CartItem.countDocuments({ orderId: order._id, status: { $ne: status } });
+      } else {
+        report.linked += (await CartItem.updateMany(unlinked, { $set: { orderId: order._id } })).modifiedCount;
+        report.updated += (await CartItem.syncWithOrder(order)).modifiedCount;
+      }
+    } else if (dryRun) {
+      report.released += await CartItem.countDocuments({ orderId: order._id, status: { $in: RELEASABLE_STATUSES } });
+    } else {
+      report.released += (await CartItem.syncWithOrder(order)).modifiedCount;
+    }
+  }
+
+  const leftovers = await CartItem.aggregate([
+    { $match: { orderId: { $exists: false }, status: { $ne: 'pending' } } },
+    ...(dryRun ? [{ $match: { _id: { $nin: [...claimed].map(id => new mongoose.Types.ObjectId(id)) } } }] : []),
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  leftovers.forEach(({ _id, count }) => {
+    report.unlinked[_id] = count;
+  });
+
+  return report;
+}
+
+module.exports = {
+  reconcileCartItems
+};
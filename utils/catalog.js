@@ -0,0 +1,132 @@
+const Product = require('../models/Product');
+const Variant = require('../models/Variant');
+const { PRICING } = require('../config/pricing');
+const { estimatePadWeight } = require('./dimensions');
+
+// The catalog is read on every price quote, so keep it in memory for a short while
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+
+const DEFAULT_EDGE_OPTIONS = [
+  { id: 'stitched', label: 'Stitched edges', surcharges: {}, active: true }
+];
+
+const PRODUCT_NAMES = {
+  normal: 'Custom Mousepad',
+  rgb: 'Custom RGB Mousepad'
+};
+
+/**
+ * Build a catalog from the price tables in config/pricing.js
+ * Used to seed the database, and served for every product type the database doesn't have yet.
+ * @returns {Object} - { source: 'default', products: [{ mousepadType, name, edgeOptions, active, variants: [...] }] }
+ */
+function buildDefaultCatalog() {
+  const tables = Object.entries(PRICING.currencies);
+  const [, firstTable] = tables[0];
+
+  const products = Object.keys(firstTable.typeSurcharges).map((mousepadType, index) => {
+    const variants = [];
+    Object.keys(firstTable.basePrices).forEach(mousepadSize => {
+      Object.keys(firstTable.thicknessSurcharges).forEach(thickness => {
+        const [widthMm, lengthMm] = mousepadSize.split('x').map(Number);
+        const prices = {};
+        tables.forEach(([currency, table]) => {
+          if (table.basePrices[mousepadSize] === undefined) return;
+          prices[currency] = table.basePrices[mousepadSize]
+            + (table.thicknessSurcharges[thickness] || 0)
+            + (table.typeSurcharges[mousepadType] || 0);
+        });
+
+        variants.push({
+          sku: `${mousepadType}-${mousepadSize}-${thickness}`.toUpperCase(),
+          mousepadSize,
+          widthMm,
+          lengthMm,
+          thickness,
+          prices,
+          weightGrams: estimatePadWeight({ mousepadSize, thickness, mousepadType }),
+          active: true
+        });
+      });
+    });
+
+    return {
+      mousepadType,
+      name: PRODUCT_NAMES[mousepadType] || mousepadType,
+      description: '',
+      edgeOptions: DEFAULT_EDGE_OPTIONS,
+      active: true,
+      sortOrder: index,
+      variants
+    };
+  });
+
+  return { source: 'default', products };
+}
+
+// Load every product with its variants from the database
+// Product types not in the database yet keep their default entry, so creating one product
+// before seed:catalog has run doesn't make every other type unpriceable
+const loadCatalog = async () => {
+  const [products, variants] = await Promise.all([
+    Product.find({}).sort({ sortOrder: 1, name: 1 }).lean(),
+    Variant.find({}).sort({ widthMm: 1, lengthMm: 1, thickness: 1 }).lean()
+  ]);
+
+  const stored = products.map(product => ({
+    ...product,
+    variants: variants.filter(variant => String(variant.product) === String(product._id))
+  }));
+  const storedTypes = stored.map(product => product.mousepadType);
+  const defaults = buildDefaultCatalog().products
+    .filter(product => !storedTypes.includes(product.mousepadType));
+
+  let source = 'mixed';
+  if (stored.length === 0) source = 'default';
+  else if (defaults.length === 0) source = 'database';
+
+  return {
+    source,
+    products: [...stored, ...defaults].sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0))
+  };
+};
+
+/**
+ * Get the product catalog
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive] - Keep inactive products, variants and edge options
+ * @returns {Promise<Object>} - { source ('default', 'database' or 'mixed'), products: [{ mousepadType, name, edgeOptions, variants: [...] }] }
+ */
+async function getCatalog({ includeInactive = false } = {}) {
+  if (!cache || Date.now() - cache.loadedAt > CACHE_TTL_MS) {
+    cache = { loadedAt: Date.now(), catalog: await loadCatalog() };
+  }
+  const { catalog } = cache;
+  if (includeInactive) return catalog;
+
+  return {
+    ...catalog,
+    products: catalog.products
+      .filter(product => product.active)
+      .map(product => ({
+        ...product,
+        edgeOptions: product.edgeOptions.filter(edge => edge.active),
+        variants: product.variants.filter(variant => variant.active)
+      }))
+      .filter(product => product.variants.length > 0)
+  };
+}
+
+/**
+ * Drop the cached catalog (after admin changes)
+ */
+function invalidateCatalog() {
+  cache = null;
+}
+
+module.exports = {
+  buildDefaultCatalog,
+  getCatalog,
+  invalidateCatalog
+};
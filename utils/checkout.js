@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const CartItem = require('../models/CartItem');
+const { quoteItem, roundMoney } = require('./pricing');
+const { normalizeQuotes } = require('./currency');
+const { evaluateCoupon } = require('./coupons');
+const { getShippingOptions } = require('./shipping');
+const { calculateTax, TaxError } = require('./tax');
+
+// Raised when a checkout can't be quoted or placed (no shipping to the address, items already ordered...)
+class CheckoutError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.statusCode = statusCode;
+  }
+}
+
+const PLACE_ORDER_ATTEMPTS = 3;
+
+/**
+ * Build the full server-side checkout quote for a set of cart items
+ * @param {Object} params
+ * @param {Array<Object>} params.cartItems - Cart item documents, in order
+ * @param {Object} params.address - customerInfo.address
+ * @param {string} [params.shippingOptionId] - Selected option; the cheapest is used when omitted
+ * @param {string} [params.currency] - Order currency; items in other currencies are converted to it
+ * @param {Object} [params.coupon] - Coupon document to apply
+ * @param {string} [params.userId] - Order owner, for coupon per-user limits
+ * @returns {Promise<Object>} - { currency, items, subtotal, discount, coupon, shippingOptions, shippingOption, shipping, tax, total, exchangeRate }
+ */
+async function quoteCheckout({ cartItems, address, shippingOptionId, currency, coupon, userId }) {
+  const quotes = await Promise.all(cartItems.map(item => quoteItem(item)));
+  const pricing = await normalizeQuotes(quotes, currency);
+
+  const couponResult = coupon
+    ? await evaluateCoupon(coupon, { items: pricing.items, currency: pricing.currency, userId })
+    : null;
+  const discount = couponResult ? couponResult.discount : 0;
+  const shippingQuote = getShippingOptions(pricing.items, address, pricing.currency);
+
+  if (shippingQuote.options.length === 0) {
+    throw new CheckoutError(`Shipping to ${shippingQuote.country} is not available`);
+  }
+
+  const shippingOption = shippingOptionId
+    ? shippingQuote.options.find(option => option.id === shippingOptionId)
+    : shippingQuote.options[0];
+
+  if (!shippingOption) {
+    throw new CheckoutError(`Unknown shipping option: ${shippingOptionId}`);
+  }
+
+  // Tax is charged on the discounted subtotal
+  let tax;
+  try {
+    tax = calculateTax({
+      subtotal: roundMoney(pricing.subtotal - discount),
+      shipping: shippingOption.amount,
+      address
+    });
+  } catch (taxError) {
+    if (!(taxError instanceof TaxError)) throw taxError;
+    throw new CheckoutError(taxError.message);
+  }
+
+  return {
+    currency: pricing.currency,
+    items: pricing.items,
+    subtotal: pricing.subtotal,
+    discount,
+    coupon: couponResult,
+    weightGrams: shippingQuote.weightGrams,
+    shippingZone: shippingQuote.zone,
+    shippingOptions: shippingQuote.options,
+    shippingOption,
+    shipping: shippingOption.amount,
+    tax,
+    total: roundMoney(pricing.subtotal - discount + shippingOption.amount + tax.amount),
+    conversions: pricing.conversions,
+    exchangeRate: pricing.baseRate
+  };
+}
+
+// JSON with object keys sorted, so the same body always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hash a checkout request body, to spot an Idempotency-Key reused for a different checkout
+ * @param {Object} body
+ * @returns {string}
+ */
+const fingerprintCheckout = (body) => crypto.createHash('sha256').update(canonicalJson(body)).digest('hex');
+
+/**
+ * Create an order and take its items out of the cart in one transaction
+ * Items are only taken while still in the cart, so of two checkouts racing for the same items
+ * (double click, retry, two tabs) one fails with a 409 and leaves nothing behind.
+ * @param {Object} orderData - Order fields (see routes/order.js)
+ * @param {Array<string>} cartItemIds - Cart items being ordered
+ * @returns {Promise<Object>} - Order document
+ * @throws {CheckoutError} - 409 when some items are already in another order
+ */
+async function placeOrder(orderData, cartItemIds) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await mongoose.connection.transaction(async (session) => {
+        const orderId = new mongoose.Types.ObjectId();
+        const consumed = await CartItem.consumeForOrder(cartItemIds, orderData.userId, orderId, { session });
+        if (consumed !== cartItemIds.length) {
+          throw new CheckoutError('Some cart items are already in another order', 409);
+        }
+        return Order.createOrder({ ...orderData, _id: orderId }, { session });
+      });
+    } catch (error) {
+      // A new order number is drawn on the next attempt
+      if (!Order.isOrderNumberTaken(error) || attempt >= PLACE_ORDER_ATTEMPTS) throw error;
+    }
+  }
+}
+
+module.exports = {
+  CheckoutError,
+  quoteCheckout,
+  fingerprintCheckout,
+  placeOrder
+};
@@ -0,0 +1,159 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { roundMoney, normalizeSize } = require('./pricing');
+const { getConversionRate, convertAmount } = require('./currency');
+
+// Raised when a coupon can't be applied (expired, used up, not eligible...)
+class CouponError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CouponError';
+  }
+}
+
+const MAX_REDEEM_ATTEMPTS = 3;
+
+const isEligible = (coupon, item) => {
+  const { mousepadTypes = [], mousepadSizes = [] } = coupon.restrictions || {};
+  if (mousepadTypes.length > 0 && !mousepadTypes.includes(item.mousepadType)) {
+    return false;
+  }
+  if (mousepadSizes.length > 0) {
+    const sizes = mousepadSizes.map(size => normalizeSize(size));
+    if (!sizes.includes(normalizeSize(item.mousepadSize))) return false;
+  }
+  return true;
+};
+
+/**
+ * Look up a coupon by code
+ * @param {string} code
+ * @returns {Promise<Object>} - Coupon document
+ */
+async function findCoupon(code) {
+  const coupon = await Coupon.findByCode(code);
+  if (!coupon) {
+    throw new CouponError('Coupon code is not valid');
+  }
+  return coupon;
+}
+
+/**
+ * Check a coupon against a set of items and compute the discount
+ * @param {Object} coupon - Coupon document
+ * @param {Object} params
+ * @param {Array<Object>} params.items - Items with mousepadType, mousepadSize and lineTotal in `currency`
+ * @param {string} params.currency - Currency of the line totals
+ * @param {string} params.userId - Cart/order owner, for the per-user limit
+ * @returns {Promise<Object>} - { code, type, value, discount, eligibleSubtotal }
+ */
+async function evaluateCoupon(coupon, { items, currency, userId }) {
+  const now = new Date();
+
+  if (!coupon.active) {
+    throw new CouponError('Coupon code is not valid');
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new CouponError('Coupon code is not active yet');
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    throw new CouponError('Coupon code has expired');
+  }
+  if (coupon.maxUses && coupon.usedCount >= coupon.maxUses) {
+    throw new CouponError('Coupon code has reached its usage limit');
+  }
+  if (coupon.maxUsesPerUser) {
+    const uses = await CouponRedemption.countForUser(coupon._id, userId);
+    if (uses >= coupon.maxUsesPerUser) {
+      throw new CouponError('You have already used this coupon code');
+    }
+  }
+
+  // Only amounts need converting; a percent coupon with no minimum works in any currency
+  const needsConversion = coupon.type !== 'percent' || coupon.minSubtotal > 0;
+  const conversion = needsConversion ? await getConversionRate(coupon.currency, currency) : null;
+  const subtotal = items.reduce((sum, item) => sum + item.lineTotal, 0);
+  const minSubtotal = coupon.minSubtotal > 0 ? convertAmount(coupon.minSubtotal, conversion) : 0;
+  if (subtotal < minSubtotal) {
+    throw new CouponError(`Coupon code requires a subtotal of at least ${minSubtotal} ${currency}`);
+  }
+
+  const eligibleSubtotal = roundMoney(items
+    .filter(item => isEligible(coupon, item))
+    .reduce((sum, item) => sum + item.lineTotal, 0));
+  if (eligibleSubtotal === 0) {
+    throw new CouponError('Coupon code does not apply to these items');
+  }
+
+  const discount = coupon.type === 'percent'
+    ? eligibleSubtotal * Math.min(coupon.value, 100) / 100
+    : Math.min(convertAmount(coupon.value, conversion), eligibleSubtotal);
+
+  return {
+    code: coupon.code,
+    type: coupon.type,
+    value: coupon.value,
+    discount: roundMoney(discount),
+    eligibleSubtotal
+  };
+}
+
+/**
+ * Atomically take one use of a coupon for a user
+ * The per-user limit is enforced by the unique (coupon, userId, sequence) index and the
+ * global limit by a conditional $inc, so concurrent checkouts can't exceed either.
+ * @param {Object} coupon - Coupon document
+ * @param {string} userId
+ * @returns {Promise<Object>} - CouponRedemption document (pass to releaseCoupon to undo)
+ */
+async function redeemCoupon(coupon, userId) {
+  let redemption = null;
+
+  for (let attempt = 0; attempt < MAX_REDEEM_ATTEMPTS && !redemption; attempt++) {
+    const taken = await CouponRedemption.distinct('sequence', { coupon: coupon._id, userId });
+    if (coupon.maxUsesPerUser && taken.length >= coupon.maxUsesPerUser) {
+      throw new CouponError('You have already used this coupon code');
+    }
+
+    // Lowest free slot, so released uses can be taken again
+    let sequence = 1;
+    while (taken.includes(sequence)) sequence++;
+
+    try {
+      redemption = await CouponRedemption.create({ coupon: coupon._id, userId, sequence });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Another checkout took this slot - count again
+    }
+  }
+
+  if (!redemption) {
+    throw new CouponError('Coupon code is being used by another checkout, please try again');
+  }
+
+  const updated = await Coupon.incrementUse(coupon._id);
+  if (!updated) {
+    await CouponRedemption.deleteOne({ _id: redemption._id });
+    throw new CouponError('Coupon code has reached its usage limit');
+  }
+
+  return redemption;
+}
+
+/**
+ * Give back a use taken by redeemCoupon (e.g. when order creation fails)
+ * @param {Object} redemption - CouponRedemption document
+ * @returns {Promise<void>}
+ */
+async function releaseCoupon(redemption) {
+  await CouponRedemption.deleteOne({ _id: redemption._id });
+  await Coupon.decrementUse(redemption.coupon);
+}
+
+module.exports = {
+  CouponError,
+  findCoupon,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon
+};
@@ -0,0 +1,32 @@
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Format one CSV cell (RFC 4180 quoting)
+ * Text that a spreadsheet would treat as a formula is prefixed with a quote.
+ * @param {*} value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+  let text = String(value);
+  if (FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one CSV line
+ * @param {Array<*>} values
+ * @returns {string} - Line including the trailing CRLF
+ */
+const toCsvRow = (values) => `${values.map(toCsvCell).join(',')}\r\n`;
+
+module.exports = {
+  toCsvCell,
+  toCsvRow
+};
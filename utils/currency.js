@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const ExchangeRate = require('../models/ExchangeRate');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY } = require('../config/currency');
+const { roundMoney } = require('./pricing');
+
+// Raised for unsupported currencies, missing rates or disallowed currency mixing
+class CurrencyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CurrencyError';
+  }
+}
+
+/**
+ * Load all stored rates keyed by currency (the base currency is always 1)
+ * @returns {Promise<Object>} - { USD: { rate, source, asOf }, SGD: {...} }
+ */
+async function getRates() {
+  const docs = await ExchangeRate.find({}).lean();
+  const rates = {
+    [BASE_CURRENCY]: { rate: 1, source: 'base', asOf: null }
+  };
+  docs.forEach(doc => {
+    if (doc.currency !== BASE_CURRENCY) {
+      rates[doc.currency] = { rate: doc.rate, source: doc.source, asOf: doc.updatedAt };
+    }
+  });
+  return rates;
+}
+
+/**
+ * Get the rate to convert an amount from one currency to another
+ * @param {string} from
+ * @param {string} to
+ * @param {Object} [rates] - Result of getRates(), fetched when omitted
+ * @returns {Promise<Object>} - { from, to, rate, source, asOf }
+ */
+async function getConversionRate(from, to, rates) {
+  [from, to].forEach(currency => {
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      throw new CurrencyError(`Unsupported currency: ${currency}`);
+    }
+  });
+
+  if (from === to) {
+    return { from, to, rate: 1, source: 'identity', asOf: null };
+  }
+
+  const allRates = rates || await getRates();
+  const fromRate = allRates[from];
+  const toRate = allRates[to];
+  if (!fromRate || !toRate || !fromRate.rate) {
+    throw new CurrencyError(`No exchange rate configured between ${from} and ${to}`);
+  }
+
+  const nonBase = from === BASE_CURRENCY ? toRate : fromRate;
+  return {
+    from,
+    to,
+    rate: toRate.rate / fromRate.rate,
+    source: nonBase.source,
+    asOf: nonBase.asOf
+  };
+}
+
+/**
+ * Convert an amount using a rate from getConversionRate
+ * @param {number} amount
+ * @param {Object} conversion
+ * @returns {number}
+ */
+const convertAmount = (amount, conversion) => roundMoney(amount * conversion.rate);
+
+/**
+ * Normalize item quotes (see utils/pricing.quoteItem) to a single currency
+ * Items in another currency are only converted when a target currency is given;
+ * otherwise a mixed set of items is rejected.
+ * @param {Array<Object>} quotes
+ * @param {string} [targetCurrency]
+ * @returns {Promise<Object>} - { currency, items, subtotal, conversions }
+ */
+async function normalizeQuotes(quotes, targetCurrency) {
+  const currencies = [...new Set(quotes.map(quote => quote.currency))];
+  if (!targetCurrency && currencies.length > 1) {
+    throw new CurrencyError(`Items are priced in ${currencies.join(' and ')}; choose one currency to convert to`);
+  }
+
+  const currency = targetCurrency || currencies[0] || BASE_CURRENCY;
+  const rates = await getRates();
+  const conversions = {};
+
+  const items = [];
+  for (const quote of quotes) {
+    if (quote.currency === currency) {
+      items.push(quote);
+      continue;
+    }
+
+    if (!conversions[quote.currency]) {
+      conversions[quote.currency] = await getConversionRate(quote.currency, currency, rates);
+    }
+    const conversion = conversions[quote.currency];
+    const unitPrice = convertAmount(quote.unitPrice, conversion);
+
+    items.push({
+      ...quote,
+      currency,
+      unitPrice,
+      lineTotal: roundMoney(unitPrice * quote.quantity),
+      originalCurrency: quote.currency,
+      originalUnitPrice: quote.unitPrice
+    });
+  }
+
+  return {
+    currency,
+    items,
+    subtotal: roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0)),
+    conversions: Object.values(conversions),
+    baseRate: await getBaseRate(currency, rates, Object.keys(conversions).length > 0)
+  };
+}
+
+// Rate from the base currency to the order currency, recorded on the order for reporting
+// Orders that needed no conversion don't depend on it, so a missing rate leaves it unset
+// rather than failing the checkout
+const getBaseRate = async (currency, rates, converted) => {
+  if (currency === BASE_CURRENCY) {
+    return { from: BASE_CURRENCY, to: currency, rate: 1, source: 'identity', asOf: null };
+  }
+  try {
+    return await getConversionRate(BASE_CURRENCY, currency, rates);
+  } catch (error) {
+    if (converted || !(error instanceof CurrencyError)) throw error;
+    return undefined;
+  }
+};
+
+/**
+ * Load exchange rates from a local JSON file into the database
+ * @param {string} filePath - { "base": "USD", "rates": { "SGD": 1.35 } }
+ * @param {string} [updatedBy]
+ * @returns {Promise<Array>} - Updated ExchangeRate documents
+ */
+async function loadRatesFromFile(filePath, updatedBy) {
+  const data = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+  const base = data.base || BASE_CURRENCY;
+  if (base !== BASE_CURRENCY) {
+    throw new CurrencyError(`Rates file must be based on ${BASE_CURRENCY}, got ${base}`);
+  }
+
+  const entries = Object.entries(data.rates || {})
+    .filter(([currency]) => currency !== BASE_CURRENCY);
+
+  entries.forEach(([currency, rate]) => {
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      throw new CurrencyError(`Unsupported currency in rates file: ${currency}`);
+    }
+    if (typeof rate !== 'number' || !(rate > 0)) {
+      throw new CurrencyError(`Invalid rate for ${currency} in rates file`);
+    }
+  });
+
+  const updated = [];
+  for (const [currency, rate] of entries) {
+    updated.push(await ExchangeRate.setRate(currency, rate, { source: 'file', updatedBy }));
+  }
+  return updated;
+}
+
+module.exports = {
+  CurrencyError,
+  getRates,
+  getConversionRate,
+  convertAmount,
+  normalizeQuotes,
+  loadRatesFromFile
+};
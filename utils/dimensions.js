@@ -0,0 +1,47 @@
+const { PARCEL_WEIGHT } = require('../config/shipping');
+
+/**
+ * Normalize a size string such as '900x400' or '400 x 900mm' to '400x900'
+ * @param {string} size
+ * @returns {string|null} - Normalized size, or null if it can't be parsed
+ */
+const normalizeSize = (size) => {
+  const match = String(size || '').trim().match(/^(\d+)\s*[x×]\s*(\d+)\s*(mm)?$/i);
+  if (!match) return null;
+  const [a, b] = [Number(match[1]), Number(match[2])].sort((x, y) => x - y);
+  return `${a}x${b}`;
+};
+
+/**
+ * Normalize a thickness such as '3', 3 or '3 mm' to '3mm'
+ * @param {string|number} thickness
+ * @returns {string|null}
+ */
+const normalizeThickness = (thickness) => {
+  const match = String(thickness || '').trim().match(/^(\d+(?:\.\d+)?)\s*(mm)?$/i);
+  return match ? `${match[1]}mm` : null;
+};
+
+/**
+ * Estimate the weight of one mousepad from its dimensions
+ * Used when the catalog has no weight for a configuration (older cart items)
+ * @param {Object} spec - { mousepadSize, thickness, mousepadType }
+ * @returns {number} - Grams
+ */
+const estimatePadWeight = (spec) => {
+  const [width, length] = (normalizeSize(spec.mousepadSize) || '0x0').split('x').map(Number);
+  const thicknessMm = parseFloat(normalizeThickness(spec.thickness)) || 0;
+  const areaSquareMetres = (width / 1000) * (length / 1000);
+
+  let grams = areaSquareMetres * thicknessMm * PARCEL_WEIGHT.gramsPerSquareMetrePerMm;
+  if (spec.mousepadType === 'rgb') {
+    grams += PARCEL_WEIGHT.rgbExtraGrams;
+  }
+  return Math.round(grams);
+};
+
+module.exports = {
+  normalizeSize,
+  normalizeThickness,
+  estimatePadWeight
+};
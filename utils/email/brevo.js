@@ -0,0 +1,38 @@
+const brevo = require('@getbrevo/brevo');
+const { BREVO_API_KEY } = require('../../config/email');
+
+// Create the API client lazily (serverless cold starts)
+let api = null;
+
+const getApi = () => {
+  if (!api) {
+    if (!BREVO_API_KEY) {
+      throw new Error('BREVO_API_KEY is not configured');
+    }
+    api = new brevo.TransactionalEmailsApi();
+    api.setApiKey(brevo.TransactionalEmailsApiApiKeys.apiKey, BREVO_API_KEY);
+  }
+  return api;
+};
+
+/**
+ * Send an email through Brevo's transactional API
+ * @param {Object} message - { from, to, subject, html, text, headers }
+ * @returns {Promise<Object>} - { messageId }
+ */
+async function send(message) {
+  const result = await getApi().sendTransacEmail({
+    sender: message.from,
+    to: [message.to],
+    subject: message.subject,
+    htmlContent: message.html,
+    textContent: message.text,
+    headers: message.headers
+  });
+  return { messageId: result.body && result.body.messageId };
+}
+
+module.exports = {
+  name: 'brevo',
+  send
+};
@@ -0,0 +1,38 @@
+const { EMAIL_TRANSPORT, EMAIL_FROM } = require('../../config/email');
+
+// Transports share one interface: send({ from, to, subject, html, text, headers }) -> { messageId }
+const transports = {
+  brevo: () => require('./brevo'),
+  mock: () => require('./mock')
+};
+
+let transport = null;
+
+/**
+ * Get the configured email transport
+ * @returns {Object}
+ */
+const getTransport = () => {
+  if (!transport) {
+    const load = transports[EMAIL_TRANSPORT];
+    if (!load) {
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${EMAIL_TRANSPORT}`);
+    }
+    transport = load();
+  }
+  return transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to: { email, name }, subject, html, text, headers }
+ * @returns {Promise<Object>} - { messageId }
+ */
+async function sendEmail(message) {
+  return getTransport().send({ from: EMAIL_FROM, ...message });
+}
+
+module.exports = {
+  getTransport,
+  sendEmail
+};
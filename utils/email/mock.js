@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+// Messages "sent" by the mock transport, newest last (kept in memory for local runs)
+const sent = [];
+
+/**
+ * Record an email instead of sending it
+ * @param {Object} message - { from, to, subject, html, text, headers }
+ * @returns {Promise<Object>} - { messageId }
+ */
+async function send(message) {
+  if (process.env.EMAIL_MOCK_FAIL === 'true') {
+    throw new Error('Mock transport failure (EMAIL_MOCK_FAIL)');
+  }
+
+  const messageId = `<mock-${crypto.randomBytes(8).toString('hex')}@localhost>`;
+  sent.push({ ...message, messageId, sentAt: new Date() });
+
+  if (process.env.NODE_ENV !== 'production') {
+    console.log(`[mock email] to ${message.to.email}: ${message.subject}`);
+  }
+  return { messageId };
+}
+
+module.exports = {
+  name: 'mock',
+  send,
+  sent
+};
@@ -0,0 +1,97 @@
+const EmailOutbox = require('../../models/EmailOutbox');
+const { sendEmail } = require('./index');
+const { renderTemplate } = require('./templates');
+const { EMAIL_OUTBOX } = require('../../config/email');
+
+const MINUTE_MS = 60 * 1000;
+
+const staleBefore = () => new Date(Date.now() - EMAIL_OUTBOX.lockMinutes * MINUTE_MS);
+
+/**
+ * Render a template and queue it for delivery
+ * @param {Object} params
+ * @param {string} params.template - Template name (see ./templates)
+ * @param {Object} params.data - Template data
+ * @param {Object} params.to - { email, name }
+ * @param {Object} [params.headers] - Extra email headers
+ * @param {string} [params.orderId] - Related order
+ * @param {string} [params.dedupeKey] - Queue at most one email per key
+ * @returns {Promise<Object>} - EmailOutbox document
+ */
+async function enqueueEmail({ template, data, to, headers, orderId, dedupeKey }) {
+  return EmailOutbox.enqueue({
+    ...renderTemplate(template, data),
+    to,
+    headers,
+    orderId,
+    dedupeKey
+  });
+}
+
+// Send a claimed entry and record the outcome; failures are rescheduled with exponential backoff
+const deliverClaimed = async (entry) => {
+  try {
+    const { messageId } = await sendEmail({
+      to: entry.to,
+      subject: entry.subject,
+      html: entry.html,
+      text: entry.text,
+      headers: entry.headers ? Object.fromEntries(entry.headers) : undefined
+    });
+
+    entry.status = 'sent';
+    entry.messageId = messageId;
+    entry.sentAt = new Date();
+    entry.lastError = undefined;
+  } catch (error) {
+    entry.lastError = error.message;
+    if (entry.attempts >= EMAIL_OUTBOX.maxAttempts) {
+      entry.status = 'failed';
+    } else {
+      entry.status = 'pending';
+      entry.nextAttemptAt = new Date(Date.now() + EMAIL_OUTBOX.baseDelayMinutes * 2 ** (entry.attempts - 1) * MINUTE_MS);
+    }
+  }
+
+  entry.lockedAt = undefined;
+  await entry.save();
+  return entry;
+};
+
+/**
+ * Try to send one queued email now (no-op if it's already sent, being sent or not due)
+ * @param {Object} entry - EmailOutbox document
+ * @returns {Promise<Object|null>} - Updated entry, or null if it couldn't be claimed
+ */
+async function deliverEmail(entry) {
+  const claimed = await EmailOutbox.claim({ _id: entry._id }, staleBefore());
+  return claimed ? deliverClaimed(claimed) : null;
+}
+
+/**
+ * Send queued emails that are due, oldest first
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<Object>} - { processed, sent, retrying, failed }
+ */
+async function processOutbox({ limit = EMAIL_OUTBOX.batchSize } = {}) {
+  const report = { processed: 0, sent: 0, retrying: 0, failed: 0 };
+
+  while (report.processed < limit) {
+    const claimed = await EmailOutbox.claim({}, staleBefore());
+    if (!claimed) break;
+
+    const entry = await deliverClaimed(claimed);
+    report.processed++;
+    if (entry.status === 'sent') report.sent++;
+    else if (entry.status === 'failed') report.failed++;
+    else report.retrying++;
+  }
+
+  return report;
+}
+
+module.exports = {
+  enqueueEmail,
+  deliverEmail,
+  processOutbox
+};
@@ -0,0 +1,52 @@
+const { escapeHtml, formatMoney, emailImageUrl, layout, button } = require('./helpers');
+
+/**
+ * Abandoned cart reminder
+ * @param {Object} data - { firstName, items: [{ name, mousepadSize, thickness, quantity, price, currency, imageUrl }], cartUrl, unsubscribeUrl }
+ * @returns {Object} - { subject, html, text }
+ */
+const render = (data) => {
+  const greeting = data.firstName ? `Hi ${data.firstName},` : 'Hi there,';
+  const [featured] = data.items;
+  const featuredImage = featured && emailImageUrl(featured.imageUrl);
+
+  const itemRows = data.items.map(item => `
+    <tr>
+      <td style="padding:4px 0">${escapeHtml(item.name)} - ${escapeHtml(item.mousepadSize)}mm, ${escapeHtml(item.thickness)} x ${item.quantity}</td>
+      <td style="padding:4px 0;text-align:right">${escapeHtml(formatMoney(item.price * item.quantity, item.currency))}</td>
+    </tr>`).join('');
+
+  const html = layout(`
+  <p>${escapeHtml(greeting)}</p>
+  <p>Your custom mousepad design is still waiting in your cart.</p>
+  ${featuredImage ? `<p><img src="${escapeHtml(featuredImage)}" alt="Your design" width="520" style="max-width:100%;border-radius:8px"></p>` : ''}
+  <table style="width:100%;border-collapse:collapse">${itemRows}
+  </table>
+  ${button(data.cartUrl, 'Return to your cart')}
+  <p style="font-size:12px;color:#888">
+    Don't want these reminders? <a href="${escapeHtml(data.unsubscribeUrl)}" style="color:#888">Unsubscribe</a>.
+  </p>`);
+
+  const text = [
+    greeting,
+    '',
+    'Your custom mousepad design is still waiting in your cart.',
+    '',
+    ...data.items.map(item => `- ${item.name} - ${item.mousepadSize}mm, ${item.thickness} x ${item.quantity}: ${formatMoney(item.price * item.quantity, item.currency)}`),
+    '',
+    `Return to your cart: ${data.cartUrl}`,
+    '',
+    `Unsubscribe: ${data.unsubscribeUrl}`
+  ].join('\n');
+
+  return {
+    subject: 'Your mousepad design is waiting',
+    html,
+    text
+  };
+};
+
+module.exports = {
+  version: 1,
+  render
+};
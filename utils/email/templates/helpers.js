@@ -0,0 +1,82 @@
+// Escape text for safe inclusion in HTML email bodies
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Format an amount with its currency code, e.g. 34.99 USD
+const formatMoney = (amount, currency) => `${Number(amount || 0).toFixed(2)} ${currency}`;
+
+// Images that can be shown in an email (mail clients block data URLs)
+const emailImageUrl = (url) => (url && /^https?:\/\//.test(url) ? url : null);
+
+// Reference customers can quote for an order (older orders have no order number)
+const orderReference = (order) => order.orderNumber || String(order._id).slice(-8).toUpperCase();
+
+// Common wrapper for every email body
+const layout = (content) => `
+<div style="font-family:Arial,sans-serif;max-width:560px;margin:0 auto;color:#222">
+${content}
+</div>`;
+
+const button = (href, label) => `
+  <p style="margin:24px 0">
+    <a href="${escapeHtml(href)}" style="background:#111;color:#fff;padding:12px 20px;border-radius:6px;text-decoration:none">${escapeHtml(label)}</a>
+  </p>`;
+
+const itemDescription = (item) => `${item.name} - ${item.mousepadSize}mm, ${item.thickness}${item.mousepadType === 'rgb' ? ', RGB' : ''}`;
+
+/**
+ * Render order line items and totals
+ * @param {Object} order - Order snapshot: { items, subtotal, discount, shipping, tax, total, currency }
+ * @returns {Object} - { html, text }
+ */
+const renderOrderSummary = (order) => {
+  const totals = [
+    ['Subtotal', order.subtotal],
+    ...(order.discount ? [['Discount', -order.discount]] : []),
+    ['Shipping', order.shipping],
+    ['Tax', order.tax],
+    ['Total', order.total]
+  ];
+
+  const itemRows = order.items.map(item => {
+    const imageUrl = emailImageUrl(item.imageUrl);
+    return `
+    <tr>
+      <td style="padding:6px 8px 6px 0;width:64px">${imageUrl ? `<img src="${escapeHtml(imageUrl)}" alt="" width="64" style="border-radius:4px">` : ''}</td>
+      <td style="padding:6px 0">${escapeHtml(itemDescription(item))} x ${item.quantity}</td>
+      <td style="padding:6px 0;text-align:right">${escapeHtml(formatMoney(item.price * item.quantity, order.currency))}</td>
+    </tr>`;
+  }).join('');
+
+  const totalRows = totals.map(([label, amount]) => `
+    <tr>
+      <td></td>
+      <td style="padding:2px 0;${label === 'Total' ? 'font-weight:bold' : ''}">${label}</td>
+      <td style="padding:2px 0;text-align:right;${label === 'Total' ? 'font-weight:bold' : ''}">${escapeHtml(formatMoney(amount, order.currency))}</td>
+    </tr>`).join('');
+
+  return {
+    html: `
+  <table style="width:100%;border-collapse:collapse">${itemRows}${totalRows}
+  </table>`,
+    text: [
+      ...order.items.map(item => `- ${itemDescription(item)} x ${item.quantity}: ${formatMoney(item.price * item.quantity, order.currency)}`),
+      '',
+      ...totals.map(([label, amount]) => `${label}: ${formatMoney(amount, order.currency)}`)
+    ].join('\n')
+  };
+};
+
+module.exports = {
+  escapeHtml,
+  formatMoney,
+  emailImageUrl,
+  orderReference,
+  layout,
+  button,
+  renderOrderSummary
+};
@@ -0,0 +1,34 @@
+// Email templates by name. Each exports { version, render(data) -> { subject, html, text } };
+// bump the version whenever the wording or layout changes so sent emails can be traced back.
+const TEMPLATES = {
+  abandonedCart: require('./abandonedCart'),
+  orderConfirmation: require('./orderConfirmation'),
+  paymentFailed: require('./paymentFailed'),
+  orderShipped: require('./orderShipped'),
+  orderDelivered: require('./orderDelivered'),
+  orderCancelled: require('./orderCancelled'),
+  refundIssued: require('./refundIssued')
+};
+
+/**
+ * Render a named template
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @returns {Object} - { template, templateVersion, subject, html, text }
+ */
+const renderTemplate = (name, data) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return {
+    template: name,
+    templateVersion: template.version,
+    ...template.render(data)
+  };
+};
+
+module.exports = {
+  TEMPLATES,
+  renderTemplate
+};
@@ -0,0 +1,39 @@
+const { escapeHtml, orderReference, layout, button } = require('./helpers');
+
+/**
+ * Order cancelled
+ * @param {Object} data - Order snapshot (see utils/notifications.buildOrderSnapshot)
+ * @returns {Object} - { subject, html, text }
+ */
+const render = (data) => {
+  const reference = orderReference(data);
+  const refundNote = data.paymentStatus === 'completed'
+    ? 'Your payment will be refunded to the original payment method - we\'ll email you once the refund is on its way.'
+    : 'You have not been charged for this order.';
+
+  const html = layout(`
+  <p>Hi ${escapeHtml(data.customerInfo.firstName)},</p>
+  <p>Order <strong>#${escapeHtml(reference)}</strong> has been cancelled.</p>
+  <p>${escapeHtml(refundNote)}</p>
+  ${button(data.orderUrl, 'View your order')}`);
+
+  const text = [
+    `Hi ${data.customerInfo.firstName},`,
+    '',
+    `Order #${reference} has been cancelled.`,
+    refundNote,
+    '',
+    `View your order: ${data.orderUrl}`
+  ].join('\n');
+
+  return {
+    subject: `Order #${reference} has been cancelled`,
+    html,
+    text
+  };
+};
+
+module.exports = {
+  version: 1,
+  render
+};
@@ -0,0 +1,45 @@
+const { escapeHtml, orderReference, layout, button, renderOrderSummary } = require('./helpers');
+
+/**
+ * Order confirmation, sent when an order is placed
+ * @param {Object} data - Order snapshot (see utils/notifications.buildOrderSnapshot)
+ * @returns {Object} - { subject, html, text }
+ */
+const render = (data) => {
+  const reference = orderReference(data);
+  const summary = renderOrderSummary(data);
+  const { address } = data.customerInfo;
+  const shipTo = [address.street, address.city, address.state, address.zipCode, address.country].filter(Boolean).join(', ');
+
+  const html = layout(`
+  <p>Hi ${escapeHtml(data.customerInfo.firstName)},</p>
+  <p>Thanks for your order! We've received order <strong>#${escapeHtml(reference)}</strong> and will start on it once payment is confirmed.</p>
+  ${summary.html}
+  <p>Shipping to: ${escapeHtml(shipTo)}<br>
+  Shipping method: ${escapeHtml(data.shippingMethod.label)}</p>
+  ${button(data.orderUrl, 'View your order')}`);
+
+  const text = [
+    `Hi ${data.customerInfo.firstName},`,
+    '',
+    `Thanks for your order! We've received order #${reference} and will start on it once payment is confirmed.`,
+    '',
+    summary.text,
+    '',
+    `Shipping to: ${shipTo}`,
+    `Shipping method: ${data.shippingMethod.label}`,
+    '',
+    `View your order: ${data.orderUrl}`
+  ].join('\n');
+
+  return {
+    subject: `Order confirmation #${reference}`,
+    html,
+    text
+  };
+};
+
+module.exports = {
+  version: 2,
+  render
+};
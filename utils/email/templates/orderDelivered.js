@@ -0,0 +1,36 @@
+const { escapeHtml, orderReference, layout, button } = require('./helpers');
+
+/**
+ * Order delivered
+ * @param {Object} data - Order snapshot (see utils/notifications.buildOrderSnapshot)
+ * @returns {Object} - { subject, html, text }
+ */
+const render = (data) => {
+  const reference = orderReference(data);
+
+  const html = layout(`
+  <p>Hi ${escapeHtml(data.customerInfo.firstName)},</p>
+  <p>Order <strong>#${escapeHtml(reference)}</strong> has been delivered. We hope you enjoy your new mousepad!</p>
+  <p>If anything isn't right, just reply to this email.</p>
+  ${button(data.orderUrl, 'View your order')}`);
+
+  const text = [
+    `Hi ${data.customerInfo.firstName},`,
+    '',
+    `Order #${reference} has been delivered. We hope you enjoy your new mousepad!`,
+    'If anything isn\'t right, just reply to this email.',
+    '',
+    `View your order: ${data.orderUrl}`
+  ].join('\n');
+
+  return {
+    subject: `Order #${reference} has been delivered`,
+    html,
+    text
+  };
+};
+
+module.exports = {
+  version: 2,
+  render
+};
@@ -0,0 +1,44 @@
+const { escapeHtml, orderReference, layout, button, renderOrderSummary } = require('./helpers');
+
+/**
+ * Order shipped, with tracking details when available
+ * @param {Object} data - Order snapshot plus optional shipment: { carrier, trackingNumber, trackingUrl }
+ * @returns {Object} - { subject, html, text }
+ */
+const render = (data) => {
+  const reference = orderReference(data);
+  const summary = renderOrderSummary(data);
+  const shipment = data.shipment || {};
+  const tracking = shipment.trackingNumber
+    ? `${shipment.carrier ? `${shipment.carrier} ` : ''}tracking number ${shipment.trackingNumber}`
+    : null;
+
+  const html = layout(`
+  <p>Hi ${escapeHtml(data.customerInfo.firstName)},</p>
+  <p>Good news - order <strong>#${escapeHtml(reference)}</strong> is on its way!</p>
+  ${tracking ? `<p>${escapeHtml(tracking)}</p>` : ''}
+  ${summary.html}
+  ${button(shipment.trackingUrl || data.orderUrl, shipment.trackingUrl ? 'Track your parcel' : 'View your order')}`);
+
+  const text = [
+    `Hi ${data.customerInfo.firstName},`,
+    '',
+    `Good news - order #${reference} is on its way!`,
+    ...(tracking ? ['', tracking] : []),
+    '',
+    summary.text,
+    '',
+    shipment.trackingUrl ? `Track your parcel: ${shipment.trackingUrl}` : `View your order: ${data.orderUrl}`
+  ].join('\n');
+
+  return {
+    subject: `Order #${reference} has shipped`,
+    html,
+    text
+  };
+};
+
+module.exports = {
+  version: 2,
+  render
+};
@@ -0,0 +1,39 @@
+const { escapeHtml, formatMoney, orderReference, layout, button, renderOrderSummary } = require('./helpers');
+
+/**
+ * Payment failed, sent when an order's payment is declined
+ * @param {Object} data - Order snapshot (see utils/notifications.buildOrderSnapshot)
+ * @returns {Object} - { subject, html, text }
+ */
+const render = (data) => {
+  const reference = orderReference(data);
+  const summary = renderOrderSummary(data);
+  const total = formatMoney(data.total, data.currency);
+
+  const html = layout(`
+  <p>Hi ${escapeHtml(data.customerInfo.firstName)},</p>
+  <p>We couldn't process the payment of <strong>${escapeHtml(total)}</strong> for order <strong>#${escapeHtml(reference)}</strong>. Your design is saved - you can try again with another card or payment method.</p>
+  ${summary.html}
+  ${button(data.orderUrl, 'Retry payment')}`);
+
+  const text = [
+    `Hi ${data.customerInfo.firstName},`,
+    '',
+    `We couldn't process the payment of ${total} for order #${reference}. Your design is saved - you can try again with another card or payment method.`,
+    '',
+    summary.text,
+    '',
+    `Retry payment: ${data.orderUrl}`
+  ].join('\n');
+
+  return {
+    subject: `Payment failed for order #${reference}`,
+    html,
+    text
+  };
+};
+
+module.exports = {
+  version: 2,
+  render
+};
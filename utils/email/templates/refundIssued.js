@@ -0,0 +1,39 @@
+const { escapeHtml, formatMoney, orderReference, layout, button } = require('./helpers');
+
+/**
+ * Refund issued for (part of) an order
+ * @param {Object} data - Order snapshot plus refund: { amount, reason, items: [{ itemIndex, quantity }], shipping }
+ * @returns {Object} - { subject, html, text }
+ */
+const render = (data) => {
+  const reference = orderReference(data);
+  const amount = formatMoney(data.refund.amount, data.currency);
+  const lines = data.refund.items.map(({ itemIndex, quantity }) => `${data.items[itemIndex].name} x ${quantity}`);
+  if (data.refund.shipping > 0) lines.push('Shipping');
+
+  const html = layout(`
+  <p>Hi ${escapeHtml(data.customerInfo.firstName)},</p>
+  <p>We've refunded <strong>${escapeHtml(amount)}</strong> for order <strong>#${escapeHtml(reference)}</strong>. It can take 5-10 business days to show up on your statement.</p>
+  ${lines.length ? `<ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>` : ''}
+  ${button(data.orderUrl, 'View your order')}`);
+
+  const text = [
+    `Hi ${data.customerInfo.firstName},`,
+    '',
+    `We've refunded ${amount} for order #${reference}. It can take 5-10 business days to show up on your statement.`,
+    ...(lines.length ? ['', ...lines.map(line => `- ${line}`)] : []),
+    '',
+    `View your order: ${data.orderUrl}`
+  ].join('\n');
+
+  return {
+    subject: `Refund for order #${reference}`,
+    html,
+    text
+  };
+};
+
+module.exports = {
+  version: 1,
+  render
+};
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const { EMAIL_LINK_SECRET, UNSUBSCRIBE_URL } = require('../../config/email');
+
+const normalizeEmail = (email) => String(email || '').toLowerCase().trim();
+
+/**
+ * Sign an email address for an unsubscribe link
+ * @param {string} email
+ * @returns {string} - Hex HMAC
+ */
+const createUnsubscribeToken = (email) => {
+  return crypto.createHmac('sha256', EMAIL_LINK_SECRET).update(`unsubscribe:${normalizeEmail(email)}`).digest('hex');
+};
+
+/**
+ * Check an unsubscribe token
+ * @param {string} email
+ * @param {string} token
+ * @returns {boolean}
+ */
+const verifyUnsubscribeToken = (email, token) => {
+  const expected = Buffer.from(createUnsubscribeToken(email), 'hex');
+  const actual = Buffer.from(String(token || ''), 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Build the signed unsubscribe URL for an address
+ * @param {string} email
+ * @returns {string}
+ */
+const getUnsubscribeUrl = (email) => {
+  const params = new URLSearchParams({ email: normalizeEmail(email), token: createUnsubscribeToken(email) });
+  return `${UNSUBSCRIBE_URL}?${params.toString()}`;
+};
+
+module.exports = {
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  getUnsubscribeUrl
+};
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { openImage, detectImageType } = require('./imageProcessor');
+const { getStorage } = require('./storage');
+const { API_BASE_URL } = require('../config/api');
+
+// Query string that lets <img> tags identify a guest (they can't send X-User-Id)
+const guestQuery = (req) => (req.isGuest ? `userId=${encodeURIComponent(req.userId)}` : '');
+
+const withQuery = (url, ...parts) => {
+  const query = parts.filter(Boolean).join('&');
+  return query ? `${url}?${query}` : url;
+};
+
+/**
+ * Image links for a cart item in list views
+ * The stored thumbnail is linked directly; until it exists, the image endpoint creates it.
+ * @param {Object} req - Request (for the guest ID)
+ * @param {Object} item - Cart item
+ * @returns {Object} - { imageUrl, thumbnailUrl }
+ */
+const cartImageLinks = (req, item) => {
+  const base = `${API_BASE_URL}/cart/${item._id}/image`;
+  return {
+    imageUrl: withQuery(base, guestQuery(req)),
+    thumbnailUrl: item.thumbnailUrl || withQuery(base, 'size=thumbnail', guestQuery(req))
+  };
+};
+
+/**
+ * Image links for a saved design in list views
+ * @param {Object} req - Request (for the guest ID)
+ * @param {Object} design
+ * @returns {Object} - { imageUrl, thumbnailUrl }
+ */
+const designImageLinks = (req, design) => {
+  const base = `${API_BASE_URL}/design/${design._id}/image`;
+  return {
+    imageUrl: withQuery(base, guestQuery(req)),
+    thumbnailUrl: design.thumbnailUrl || withQuery(base, 'size=thumbnail', guestQuery(req))
+  };
+};
+
+/**
+ * Image links for an order item in list views
+ * @param {Object} req - Request (for the guest ID)
+ * @param {Object} order
+ * @param {number} index - Item index
+ * @returns {Object} - { imageUrl, thumbnailUrl }
+ */
+const orderItemImageLinks = (req, order, index) => {
+  const base = `${API_BASE_URL}/order/${order._id}/items/${index}/image`;
+  const item = order.items[index];
+  return {
+    imageUrl: withQuery(base, guestQuery(req)),
+    thumbnailUrl: item.thumbnailUrl || withQuery(base, 'size=thumbnail', guestQuery(req))
+  };
+};
+
+/**
+ * Send a stored image with an ETag and Cache-Control, answering 304 when the client's copy is current
+ * Stored files never change (a new upload gets a new URL), so the ETag is derived from the URL.
+ * Images outside our storage (very old items) are redirected to rather than fetched.
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string} imageUrl - Data URL or http(s) URL
+ * @param {Object} options - { maxAge } in seconds
+ * @returns {Promise<void>}
+ */
+async function sendImage(req, res, imageUrl, { maxAge }) {
+  const etag = `"${crypto.createHash('sha1').update(imageUrl).digest('hex')}"`;
+  const cacheControl = `private, max-age=${maxAge}`;
+  res.set('ETag', etag);
+
+  if (req.fresh) {
+    res.set('Cache-Control', cacheControl);
+    res.status(304).end();
+    return;
+  }
+  if (!imageUrl.startsWith('data:') && !getStorage().getPublicIdFromUrl(imageUrl)) {
+    res.redirect(302, imageUrl);
+    return;
+  }
+
+  let opened;
+  try {
+    opened = await openImage(imageUrl);
+  } catch (error) {
+    // Errors mustn't be cached as if they were the image
+    res.removeHeader('ETag');
+    throw error;
+  }
+  const { buffer, response } = opened;
+  res.set('Cache-Control', cacheControl);
+  if (buffer) {
+    res.type(detectImageType(buffer) || 'application/octet-stream');
+    res.send(buffer);
+    return;
+  }
+
+  res.type(response.headers.get('content-type') || 'application/octet-stream');
+  const length = response.headers.get('content-length');
+  if (length) res.set('Content-Length', length);
+
+  Readable.fromWeb(response.body)
+    .on('error', (error) => {
+      console.error('Error streaming image:', error);
+      res.destroy(error);
+    })
+    .pipe(res);
+}
+
+module.exports = {
+  cartImageLinks,
+  designImageLinks,
+  orderItemImageLinks,
+  sendImage
+};
@@ -1,70 +1,253 @@
-const cloudinary = require('cloudinary').v2;
+const { getStorage } = require('./storage');
+const { STORAGE_FOLDER, MAX_UPLOAD_BYTES, ALLOWED_IMAGE_TYPES, IMAGE_CACHE } = require('../config/storage');
+const { PRINT_REQUIREMENTS } = require('../config/print');
 
 // Only load dotenv in development
 if (process.env.NODE_ENV !== 'production') {
   require('dotenv').config();
 }
 
-// Configure Cloudinary (lazy initialization for serverless)
-let cloudinaryConfigured = false;
+// Raised for uploads that aren't acceptable images
+class ImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageError';
+  }
+}
 
-const configureCloudinary = () => {
-  if (!cloudinaryConfigured) {
-    cloudinary.config({
-      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-      api_key: process.env.CLOUDINARY_API_KEY,
-      api_secret: process.env.CLOUDINARY_API_SECRET
-    });
-    cloudinaryConfigured = true;
+/**
+ * Detect the image type from the file's magic bytes
+ * @param {Buffer} buffer
+ * @returns {string|null} - MIME type, or null if not a supported image
+ */
+function detectImageType(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return 'image/png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+// JPEG start-of-frame markers (baseline, progressive, lossless...)
+const JPEG_SOF_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+
+const getJpegDimensions = (buffer) => {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+
+    // Standalone markers have no length field
+    if (marker === 0xff || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      offset += marker === 0xff ? 1 : 2;
+      continue;
+    }
+    if (JPEG_SOF_MARKERS.includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+const getWebpDimensions = (buffer) => {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
   }
+  return null;
 };
 
 /**
- * Delete image from Cloudinary
- * @param {string} imageUrl - Cloudinary URL
+ * Read pixel dimensions from an image header (PNG, JPEG or WebP)
+ * @param {Buffer} buffer - The whole file or at least its header
+ * @returns {Object|null} - { width, height, contentType }, or null if unreadable
+ */
+function getImageDimensions(buffer) {
+  const contentType = detectImageType(buffer);
+  let dimensions = null;
+
+  if (contentType === 'image/png' && buffer.length >= 24) {
+    dimensions = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  } else if (contentType === 'image/jpeg') {
+    dimensions = getJpegDimensions(buffer);
+  } else if (contentType === 'image/webp') {
+    dimensions = getWebpDimensions(buffer);
+  }
+
+  if (!dimensions || !dimensions.width || !dimensions.height) return null;
+  return { ...dimensions, contentType };
+}
+
+/**
+ * Read the header of an image given as a data URL or an http(s) URL
+ * Remote images are fetched with a Range request so only the header is downloaded,
+ * and only from our own storage (never arbitrary client-supplied hosts).
+ * @param {string} value
+ * @returns {Promise<Object|null>} - { width, height, contentType }, or null if unreadable
+ */
+async function readImageHeader(value) {
+  if (value.startsWith('data:')) {
+    return getImageDimensions(parseDataUrl(value).buffer);
+  }
+  if (!getStorage().getPublicIdFromUrl(value)) {
+    return null;
+  }
+
+  try {
+    const response = await fetch(value, {
+      headers: { Range: `bytes=0-${PRINT_REQUIREMENTS.headerBytes - 1}` },
+      signal: AbortSignal.timeout(PRINT_REQUIREMENTS.fetchTimeoutMs)
+    });
+    if (!response.ok) return null;
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return getImageDimensions(buffer.subarray(0, PRINT_REQUIREMENTS.headerBytes));
+  } catch (error) {
+    console.warn(`Could not read image header from ${value}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Open a stored image for reading
+ * Only data URLs and our own storage URLs are read, never arbitrary client-supplied hosts.
+ * @param {string} value - Data URL or http(s) URL
+ * @returns {Promise<Object>} - { buffer } for data URLs, { response } (a fetch Response) for stored files
+ */
+async function openImage(value) {
+  if (value.startsWith('data:')) {
+    return { buffer: parseDataUrl(value).buffer };
+  }
+  if (!getStorage().getPublicIdFromUrl(value)) {
+    throw new ImageError('Image is not in our storage');
+  }
+
+  const response = await fetch(value, { signal: AbortSignal.timeout(IMAGE_CACHE.fetchTimeoutMs) });
+  if (!response.ok) {
+    throw new ImageError(`Image could not be loaded (${response.status})`);
+  }
+  return { response };
+}
+
+/**
+ * Read a whole stored image into memory
+ * @param {string} value - Data URL or http(s) URL in our storage
+ * @returns {Promise<Buffer>}
+ */
+async function readImage(value) {
+  const { buffer, response } = await openImage(value);
+  if (buffer) return buffer;
+
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > MAX_UPLOAD_BYTES) {
+    throw new ImageError('Image is too large to read');
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Decode a base64 image data URL
+ * @param {string} dataUrl - data:image/png;base64,...
+ * @returns {Object} - { buffer, contentType }
+ */
+function parseDataUrl(dataUrl) {
+  const match = /^data:(image\/[a-z0-9.+-]+);base64,(.+)$/is.exec(dataUrl || '');
+  if (!match) {
+    throw new ImageError('Image must be a base64 data URL');
+  }
+  return {
+    buffer: Buffer.from(match[2], 'base64'),
+    contentType: match[1].toLowerCase()
+  };
+}
+
+/**
+ * Validate and upload an image buffer through the configured storage adapter
+ * @param {Buffer} buffer - File contents
+ * @param {Object} [options] - { folder }
+ * @returns {Promise<Object>} - { url, publicId, bytes, format, contentType }
+ */
+async function uploadImage(buffer, { folder = STORAGE_FOLDER } = {}) {
+  if (!buffer || buffer.length === 0) {
+    throw new ImageError('Image is empty');
+  }
+  if (buffer.length > MAX_UPLOAD_BYTES) {
+    throw new ImageError(`Image is larger than ${Math.round(MAX_UPLOAD_BYTES / (1024 * 1024))}MB`);
+  }
+
+  // Trust the file contents, not the declared type
+  const contentType = detectImageType(buffer);
+  if (!contentType || !ALLOWED_IMAGE_TYPES.includes(contentType)) {
+    throw new ImageError(`Image must be one of: ${ALLOWED_IMAGE_TYPES.join(', ')}`);
+  }
+
+  const result = await getStorage().upload(buffer, { folder, contentType });
+  return { ...result, contentType };
+}
+
+/**
+ * Turn an image field into a stored asset reference
+ * Data URLs are uploaded; URLs are kept as-is (with their public ID when they're ours)
+ * @param {string} value - Data URL or http(s) URL
+ * @param {Object} [options] - { folder }
+ * @returns {Promise<Object>} - { url, publicId }
+ */
+async function storeImage(value, options) {
+  if (value.startsWith('data:')) {
+    const { buffer } = parseDataUrl(value);
+    const result = await uploadImage(buffer, options);
+    return { url: result.url, publicId: result.publicId };
+  }
+  return { url: value, publicId: getStorage().getPublicIdFromUrl(value) };
+}
+
+/**
+ * Delete an image from storage
+ * @param {string} imageUrl - Stored image URL
  * @returns {Promise<boolean>} - Success status
  */
 async function deleteImage(imageUrl) {
   try {
-    if (!imageUrl || !imageUrl.includes('cloudinary.com')) {
-      return true; // Not a Cloudinary URL, nothing to delete
+    const storage = getStorage();
+    const publicId = storage.getPublicIdFromUrl(imageUrl);
+    if (!publicId) {
+      return true; // Not one of our assets, nothing to delete
     }
 
-    configureCloudinary();
+    const deleted = await storage.remove(publicId);
 
-    // Extract public ID from URL
-    // Handle both formats: https://res.cloudinary.com/cloud/image/upload/v123/folder/file.jpg
-    const urlParts = imageUrl.split('/');
-    const uploadIndex = urlParts.findIndex(part => part === 'upload');
-    
-    if (uploadIndex === -1) {
-      return false;
-    }
-
-    // Get everything after 'upload' and before file extension
-    const pathAfterUpload = urlParts.slice(uploadIndex + 1);
-    const lastPart = pathAfterUpload[pathAfterUpload.length - 1];
-    const publicId = lastPart.split('.')[0];
-    
-    // Reconstruct folder path if exists
-    const folderParts = pathAfterUpload.slice(0, -1);
-    const fullPublicId = folderParts.length > 0 
-      ? `${folderParts.join('/')}/${publicId}`
-      : publicId;
-
-    const result = await cloudinary.uploader.destroy(fullPublicId);
-    
     if (process.env.NODE_ENV !== 'production') {
-      console.log(`Image deleted from Cloudinary: ${fullPublicId}`);
+      console.log(`Image deleted from ${storage.name} storage: ${publicId}`);
     }
-    
-    return result.result === 'ok';
+
+    return deleted;
   } catch (error) {
-    console.error('Error deleting image from Cloudinary:', error);
+    console.error('Error deleting image:', error);
     return false;
   }
 }
 
 module.exports = {
+  ImageError,
+  detectImageType,
+  getImageDimensions,
+  readImageHeader,
+  openImage,
+  readImage,
+  parseDataUrl,
+  uploadImage,
+  storeImage,
   deleteImage
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,214 @@
+const PDFDocument = require('pdfkit');
+const Order = require('../models/Order');
+const Counter = require('../models/Counter');
+const { formatMoney, orderReference } = require('./email/templates/helpers');
+const { COMPANY, INVOICE_NUMBER, INVOICEABLE_PAYMENT_STATUSES } = require('../config/invoice');
+
+// Raised when an invoice can't be issued (e.g. the order hasn't been paid)
+class InvoiceError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.statusCode = statusCode;
+  }
+}
+
+const formatInvoiceNumber = (value) => `${INVOICE_NUMBER.prefix}${String(value).padStart(INVOICE_NUMBER.digits, '0')}`;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Wait for the request holding the claim to write the number
+const waitForInvoiceNumber = async (orderId) => {
+  const deadline = Date.now() + INVOICE_NUMBER.waitTimeoutMs;
+  while (Date.now() < deadline) {
+    await sleep(INVOICE_NUMBER.pollIntervalMs);
+    const order = await Order.findById(orderId);
+    if (!order || order.invoiceNumber) return order;
+  }
+  throw new InvoiceError('The invoice is still being issued, please try again shortly', 409);
+};
+
+/**
+ * Give an order its invoice number, once
+ * The order is claimed before a number is drawn from the counter, so only one request numbers it
+ * and concurrent first requests can't use up numbers; the others wait for that number. Regenerating
+ * the PDF always shows the same number.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} - Order with invoiceNumber and invoiceIssuedAt
+ * @throws {InvoiceError} - When the order hasn't been paid, or another request is still numbering it
+ */
+async function ensureInvoiceNumber(order) {
+  if (order.invoiceNumber) return order;
+
+  if (!INVOICEABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw new InvoiceError('An invoice is only available once the order has been paid', 409);
+  }
+
+  // A claim left behind by a request that died before numbering the order can be taken over
+  const claimedAt = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      invoiceNumber: { $exists: false },
+      $or: [
+        { invoiceClaimedAt: { $exists: false } },
+        { invoiceClaimedAt: { $lt: new Date(claimedAt.getTime() - INVOICE_NUMBER.claimTimeoutMs) } }
+      ]
+    },
+    { $set: { invoiceClaimedAt: claimedAt } },
+    { new: true }
+  );
+  if (!claimed) {
+    return waitForInvoiceNumber(order._id);
+  }
+
+  const invoiceNumber = formatInvoiceNumber(await Counter.next(INVOICE_NUMBER.counter));
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, invoiceNumber: { $exists: false } },
+    { $set: { invoiceNumber, invoiceIssuedAt: new Date() }, $unset: { invoiceClaimedAt: 1 } },
+    { new: true }
+  );
+  if (updated) return updated;
+
+  // Only possible when the claim was taken over after timing out
+  console.warn(`Invoice number ${invoiceNumber} skipped: order ${order._id} was invoiced concurrently`);
+  return Order.findById(order._id);
+}
+
+const itemSpecs = (item) => [
+  item.mousepadType === 'rgb' ? 'RGB' : null,
+  item.mousepadSize ? `${item.mousepadSize} mm` : null,
+  item.thickness,
+  item.edge ? `${item.edge} edge` : null,
+  item.sku ? `SKU ${item.sku}` : null
+].filter(Boolean).join(', ');
+
+// Column x positions and widths for the line item table
+const COLUMNS = {
+  description: { x: 50, width: 270 },
+  quantity: { x: 330, width: 50 },
+  unitPrice: { x: 385, width: 75 },
+  amount: { x: 465, width: 80 }
+};
+
+/**
+ * Render an order's invoice as a PDF
+ * Everything comes from the order snapshot, so later catalog or price changes don't alter it.
+ * @param {Object} order - Order with an invoiceNumber (see ensureInvoiceNumber)
+ * @param {Object} output - Writable stream (e.g. the response)
+ * @returns {Promise<void>} - Resolves once the PDF is written
+ */
+function renderInvoicePdf(order, output) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Invoice ${order.invoiceNumber}`, Author: COMPANY.name } });
+  const finished = new Promise((resolve, reject) => {
+    output.on('finish', resolve);
+    output.on('close', resolve);
+    doc.on('error', reject);
+  });
+  doc.pipe(output);
+
+  const { currency } = order;
+  const customer = order.customerInfo || {};
+  const address = customer.address || {};
+  const isTaxInvoice = Boolean(COMPANY.taxId && order.tax > 0);
+
+  // Seller
+  doc.font('Helvetica-Bold').fontSize(16).text(COMPANY.name, 50, 50);
+  doc.font('Helvetica').fontSize(9);
+  COMPANY.addressLines.forEach(line => doc.text(line));
+  doc.text([COMPANY.email, COMPANY.website].filter(Boolean).join('  |  '));
+  if (COMPANY.taxId) doc.text(`${COMPANY.taxIdLabel} ${COMPANY.taxId}`);
+
+  // Invoice details
+  doc.font('Helvetica-Bold').fontSize(16).text(isTaxInvoice ? 'TAX INVOICE' : 'INVOICE', 300, 50, { width: 245, align: 'right' });
+  doc.font('Helvetica').fontSize(9);
+  [
+    `Invoice no: ${order.invoiceNumber}`,
+    `Invoice date: ${formatDate(order.invoiceIssuedAt)}`,
+    `Order: ${orderReference(order)}`,
+    `Order date: ${formatDate(order.createdAt)}`,
+    `Payment: ${order.paymentStatus === 'refunded' ? 'Refunded' : 'Paid'}${order.paymentMethod ? ` (${order.paymentMethod})` : ''}`,
+    ...(order.paymentTransactionId ? [`Transaction: ${order.paymentTransactionId}`] : [])
+  ].forEach(line => doc.text(line, { width: 245, align: 'right' }));
+
+  // Buyer
+  doc.moveDown(2);
+  const billToY = Math.max(doc.y, 150);
+  doc.font('Helvetica-Bold').fontSize(10).text('Bill to', 50, billToY);
+  doc.font('Helvetica').fontSize(9);
+  [
+    [customer.firstName, customer.lastName].filter(Boolean).join(' '),
+    address.street,
+    [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+    address.country,
+    customer.email,
+    customer.phone
+  ].filter(Boolean).forEach(line => doc.text(line));
+
+  // Line items
+  doc.moveDown(1.5);
+  let y = doc.y;
+  doc.font('Helvetica-Bold');
+  doc.text('Description', COLUMNS.description.x, y, { width: COLUMNS.description.width });
+  doc.text('Qty', COLUMNS.quantity.x, y, { width: COLUMNS.quantity.width, align: 'right' });
+  doc.text('Unit price', COLUMNS.unitPrice.x, y, { width: COLUMNS.unitPrice.width, align: 'right' });
+  doc.text('Amount', COLUMNS.amount.x, y, { width: COLUMNS.amount.width, align: 'right' });
+  y = doc.y + 4;
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+  doc.font('Helvetica');
+
+  order.items.forEach(item => {
+    y += 6;
+    if (y > 720) {
+      doc.addPage();
+      y = 50;
+    }
+    doc.text(String(item.quantity), COLUMNS.quantity.x, y, { width: COLUMNS.quantity.width, align: 'right' });
+    doc.text(formatMoney(item.price, currency), COLUMNS.unitPrice.x, y, { width: COLUMNS.unitPrice.width, align: 'right' });
+    doc.text(formatMoney(item.price * item.quantity, currency), COLUMNS.amount.x, y, { width: COLUMNS.amount.width, align: 'right' });
+    doc.text(item.name || 'Custom Mousepad', COLUMNS.description.x, y, { width: COLUMNS.description.width });
+    doc.fontSize(8).fillColor('#555').text(itemSpecs(item), { width: COLUMNS.description.width });
+    doc.fontSize(9).fillColor('#000');
+    y = doc.y;
+  });
+
+  y += 6;
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+
+  // Totals
+  const taxLabel = order.taxDetails && order.taxDetails.label
+    ? `${order.taxDetails.label}${order.taxDetails.rate ? ` (${order.taxDetails.rate}%)` : ''}`
+    : 'Tax';
+  const totals = [
+    ['Subtotal', order.subtotal],
+    ...(order.discount ? [[`Discount${order.coupon && order.coupon.code ? ` (${order.coupon.code})` : ''}`, -order.discount]] : []),
+    [`Shipping${order.shippingMethod && order.shippingMethod.label ? ` (${order.shippingMethod.label})` : ''}`, order.shipping],
+    [taxLabel, order.tax],
+    [`Total (${currency})`, order.total],
+    ...(order.refundedAmount ? [['Refunded', -order.refundedAmount]] : [])
+  ];
+
+  y += 8;
+  totals.forEach(([label, amount]) => {
+    const bold = label.startsWith('Total');
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(label, 300, y, { width: 160, align: 'right' });
+    doc.text(formatMoney(amount, currency), COLUMNS.amount.x, y, { width: COLUMNS.amount.width, align: 'right' });
+    y = doc.y + 3;
+  });
+
+  doc.font('Helvetica').fontSize(8).fillColor('#555')
+    .text(`All amounts in ${currency}. Thank you for your order.`, 50, y + 20, { width: 495, align: 'center' });
+
+  doc.end();
+  return finished;
+}
+
+module.exports = {
+  InvoiceError,
+  formatInvoiceNumber,
+  ensureInvoiceNumber,
+  renderInvoicePdf
+};
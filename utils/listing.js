@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const { PAGINATION } = require('../config/api');
+
+// Raised for listing parameters that can't be used (bad cursor, unknown sort field...)
+class ListingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ListingError';
+  }
+}
+
+// How cursor values are turned back into query values, by sort field type
+const CURSOR_PARSERS = {
+  date: (value) => new Date(value),
+  number: (value) => Number(value)
+};
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a comma-separated query value into a list
+ * @param {string|Array<string>} value - e.g. 'pending,processing'
+ * @returns {Array<string>}
+ */
+const parseList = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(entry => String(entry).split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Build a filter matching every word of a search against any of the given fields
+ * e.g. "jane smith" matches firstName Jane + lastName Smith
+ * @param {string} search
+ * @param {Array<string>} fields - Paths to match (case-insensitive, partial)
+ * @returns {Object|null} - Mongo filter, or null for an empty search
+ */
+const buildSearchFilter = (search, fields) => {
+  const words = String(search || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return null;
+
+  return {
+    $and: words.map(word => {
+      const pattern = new RegExp(escapeRegex(word), 'i');
+      return { $or: fields.map(field => ({ [field]: pattern })) };
+    })
+  };
+};
+
+/**
+ * Build a createdAt range filter
+ * @param {Date} [from] - Inclusive start
+ * @param {Date} [to] - Inclusive end
+ * @returns {Object|null}
+ */
+const buildDateRange = (from, to) => {
+  if (!from && !to) return null;
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return range;
+};
+
+const encodeCursor = (value, id) => {
+  const raw = value instanceof Date ? value.toISOString() : value;
+  return Buffer.from(JSON.stringify([raw, String(id)])).toString('base64url');
+};
+
+const decodeCursor = (cursor, type) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    parsed = null;
+  }
+  if (!Array.isArray(parsed) || parsed.length !== 2 || !mongoose.isValidObjectId(parsed[1])) {
+    throw new ListingError('Cursor is not valid');
+  }
+
+  const value = CURSOR_PARSERS[type](parsed[0]);
+  if (Number.isNaN(value.valueOf())) {
+    throw new ListingError('Cursor is not valid');
+  }
+  return { value, id: new mongoose.Types.ObjectId(parsed[1]) };
+};
+
+/**
+ * Fetch one page of documents, ordered by a sort field with _id as the tie-breaker
+ * The cursor holds the last row's sort value and _id, so pages stay stable while
+ * new documents arrive (unlike skip/limit).
+ * @param {Object} Model - Mongoose model
+ * @param {Object} options
+ * @param {Object} [options.filter] - Mongo filter
+ * @param {Object} options.sortFields - Allowed sort fields and their type, e.g. { createdAt: 'date', total: 'number' }
+ * @param {string} [options.sort] - Sort field (defaults to createdAt)
+ * @param {string} [options.order] - 'asc' or 'desc' (defaults to desc)
+ * @param {number} [options.limit] - Page size, capped at PAGINATION.maxLimit
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @param {Object|string} [options.projection] - Fields to select
+ * @returns {Promise<Object>} - { data, pagination: { limit, sort, order, hasMore, nextCursor } }
+ */
+async function paginate(Model, {
+  filter = {},
+  sortFields,
+  sort = 'createdAt',
+  order = 'desc',
+  limit = PAGINATION.defaultLimit,
+  cursor,
+  projection
+}) {
+  if (!sortFields[sort]) {
+    throw new ListingError(`Cannot sort by ${sort}`);
+  }
+
+  const pageSize = Math.min(Math.max(Number(limit) || PAGINATION.defaultLimit, 1), PAGINATION.maxLimit);
+  const direction = order === 'asc' ? 1 : -1;
+  const query = { ...filter };
+
+  if (cursor) {
+    const { value, id } = decodeCursor(cursor, sortFields[sort]);
+    const beyond = direction === 1 ? '$gt' : '$lt';
+    const after = {
+      $or: [
+        { [sort]: { [beyond]: value } },
+        { [sort]: value, _id: { [beyond]: id } }
+      ]
+    };
+    query.$and = [...(query.$and || []), after];
+  }
+
+  // One extra row tells us whether there's another page
+  const rows = await Model.find(query)
+    .select(projection)
+    .sort({ [sort]: direction, _id: direction })
+    .limit(pageSize + 1)
+    .lean();
+
+  const hasMore = rows.length > pageSize;
+  const data = hasMore ? rows.slice(0, pageSize) : rows;
+  const last = data[data.length - 1];
+
+  return {
+    data,
+    pagination: {
+      limit: pageSize,
+      sort,
+      order: direction === 1 ? 'asc' : 'desc',
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(last[sort], last._id) : null
+    }
+  };
+}
+
+module.exports = {
+  ListingError,
+  escapeRegex,
+  parseList,
+  buildSearchFilter,
+  buildDateRange,
+  paginate
+};
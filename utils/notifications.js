@@ -0,0 +1,143 @@
+const { enqueueEmail, deliverEmail } = require('./email/outbox');
+const { FRONTEND_URL } = require('../config/email');
+const { CARRIERS } = require('../config/shipping');
+
+// Order emails by the change that triggers them
+const ORDER_EMAILS = {
+  created: 'orderConfirmation',
+  paymentFailed: 'paymentFailed',
+  shipped: 'orderShipped',
+  delivered: 'orderDelivered',
+  cancelled: 'orderCancelled',
+  refunded: 'refundIssued'
+};
+
+/**
+ * Snapshot the parts of an order an email shows
+ * @param {Object} order - Order document
+ * @returns {Object}
+ */
+const buildOrderSnapshot = (order) => ({
+  _id: String(order._id),
+  orderNumber: order.orderNumber,
+  items: order.items.map(item => ({
+    name: item.name,
+    mousepadType: item.mousepadType,
+    mousepadSize: item.mousepadSize,
+    thickness: item.thickness,
+    quantity: item.quantity,
+    price: item.price,
+    // The thumbnail only - print-resolution artwork is far too large for an email
+    imageUrl: item.thumbnailUrl
+  })),
+  subtotal: order.subtotal,
+  discount: order.discount,
+  shipping: order.shipping,
+  tax: order.tax,
+  total: order.total,
+  currency: order.currency,
+  paymentStatus: order.paymentStatus,
+  customerInfo: {
+    firstName: order.customerInfo.firstName,
+    address: { ...(order.customerInfo.address || {}) }
+  },
+  shippingMethod: {
+    label: order.shippingMethod && order.shippingMethod.label
+  },
+  orderUrl: `${FRONTEND_URL}/orders/${order._id}`
+});
+
+/**
+ * Snapshot a shipment for the shipped email
+ * @param {Object} shipment - Order shipment subdocument
+ * @returns {Object}
+ */
+const buildShipmentSnapshot = (shipment) => ({
+  _id: String(shipment._id),
+  carrier: CARRIERS[shipment.carrier] ? CARRIERS[shipment.carrier].name : shipment.carrier,
+  trackingNumber: shipment.trackingNumber,
+  trackingUrl: shipment.trackingUrl
+});
+
+/**
+ * Queue an order email and try to send it straight away
+ * Never throws: a failed send stays in the outbox for the retry job, so checkout can't fail on email.
+ * @param {string} event - Key of ORDER_EMAILS
+ * @param {Object} order - Order document
+ * @param {Object} [extra] - Additional template data (e.g. { shipment: buildShipmentSnapshot(...) })
+ * @returns {Promise<Object|null>} - EmailOutbox entry, or null if it couldn't be queued
+ */
+async function notifyOrder(event, order, extra = {}) {
+  try {
+    const template = ORDER_EMAILS[event];
+    if (!template) {
+      throw new Error(`Unknown order email event: ${event}`);
+    }
+    if (!order.customerInfo || !order.customerInfo.email) {
+      return null;
+    }
+
+    // A failed payment can be retried and fail again, so key those on the provider's failure event;
+    // parcels and refunds get one email each
+    let dedupeKey = `order:${order._id}:${template}`;
+    if (event === 'paymentFailed') {
+      dedupeKey += `:${order.paymentFailureId || 'none'}`;
+    } else if (extra.shipment) {
+      dedupeKey += `:${extra.shipment._id}`;
+    } else if (extra.refund) {
+      dedupeKey += `:${extra.refund._id}`;
+    }
+
+    const entry = await enqueueEmail({
+      template,
+      data: { ...buildOrderSnapshot(order), ...extra },
+      to: {
+        email: order.customerInfo.email,
+        name: [order.customerInfo.firstName, order.customerInfo.lastName].filter(Boolean).join(' ')
+      },
+      orderId: order._id,
+      dedupeKey
+    });
+
+    // Don't hold up the response on the email provider
+    deliverEmail(entry).catch(error => {
+      console.error(`Error delivering ${template} email for order ${order._id}:`, error.message);
+    });
+
+    return entry;
+  } catch (error) {
+    console.error(`Error queuing ${event} email for order ${order._id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Queue the emails an order update calls for
+ * @param {Object} previous - Order before the update
+ * @param {Object} order - Order after the update
+ * @returns {Promise<void>}
+ */
+async function notifyOrderChange(previous, order) {
+  if (order.paymentStatus === 'failed' &&
+      (previous.paymentStatus !== 'failed' || order.paymentFailureId !== previous.paymentFailureId)) {
+    await notifyOrder('paymentFailed', order);
+  }
+  if (order.status !== previous.status && order.status === 'shipped') {
+    const latest = order.shipments && order.shipments[order.shipments.length - 1];
+    await notifyOrder('shipped', order, latest ? { shipment: buildShipmentSnapshot(latest) } : {});
+  }
+  if (order.status !== previous.status && order.status === 'delivered') {
+    await notifyOrder('delivered', order);
+  }
+  if (order.status !== previous.status && order.status === 'cancelled') {
+    await notifyOrder('cancelled', order);
+  }
+}
+
+module.exports = {
+  ORDER_EMAILS,
+  buildOrderSnapshot,
+  buildShipmentSnapshot,
+  notifyOrder,
+  notifyOrderChange
+};
@@ -0,0 +1,141 @@
+const { toCsvRow } = require('./csv');
+const { roundMoney } = require('./pricing');
+
+// Raised for export options that can't be used (unknown column, item column in order rows...)
+class ExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExportError';
+  }
+}
+
+const address = (order) => (order.customerInfo && order.customerInfo.address) || {};
+
+// Columns about the whole order, available in both row modes: key -> { header, value(order) }
+const ORDER_COLUMNS = {
+  orderNumber: { header: 'Order number', value: order => order.orderNumber },
+  orderId: { header: 'Order ID', value: order => order._id },
+  createdAt: { header: 'Created at', value: order => order.createdAt },
+  status: { header: 'Status', value: order => order.status },
+  paymentStatus: { header: 'Payment status', value: order => order.paymentStatus },
+  paymentMethod: { header: 'Payment provider', value: order => order.paymentMethod },
+  paymentTransactionId: { header: 'Payment transaction ID', value: order => order.paymentTransactionId },
+  firstName: { header: 'First name', value: order => order.customerInfo && order.customerInfo.firstName },
+  lastName: { header: 'Last name', value: order => order.customerInfo && order.customerInfo.lastName },
+  email: { header: 'Email', value: order => order.customerInfo && order.customerInfo.email },
+  phone: { header: 'Phone', value: order => order.customerInfo && order.customerInfo.phone },
+  street: { header: 'Street', value: order => address(order).street },
+  city: { header: 'City', value: order => address(order).city },
+  state: { header: 'State', value: order => address(order).state },
+  zipCode: { header: 'ZIP code', value: order => address(order).zipCode },
+  country: { header: 'Country', value: order => address(order).country },
+  customerNotes: { header: 'Customer notes', value: order => order.customerInfo && order.customerInfo.additionalNotes },
+  items: {
+    header: 'Items',
+    value: order => order.items.map(item => `${item.quantity}x ${item.sku || `${item.mousepadType} ${item.mousepadSize} ${item.thickness}`}`).join('; ')
+  },
+  currency: { header: 'Currency', value: order => order.currency },
+  subtotal: { header: 'Subtotal', value: order => order.subtotal },
+  discount: { header: 'Discount', value: order => order.discount },
+  couponCode: { header: 'Coupon', value: order => order.coupon && order.coupon.code },
+  shipping: { header: 'Shipping', value: order => order.shipping },
+  shippingMethod: { header: 'Shipping method', value: order => order.shippingMethod && order.shippingMethod.label },
+  tax: { header: 'Tax', value: order => order.tax },
+  total: { header: 'Total', value: order => order.total },
+  refundedAmount: { header: 'Refunded', value: order => order.refundedAmount },
+  trackingNumbers: {
+    header: 'Tracking numbers',
+    value: order => (order.shipments || []).map(shipment => `${shipment.carrier} ${shipment.trackingNumber}`).join('; ')
+  }
+};
+
+// Columns about one line item, only available with one row per item: key -> { header, value(item, index) }
+const ITEM_COLUMNS = {
+  itemIndex: { header: 'Item #', value: (item, index) => index + 1 },
+  sku: { header: 'SKU', value: item => item.sku },
+  itemName: { header: 'Item', value: item => item.name },
+  mousepadType: { header: 'Type', value: item => item.mousepadType },
+  mousepadSize: { header: 'Size', value: item => item.mousepadSize },
+  thickness: { header: 'Thickness', value: item => item.thickness },
+  edge: { header: 'Edge', value: item => item.edge },
+  quantity: { header: 'Quantity', value: item => item.quantity },
+  unitPrice: { header: 'Unit price', value: item => item.price },
+  lineTotal: { header: 'Line total', value: item => roundMoney(item.price * item.quantity) },
+  artworkUrl: { header: 'Artwork URL', value: item => item.finalImage }
+};
+
+const EXPORT_COLUMNS = [...Object.keys(ORDER_COLUMNS), ...Object.keys(ITEM_COLUMNS)];
+
+const DEFAULT_COLUMNS = {
+  order: [
+    'orderNumber', 'createdAt', 'status', 'paymentStatus', 'firstName', 'lastName', 'email',
+    'country', 'items', 'currency', 'subtotal', 'discount', 'shipping', 'tax', 'total',
+    'refundedAmount', 'paymentMethod', 'paymentTransactionId'
+  ],
+  item: [
+    'orderNumber', 'createdAt', 'status', 'firstName', 'lastName', 'email', 'phone',
+    'street', 'city', 'state', 'zipCode', 'country', 'itemIndex', 'sku', 'mousepadType',
+    'mousepadSize', 'thickness', 'edge', 'quantity', 'unitPrice', 'lineTotal', 'currency'
+  ]
+};
+
+/**
+ * Check and complete the export options
+ * @param {Object} options
+ * @param {string} [options.rows] - 'order' (one row per order, default) or 'item' (one row per line item)
+ * @param {Array<string>} [options.columns] - Column keys, in output order (defaults per row mode)
+ * @returns {Object} - { rows, columns, projection }
+ */
+function resolveExportOptions({ rows = 'order', columns } = {}) {
+  if (!DEFAULT_COLUMNS[rows]) {
+    throw new ExportError('Rows must be order or item');
+  }
+
+  const selected = columns && columns.length > 0 ? columns : DEFAULT_COLUMNS[rows];
+  const unknown = selected.filter(key => !EXPORT_COLUMNS.includes(key));
+  if (unknown.length > 0) {
+    throw new ExportError(`Unknown columns: ${unknown.join(', ')}`);
+  }
+  if (rows === 'order') {
+    const itemColumns = selected.filter(key => ITEM_COLUMNS[key]);
+    if (itemColumns.length > 0) {
+      throw new ExportError(`Columns ${itemColumns.join(', ')} need one row per item (rows=item)`);
+    }
+  }
+
+  // Artwork URLs are only read when exported; data URLs from very old orders can be huge
+  const projection = selected.includes('artworkUrl') ? '-items.originalImageUrl' : '-items.finalImage -items.originalImageUrl';
+  return { rows, columns: selected, projection };
+}
+
+/**
+ * Turn an order cursor into CSV lines: a header, then one line per order or per line item
+ * @param {AsyncIterable<Object>} orders - e.g. Order.find(...).lean().cursor()
+ * @param {Object} options - From resolveExportOptions
+ * @returns {AsyncGenerator<string>}
+ */
+async function* ordersToCsv(orders, { rows, columns }) {
+  yield toCsvRow(columns.map(key => (ORDER_COLUMNS[key] || ITEM_COLUMNS[key]).header));
+
+  for await (const order of orders) {
+    if (rows === 'order') {
+      yield toCsvRow(columns.map(key => ORDER_COLUMNS[key].value(order)));
+      continue;
+    }
+
+    let lines = '';
+    order.items.forEach((item, index) => {
+      lines += toCsvRow(columns.map(key => (ITEM_COLUMNS[key]
+        ? ITEM_COLUMNS[key].value(item, index)
+        : ORDER_COLUMNS[key].value(order))));
+    });
+    if (lines) yield lines;
+  }
+}
+
+module.exports = {
+  ExportError,
+  EXPORT_COLUMNS,
+  resolveExportOptions,
+  ordersToCsv
+};
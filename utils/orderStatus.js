@@ -0,0 +1,117 @@
+const Order = require('../models/Order');
+const CartItem = require('../models/CartItem');
+const { notifyOrderChange } = require('./notifications');
+
+// Raised when an order can't move to the requested status
+class OrderStatusError extends Error {
+  constructor(message, allowed = []) {
+    super(message);
+    this.name = 'OrderStatusError';
+    this.allowed = allowed;
+  }
+}
+
+// Allowed status changes: from -> [to]
+const ORDER_TRANSITIONS = {
+  pending: ['processing', 'paymentFailed', 'cancelled'],
+  paymentFailed: ['pending', 'processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const requirePayment = (order) => (order.paymentStatus === 'completed' ? null : 'payment has not been completed');
+
+// Extra conditions for entering a status; each returns why not, or null when allowed
+const TRANSITION_GUARDS = {
+  processing: requirePayment,
+  shipped: requirePayment
+};
+
+/**
+ * Check whether an order may move to a status
+ * @param {Object} order - Order (or the order as it will be after other changes)
+ * @param {string} to - Target status
+ * @throws {OrderStatusError}
+ */
+const assertTransition = (order, to) => {
+  const allowed = ORDER_TRANSITIONS[order.status] || [];
+  if (!allowed.includes(to)) {
+    throw new OrderStatusError(`Order cannot move from ${order.status} to ${to}`, allowed);
+  }
+  const guard = TRANSITION_GUARDS[to];
+  const blocked = guard && guard(order);
+  if (blocked) {
+    throw new OrderStatusError(`Order cannot move to ${to}: ${blocked}`, allowed);
+  }
+};
+
+/**
+ * List the statuses an order can move to next
+ * @param {Object} order
+ * @returns {Array<Object>} - [{ status, allowed, reason }]
+ */
+const getAvailableTransitions = (order) => {
+  return (ORDER_TRANSITIONS[order.status] || []).map(status => {
+    const guard = TRANSITION_GUARDS[status];
+    const blocked = guard && guard(order);
+    return { status, allowed: !blocked, reason: blocked || null };
+  });
+};
+
+/**
+ * Follow up an order update: keep its cart items in step with the order's payment and
+ * queue the emails the change calls for. Every status or payment update goes through here.
+ * @param {Object} previous - Order before the update
+ * @param {Object} order - Order after the update
+ * @returns {Promise<void>}
+ */
+async function applyOrderChange(previous, order) {
+  if (order.status !== previous.status || order.paymentStatus !== previous.paymentStatus) {
+    await CartItem.syncWithOrder(order);
+  }
+  await notifyOrderChange(previous, order);
+}
+
+/**
+ * Move an order to a new status, recording it in statusHistory
+ * The update only applies if the order still has the status it was loaded with.
+ * @param {Object} order - Order document
+ * @param {string} to - Target status
+ * @param {Object} options
+ * @param {string} options.changedBy - Who made the change (user email, 'api-key', 'customer', 'payment:<provider>'...)
+ * @param {string} [options.reason]
+ * @param {Object} [options.set] - Other fields to set in the same update (guards see them)
+ * @param {Object} [options.filter] - Extra conditions the order must still meet
+ * @returns {Promise<Object>} - Updated order
+ */
+async function transitionOrder(order, to, { changedBy, reason, set = {}, filter = {} }) {
+  const current = typeof order.toObject === 'function' ? order.toObject() : order;
+  assertTransition({ ...current, ...set }, to);
+
+  const updated = await Order.findOneAndUpdate(
+    { ...filter, _id: order._id, status: order.status },
+    {
+      $set: { ...set, status: to },
+      $push: { statusHistory: { from: order.status, to, changedBy, reason, changedAt: new Date() } }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new OrderStatusError('Order was changed by someone else, please reload and try again');
+  }
+
+  await applyOrderChange(order, updated);
+  return updated;
+}
+
+module.exports = {
+  OrderStatusError,
+  ORDER_TRANSITIONS,
+  assertTransition,
+  getAvailableTransitions,
+  applyOrderChange,
+  transitionOrder
+};
@@ -0,0 +1,12 @@
+// Raised for payment requests we can't fulfil and for webhooks we won't accept
+class PaymentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PaymentError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  PaymentError
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { PAYMENT_WEBHOOK_SECRET, PAYMENT_WEBHOOK_TOLERANCE_SECONDS } = require('../../config/payment');
+const { signPayload, verifySignature } = require('./signature');
+const { PaymentError } = require('./errors');
+
+// Local stand-in for a payment provider: payments live in memory and outcomes are
+// triggered with simulateWebhook, which produces the same signed requests a real provider sends.
+const SIGNATURE_HEADER = 'x-fake-payment-signature';
+const payments = new Map();
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+async function createPayment({ amount, currency, orderId, idempotencyKey }) {
+  const existing = idempotencyKey && [...payments.values()].find(payment => payment.idempotencyKey === idempotencyKey);
+  if (existing) return { ...existing.public };
+
+  const id = randomId('fake_pi');
+  const payment = {
+    idempotencyKey,
+    orderId: String(orderId),
+    public: {
+      id,
+      clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+      status: 'requires_payment_method',
+      amount,
+      currency
+    }
+  };
+  payments.set(id, payment);
+  return { ...payment.public };
+}
+
+async function retrievePayment(id) {
+  const payment = payments.get(id);
+  if (!payment) {
+    throw new PaymentError('Payment not found', 404);
+  }
+  return { ...payment.public };
+}
+
+async function refundPayment({ paymentId, amount, idempotencyKey }) {
+  const payment = payments.get(paymentId);
+  if (!payment) {
+    throw new PaymentError('Payment not found', 404);
+  }
+  payment.refunds = payment.refunds || [];
+  const existing = idempotencyKey && payment.refunds.find(refund => refund.idempotencyKey === idempotencyKey);
+  if (existing) return { id: existing.id, status: 'succeeded' };
+
+  if (payment.public.status !== 'succeeded') {
+    throw new PaymentError('Only succeeded payments can be refunded');
+  }
+  if (payment.refunded + amount > payment.public.amount) {
+    throw new PaymentError('Refund exceeds the amount paid');
+  }
+
+  const refund = { id: randomId('fake_re'), amount, idempotencyKey };
+  payment.refunds.push(refund);
+  payment.refunded += amount;
+  return { id: refund.id, status: 'succeeded' };
+}
+
+function parseWebhook(rawBody, headers) {
+  const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+  if (!verifySignature(payload, headers[SIGNATURE_HEADER], PAYMENT_WEBHOOK_SECRET, PAYMENT_WEBHOOK_TOLERANCE_SECONDS)) {
+    throw new PaymentError('Invalid webhook signature');
+  }
+  // Fake events are already in the normalized shape
+  return JSON.parse(payload);
+}
+
+/**
+ * Build a signed webhook request for a fake payment
+ * @param {string} paymentId
+ * @param {string} type - 'succeeded', 'processing', 'failed' or 'refunded'
+ * @param {Object} [options] - { amount } amount to refund in minor units; without it a 'refunded' event reports
+ *   the refunds already made with refundPayment, or refunds everything if there are none
+ * @returns {Object} - { rawBody, headers } to pass to the webhook handler
+ */
+function simulateWebhook(paymentId, type, { amount } = {}) {
+  const payment = payments.get(paymentId);
+  if (!payment) {
+    throw new PaymentError('Payment not found', 404);
+  }
+
+  const event = { id: randomId('fake_evt'), type, providerType: `fake.${type}`, paymentId };
+  if (type === 'succeeded') {
+    payment.public.status = 'succeeded';
+    payment.chargeId = payment.chargeId || randomId('fake_ch');
+    payment.refunded = 0;
+    Object.assign(event, {
+      transactionId: payment.chargeId,
+      amount: payment.public.amount,
+      currency: payment.public.currency
+    });
+  } else if (type === 'refunded') {
+    if (payment.public.status !== 'succeeded') {
+      throw new PaymentError('Only succeeded payments can be refunded');
+    }
+    // Refunds made through refundPayment are reported as they are; otherwise refund now
+    if (amount || payment.refunded === 0) {
+      payment.refunded = Math.min(payment.public.amount, payment.refunded + (amount || payment.public.amount));
+    }
+    Object.assign(event, {
+      transactionId: payment.chargeId,
+      amountRefunded: payment.refunded,
+      fullyRefunded: payment.refunded >= payment.public.amount,
+      currency: payment.public.currency
+    });
+  } else if (type === 'failed') {
+    payment.public.status = 'requires_payment_method';
+    event.failureMessage = 'Your card was declined.';
+  } else if (type === 'processing') {
+    payment.public.status = 'processing';
+  } else {
+    throw new PaymentError(`Unknown fake event type: ${type}`);
+  }
+
+  const rawBody = JSON.stringify(event);
+  return {
+    rawBody,
+    headers: { [SIGNATURE_HEADER]: signPayload(rawBody, PAYMENT_WEBHOOK_SECRET) }
+  };
+}
+
+module.exports = {
+  name: 'fake',
+  createPayment,
+  retrievePayment,
+  refundPayment,
+  parseWebhook,
+  simulateWebhook
+};
@@ -0,0 +1,42 @@
+const { PAYMENT_PROVIDER } = require('../../config/payment');
+const { PaymentError } = require('./errors');
+
+// Payment providers share one interface:
+// - createPayment({ amount, currency, orderId, email, idempotencyKey }) -> { id, clientSecret, status, amount, currency }
+// - retrievePayment(id) -> { id, clientSecret, status, amount, currency }
+// - refundPayment({ paymentId, amount, metadata, idempotencyKey }) -> { id, status: 'succeeded' | 'pending' | 'failed' }
+// - parseWebhook(rawBody, headers) -> verified event { id, type, paymentId, ... }; type is one of
+//   'succeeded', 'processing', 'failed', 'refunded' or null for events we ignore
+// Amounts are in minor units (cents).
+const providers = {
+  stripe: () => require('./stripe'),
+  fake: () => require('./fake')
+};
+
+let provider = null;
+
+/**
+ * Get the configured payment provider
+ * @returns {Object}
+ */
+const getPaymentProvider = () => {
+  if (!provider) {
+    const load = providers[PAYMENT_PROVIDER];
+    if (!load) {
+      throw new Error(`Unknown PAYMENT_PROVIDER: ${PAYMENT_PROVIDER}`);
+    }
+    provider = load();
+  }
+  return provider;
+};
+
+// Every supported currency has two decimal places
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100);
+const fromMinorUnits = (amount) => Math.round(Number(amount)) / 100;
+
+module.exports = {
+  PaymentError,
+  getPaymentProvider,
+  toMinorUnits,
+  fromMinorUnits
+};
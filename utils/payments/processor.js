@@ -0,0 +1,198 @@
+const Order = require('../../models/Order');
+const Payment = require('../../models/Payment');
+const PaymentEvent = require('../../models/PaymentEvent');
+const { getPaymentProvider, toMinorUnits } = require('./index');
+const { PaymentError } = require('./errors');
+const { transitionOrder, applyOrderChange } = require('../orderStatus');
+
+const PAID_STATUSES = ['completed', 'refunded'];
+const SETTLED_PAYMENT_STATUSES = ['succeeded', 'partiallyRefunded', 'refunded'];
+
+/**
+ * Start (or resume) paying for an order
+ * An unfinished payment for the same amount is reused, so retries don't create duplicates.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} - { payment, clientSecret }
+ */
+async function startPayment(order) {
+  if (PAID_STATUSES.includes(order.paymentStatus)) {
+    throw new PaymentError('Order has already been paid', 409);
+  }
+  if (order.status === 'cancelled') {
+    throw new PaymentError('Order has been cancelled', 409);
+  }
+
+  const provider = getPaymentProvider();
+  const amount = toMinorUnits(order.total);
+  const currency = order.currency;
+
+  const existing = await Payment.findOne({
+    orderId: order._id,
+    provider: provider.name,
+    amount,
+    currency,
+    status: { $in: ['created', 'processing', 'failed'] }
+  }).sort({ createdAt: -1 });
+
+  if (existing) {
+    try {
+      const intent = await provider.retrievePayment(existing.providerPaymentId);
+      if (intent.status !== 'canceled') {
+        return { payment: existing, clientSecret: intent.clientSecret };
+      }
+    } catch (error) {
+      if (!(error instanceof PaymentError) || error.statusCode !== 404) throw error;
+    }
+    // Gone at the provider - start a fresh one
+    existing.status = 'failed';
+    existing.failureMessage = 'Payment is no longer available at the provider';
+    await existing.save();
+  }
+
+  const attempt = await Payment.countDocuments({ orderId: order._id });
+  const intent = await provider.createPayment({
+    amount,
+    currency,
+    orderId: order._id,
+    email: order.customerInfo && order.customerInfo.email,
+    idempotencyKey: `order-${order._id}-${amount}-${currency}-${attempt}`
+  });
+
+  const payment = await Payment.findOneAndUpdate(
+    { provider: provider.name, providerPaymentId: intent.id },
+    { $setOnInsert: { orderId: order._id, amount, currency } },
+    { new: true, upsert: true }
+  );
+
+  if (order.paymentMethod !== provider.name) {
+    await Order.updateOne({ _id: order._id }, { $set: { paymentMethod: provider.name } });
+  }
+
+  return { payment, clientSecret: intent.clientSecret };
+}
+
+// Work out the order changes a verified event calls for (null when nothing changes):
+// { set: payment fields, status: new order status or undefined, reason }
+const orderUpdateForEvent = (event, payment, order) => {
+  switch (event.type) {
+    case 'succeeded':
+      if (event.amount !== payment.amount || event.currency !== payment.currency) {
+        console.error(`Payment ${payment.providerPaymentId} captured ${event.amount} ${event.currency}, expected ${payment.amount} ${payment.currency}`);
+        return null;
+      }
+      if (PAID_STATUSES.includes(order.paymentStatus)) return null;
+      return {
+        set: { paymentStatus: 'completed', paymentTransactionId: event.transactionId },
+        status: ['pending', 'paymentFailed'].includes(order.status) ? 'processing' : undefined,
+        reason: 'Payment completed'
+      };
+    case 'processing':
+      return ['pending', 'failed'].includes(order.paymentStatus) ? { set: { paymentStatus: 'processing' } } : null;
+    case 'failed':
+      if (PAID_STATUSES.includes(order.paymentStatus)) return null;
+      return {
+        set: { paymentStatus: 'failed', paymentFailureId: event.id },
+        status: order.status === 'pending' ? 'paymentFailed' : undefined,
+        reason: event.failureMessage || 'Payment failed'
+      };
+    case 'refunded':
+      if (!event.fullyRefunded || order.paymentStatus === 'refunded') return null;
+      return { set: { paymentStatus: 'refunded' } };
+    default:
+      return null;
+  }
+};
+
+const paymentUpdateForEvent = (event) => {
+  switch (event.type) {
+    case 'succeeded':
+      return { status: 'succeeded', transactionId: event.transactionId };
+    case 'processing':
+      return { status: 'processing' };
+    case 'failed':
+      return { status: 'failed', failureMessage: event.failureMessage };
+    case 'refunded':
+      return { status: event.fullyRefunded ? 'refunded' : 'partiallyRefunded', amountRefunded: event.amountRefunded };
+    default:
+      return {};
+  }
+};
+
+// Mark pending ledger refunds succeeded once the provider reports at least that much refunded
+const settleRefunds = async (order, amountRefunded) => {
+  const pending = order.refunds.some(refund => refund.status === 'pending');
+  if (!pending || amountRefunded < toMinorUnits(order.refundedAmount)) return false;
+
+  await Order.updateOne(
+    { _id: order._id },
+    { $set: { 'refunds.$[entry].status': 'succeeded' } },
+    { arrayFilters: [{ 'entry.status': 'pending' }] }
+  );
+  return true;
+};
+
+/**
+ * Verify a provider webhook and apply it to its payment and order, at most once per event
+ * This is the only code path that marks orders as paid or refunded.
+ * @param {Buffer|string} rawBody - Unparsed request body
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} - { eventId, type, duplicate, result }
+ */
+async function handleWebhook(rawBody, headers) {
+  const provider = getPaymentProvider();
+  const event = provider.parseWebhook(rawBody, headers);
+
+  const record = await PaymentEvent.claim(provider.name, event.id, event.providerType);
+  if (!record) {
+    return { eventId: event.id, type: event.type, duplicate: true };
+  }
+
+  try {
+    const payment = event.type ? await Payment.findByProviderId(provider.name, event.paymentId) : null;
+    if (!payment) {
+      // Not an event we handle, or a payment that didn't come from this shop
+      record.result = 'ignored';
+      await record.save();
+      return { eventId: event.id, type: event.type, duplicate: false, result: record.result };
+    }
+
+    // Late or repeated 'processing', 'failed' and 'succeeded' events must not undo a settled payment
+    const keepStatus = SETTLED_PAYMENT_STATUSES.includes(payment.status) && event.type !== 'refunded';
+    if (!keepStatus) {
+      Object.assign(payment, paymentUpdateForEvent(event));
+      await payment.save();
+    }
+
+    const order = await Order.findById(payment.orderId);
+    const update = order && orderUpdateForEvent(event, payment, order);
+    if (update && update.status) {
+      await transitionOrder(order, update.status, {
+        changedBy: `payment:${provider.name}`,
+        reason: update.reason,
+        set: update.set
+      });
+    } else if (update) {
+      const updatedOrder = await Order.findByIdAndUpdate(order._id, { $set: update.set }, { new: true });
+      await applyOrderChange(order, updatedOrder);
+    }
+
+    // The provider has refunded everything in the ledger - settle refunds still marked pending
+    const settled = event.type === 'refunded' && order && await settleRefunds(order, event.amountRefunded);
+
+    record.paymentId = payment._id;
+    record.orderId = payment.orderId;
+    record.result = update || settled ? 'applied' : 'ignored';
+    await record.save();
+
+    return { eventId: event.id, type: event.type, duplicate: false, result: record.result };
+  } catch (error) {
+    // Let the provider's redelivery try again
+    await PaymentEvent.deleteOne({ _id: record._id });
+    throw error;
+  }
+}
+
+module.exports = {
+  startPayment,
+  handleWebhook
+};
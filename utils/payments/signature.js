@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+/**
+ * Sign a webhook payload the way Stripe does: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${payload}`>"
+ * @param {string} payload - Raw request body
+ * @param {string} secret
+ * @param {number} [timestamp] - Unix seconds (default: now)
+ * @returns {string} - Signature header value
+ */
+const signPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Check a signature header made by signPayload
+ * Rejects old timestamps so captured requests can't be replayed later.
+ * @param {string} payload - Raw request body
+ * @param {string} header - Signature header value
+ * @param {string} secret
+ * @param {number} toleranceSeconds
+ * @returns {boolean}
+ */
+const verifySignature = (payload, header, secret, toleranceSeconds) => {
+  if (!header || !secret) return false;
+
+  const parts = String(header).split(',').map(part => part.split('='));
+  const timestamp = Number((parts.find(([key]) => key === 't') || [])[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+  if (!timestamp || signatures.length === 0) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex'), 'hex');
+  return signatures.some(signature => {
+    const actual = Buffer.from(signature || '', 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  });
+};
+
+module.exports = {
+  signPayload,
+  verifySignature
+};
@@ -0,0 +1,139 @@
+const { STRIPE_SECRET_KEY, STRIPE_API_URL, PAYMENT_WEBHOOK_SECRET, PAYMENT_WEBHOOK_TOLERANCE_SECONDS } = require('../../config/payment');
+const { verifySignature } = require('./signature');
+const { PaymentError } = require('./errors');
+
+// Call the Stripe REST API (form-encoded requests, JSON responses)
+const stripeRequest = async (method, path, params, { idempotencyKey } = {}) => {
+  if (!STRIPE_SECRET_KEY) {
+    throw new Error('STRIPE_SECRET_KEY is not configured');
+  }
+
+  const headers = { Authorization: `Bearer ${STRIPE_SECRET_KEY}` };
+  let body;
+  if (params) {
+    headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    body = new URLSearchParams(params).toString();
+  }
+  if (idempotencyKey) {
+    headers['Idempotency-Key'] = idempotencyKey;
+  }
+
+  const response = await fetch(`${STRIPE_API_URL}${path}`, { method, headers, body });
+  const data = await response.json();
+  if (!response.ok) {
+    const message = (data.error && data.error.message) || `Stripe request failed with ${response.status}`;
+    const statusCode = response.status === 404 ? 404 : (response.status >= 500 ? 502 : 400);
+    throw new PaymentError(message, statusCode);
+  }
+  return data;
+};
+
+const toPayment = (intent) => ({
+  id: intent.id,
+  clientSecret: intent.client_secret,
+  status: intent.status,
+  amount: intent.amount,
+  currency: intent.currency.toUpperCase()
+});
+
+/**
+ * Create a PaymentIntent
+ * @param {Object} params - { amount (minor units), currency, orderId, email, idempotencyKey }
+ * @returns {Promise<Object>} - { id, clientSecret, status, amount, currency }
+ */
+async function createPayment({ amount, currency, orderId, email, idempotencyKey }) {
+  const intent = await stripeRequest('POST', '/payment_intents', {
+    amount: String(amount),
+    currency: currency.toLowerCase(),
+    'automatic_payment_methods[enabled]': 'true',
+    'metadata[orderId]': String(orderId),
+    ...(email ? { receipt_email: email } : {})
+  }, { idempotencyKey });
+  return toPayment(intent);
+}
+
+/**
+ * Fetch a PaymentIntent
+ * @param {string} id
+ * @returns {Promise<Object>} - { id, clientSecret, status, amount, currency }
+ */
+async function retrievePayment(id) {
+  return toPayment(await stripeRequest('GET', `/payment_intents/${encodeURIComponent(id)}`));
+}
+
+const REFUND_STATUSES = { succeeded: 'succeeded', failed: 'failed', canceled: 'failed' };
+
+/**
+ * Refund (part of) a PaymentIntent
+ * @param {Object} params - { paymentId, amount (minor units), reason, metadata, idempotencyKey }
+ * @returns {Promise<Object>} - { id, status: 'succeeded' | 'pending' | 'failed' }
+ */
+async function refundPayment({ paymentId, amount, metadata = {}, idempotencyKey }) {
+  const refund = await stripeRequest('POST', '/refunds', {
+    payment_intent: paymentId,
+    amount: String(amount),
+    ...Object.fromEntries(Object.entries(metadata).map(([key, value]) => [`metadata[${key}]`, String(value)]))
+  }, { idempotencyKey });
+  return { id: refund.id, status: REFUND_STATUSES[refund.status] || 'pending' };
+}
+
+// Stripe event types we act on, mapped to provider-neutral events
+const normalizeEvent = (event) => {
+  const object = event.data && event.data.object;
+  const base = { id: event.id, providerType: event.type };
+
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      return {
+        ...base,
+        type: 'succeeded',
+        paymentId: object.id,
+        transactionId: object.latest_charge,
+        amount: object.amount_received,
+        currency: object.currency.toUpperCase()
+      };
+    case 'payment_intent.processing':
+      return { ...base, type: 'processing', paymentId: object.id };
+    case 'payment_intent.payment_failed':
+      return {
+        ...base,
+        type: 'failed',
+        paymentId: object.id,
+        failureMessage: object.last_payment_error && object.last_payment_error.message
+      };
+    case 'charge.refunded':
+      return {
+        ...base,
+        type: 'refunded',
+        paymentId: object.payment_intent,
+        transactionId: object.id,
+        amountRefunded: object.amount_refunded,
+        fullyRefunded: object.refunded === true,
+        currency: object.currency.toUpperCase()
+      };
+    default:
+      return { ...base, type: null };
+  }
+};
+
+/**
+ * Verify and parse a webhook request
+ * @param {Buffer|string} rawBody - Unparsed request body
+ * @param {Object} headers - Request headers
+ * @returns {Object} - Normalized event: { id, type, providerType, paymentId, ... }
+ */
+function parseWebhook(rawBody, headers) {
+  const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+  if (!verifySignature(payload, headers['stripe-signature'], PAYMENT_WEBHOOK_SECRET, PAYMENT_WEBHOOK_TOLERANCE_SECONDS)) {
+    throw new PaymentError('Invalid webhook signature');
+  }
+  return normalizeEvent(JSON.parse(payload));
+}
+
+module.exports = {
+  name: 'stripe',
+  createPayment,
+  retrievePayment,
+  refundPayment,
+  parseWebhook
+};
@@ -0,0 +1,135 @@
+const { PRICING } = require('../config/pricing');
+const { normalizeSize, normalizeThickness } = require('./dimensions');
+const { getCatalog } = require('./catalog');
+
+// Raised when a configuration cannot be priced (unknown size, thickness, currency...)
+class PricingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PricingError';
+  }
+}
+
+/**
+ * Round an amount to two decimals
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundMoney = (amount) => Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+
+const getQuantityDiscount = (quantity) => {
+  return PRICING.quantityDiscounts
+    .filter(tier => quantity >= tier.minQuantity)
+    .reduce((best, tier) => (tier.percent > best ? tier.percent : best), 0);
+};
+
+// Find the catalog product, variant and edge option for a configuration
+const resolveCatalogEntry = (catalog, { mousepadType, mousepadSize, thickness, edge }) => {
+  const product = catalog.products.find(entry => entry.mousepadType === mousepadType);
+  if (!product) {
+    throw new PricingError(`Unsupported mousepad type: ${mousepadType}`);
+  }
+
+  const sizes = product.variants.filter(variant => variant.mousepadSize === mousepadSize);
+  if (sizes.length === 0) {
+    throw new PricingError(`Unsupported mousepad size for ${product.name}: ${mousepadSize}`);
+  }
+  const variant = sizes.find(entry => entry.thickness === thickness);
+  if (!variant) {
+    throw new PricingError(`${mousepadSize} ${product.name} is not available in ${thickness}`);
+  }
+
+  // No edge requested means the product's first (default) edge
+  let edgeOption = null;
+  if (product.edgeOptions.length > 0) {
+    edgeOption = edge ? product.edgeOptions.find(option => option.id === edge) : product.edgeOptions[0];
+    if (!edgeOption) {
+      throw new PricingError(`Unsupported edge option for ${product.name}: ${edge}`);
+    }
+  } else if (edge) {
+    throw new PricingError(`${product.name} has no edge options`);
+  }
+
+  return { product, variant, edgeOption };
+};
+
+/**
+ * Compute the server-side price for one mousepad configuration
+ * Only combinations in the product catalog (see utils/catalog) can be priced.
+ * @param {Object} spec - { mousepadType, mousepadSize, thickness, edge, currency, quantity }
+ * @returns {Promise<Object>} - Normalized spec plus variant details, unitPrice and lineTotal
+ */
+const quoteItem = async (spec) => {
+  const currency = spec.currency || 'USD';
+  // Own keys only, so names like 'constructor' aren't taken for a currency
+  if (!Object.prototype.hasOwnProperty.call(PRICING.currencies, currency)) {
+    throw new PricingError(`Unsupported currency: ${currency}`);
+  }
+
+  const quantity = Number(spec.quantity || 1);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new PricingError('Quantity must be a positive integer');
+  }
+
+  const mousepadType = String(spec.mousepadType || 'normal').toLowerCase();
+  const mousepadSize = normalizeSize(spec.mousepadSize);
+  if (!mousepadSize) {
+    throw new PricingError(`Unsupported mousepad size: ${spec.mousepadSize}`);
+  }
+  const thickness = normalizeThickness(spec.thickness);
+  if (!thickness) {
+    throw new PricingError(`Unsupported thickness: ${spec.thickness}`);
+  }
+
+  const catalog = await getCatalog();
+  const { variant, edgeOption } = resolveCatalogEntry(catalog, {
+    mousepadType,
+    mousepadSize,
+    thickness,
+    edge: spec.edge ? String(spec.edge).toLowerCase() : null
+  });
+
+  const basePrice = variant.prices[currency];
+  if (basePrice === undefined || basePrice === null) {
+    throw new PricingError(`${mousepadSize} ${thickness} is not sold in ${currency}`);
+  }
+  const edgeSurcharge = (edgeOption && edgeOption.surcharges && edgeOption.surcharges[currency]) || 0;
+
+  const listUnitPrice = basePrice + edgeSurcharge;
+  const discountPercent = getQuantityDiscount(quantity);
+  const unitPrice = roundMoney(listUnitPrice * (1 - discountPercent / 100));
+
+  return {
+    mousepadType,
+    mousepadSize,
+    thickness,
+    edge: edgeOption ? edgeOption.id : null,
+    sku: variant.sku || null,
+    weightGrams: variant.weightGrams,
+    currency,
+    quantity,
+    listUnitPrice: roundMoney(listUnitPrice),
+    discountPercent,
+    unitPrice,
+    lineTotal: roundMoney(unitPrice * quantity)
+  };
+};
+
+/**
+ * Check a client-supplied amount against the server amount
+ * @param {number} clientAmount
+ * @param {number} serverAmount
+ * @returns {boolean}
+ */
+const amountsMatch = (clientAmount, serverAmount) => {
+  return Math.abs(Number(clientAmount) - Number(serverAmount)) <= PRICING.tolerance;
+};
+
+module.exports = {
+  PricingError,
+  roundMoney,
+  normalizeSize,
+  normalizeThickness,
+  quoteItem,
+  amountsMatch
+};
@@ -0,0 +1,98 @@
+const { PRINT_REQUIREMENTS } = require('../config/print');
+const { normalizeSize } = require('./pricing');
+const { readImageHeader } = require('./imageProcessor');
+
+const MM_PER_INCH = 25.4;
+
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+// Relative difference between two aspect ratios
+const aspectDifference = (actual, expected) => Math.abs(actual - expected) / expected;
+
+/**
+ * Check artwork pixel dimensions against the physical mousepad size
+ * Artwork may be supplied at the trim size or with bleed on every side; whichever the
+ * aspect ratio matches best is used to compute the effective DPI.
+ * @param {Object|null} image - { width, height } in pixels, null if the header couldn't be read
+ * @param {string} mousepadSize - e.g. '400x900' (mm)
+ * @returns {Object} - { status, widthPx, heightPx, effectiveDpi, aspectRatio, expectedAspectRatio, bleedMm, issues, checkedAt }
+ */
+const checkPrintReadiness = (image, mousepadSize) => {
+  const { bleedMm, minDpi, recommendedDpi, aspectTolerance } = PRINT_REQUIREMENTS;
+  const size = normalizeSize(mousepadSize);
+  const result = { mousepadSize: size || mousepadSize, issues: [], checkedAt: new Date() };
+  const addIssue = (code, severity, message) => result.issues.push({ code, severity, message });
+
+  if (!size) {
+    addIssue('UNKNOWN_SIZE', 'error', `Mousepad size ${mousepadSize} can't be checked`);
+  } else if (!image) {
+    addIssue('IMAGE_NOT_CHECKED', 'warning', 'Artwork dimensions could not be read; it will be reviewed before printing');
+  } else {
+    // Compare short side to short side so portrait artwork isn't penalised
+    const [shortMm, longMm] = size.split('x').map(Number);
+    const [shortPx, longPx] = [image.width, image.height].sort((a, b) => a - b);
+
+    const imageAspect = longPx / shortPx;
+    const trimAspect = longMm / shortMm;
+    const bleedAspect = (longMm + 2 * bleedMm) / (shortMm + 2 * bleedMm);
+    const trimDiff = aspectDifference(imageAspect, trimAspect);
+    const bleedDiff = aspectDifference(imageAspect, bleedAspect);
+    const hasBleed = bleedDiff <= aspectTolerance.warn && bleedDiff <= trimDiff;
+
+    const targetShortMm = hasBleed ? shortMm + 2 * bleedMm : shortMm;
+    const targetLongMm = hasBleed ? longMm + 2 * bleedMm : longMm;
+    const effectiveDpi = Math.floor(Math.min(
+      shortPx / (targetShortMm / MM_PER_INCH),
+      longPx / (targetLongMm / MM_PER_INCH)
+    ));
+
+    Object.assign(result, {
+      widthPx: image.width,
+      heightPx: image.height,
+      effectiveDpi,
+      aspectRatio: round(imageAspect, 4),
+      expectedAspectRatio: round(bleedAspect, 4),
+      bleedMm: hasBleed ? bleedMm : 0
+    });
+
+    const aspectDiff = Math.min(trimDiff, bleedDiff);
+    if (aspectDiff > aspectTolerance.block) {
+      addIssue('ASPECT_RATIO_MISMATCH', 'error',
+        `Artwork proportions (${round(imageAspect, 2)}:1) don't match a ${size}mm pad (${round(trimAspect, 2)}:1)`);
+    } else if (aspectDiff > aspectTolerance.warn) {
+      addIssue('ASPECT_RATIO_MISMATCH', 'warning',
+        `Artwork proportions differ from a ${size}mm pad by ${Math.round(aspectDiff * 100)}%; edges will be cropped`);
+    } else if (!hasBleed) {
+      addIssue('NO_BLEED', 'warning',
+        `Artwork has no ${bleedMm}mm bleed; content at the edges may be trimmed`);
+    }
+
+    if (effectiveDpi < minDpi) {
+      addIssue('LOW_RESOLUTION', 'error',
+        `Artwork is ${effectiveDpi} DPI at ${size}mm; at least ${minDpi} DPI is required`);
+    } else if (effectiveDpi < recommendedDpi) {
+      addIssue('LOW_RESOLUTION', 'warning',
+        `Artwork is ${effectiveDpi} DPI at ${size}mm; ${recommendedDpi} DPI or more is recommended`);
+    }
+  }
+
+  const severities = result.issues.map(issue => issue.severity);
+  result.status = severities.includes('error') ? 'error' : severities.includes('warning') ? 'warning' : 'ok';
+  return result;
+};
+
+/**
+ * Read an image (data URL or stored URL) and check it against the mousepad size
+ * @param {string} image - finalImage value
+ * @param {string} mousepadSize
+ * @returns {Promise<Object>} - See checkPrintReadiness
+ */
+async function runPrintCheck(image, mousepadSize) {
+  const header = await readImageHeader(image);
+  return checkPrintReadiness(header, mousepadSize);
+}
+
+module.exports = {
+  checkPrintReadiness,
+  runPrintCheck
+};
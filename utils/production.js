@@ -0,0 +1,193 @@
+const archiver = require('archiver');
+const Order = require('../models/Order');
+const { readImage, detectImageType } = require('./imageProcessor');
+const { toCsvRow } = require('./csv');
+const { PRODUCTION_PACKAGE } = require('../config/print');
+
+// Raised when orders can't be packaged (unknown, unpaid, already shipped, batch too big...)
+class ProductionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ProductionError';
+    this.statusCode = statusCode;
+  }
+}
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp'
+};
+
+const JOB_SHEET_HEADERS = [
+  'Order number', 'Item #', 'Artwork file', 'Type', 'Size', 'Thickness', 'Edge', 'SKU', 'Quantity',
+  'Ship to', 'Street', 'City', 'State', 'ZIP code', 'Country', 'Phone', 'Shipping method', 'Customer notes'
+];
+
+const orderReference = (order) => order.orderNumber || String(order._id);
+
+/**
+ * Load the orders for a production package, in request order
+ * @param {Array<string>} orderIds
+ * @returns {Promise<Array<Object>>} - Lean orders (artwork included)
+ * @throws {ProductionError} - When an order is missing or not ready for production
+ */
+async function loadProductionOrders(orderIds) {
+  const ids = [...new Set(orderIds.map(String))];
+  if (ids.length === 0) {
+    throw new ProductionError('At least one order is required');
+  }
+  if (ids.length > PRODUCTION_PACKAGE.maxOrders) {
+    throw new ProductionError(`A package can hold at most ${PRODUCTION_PACKAGE.maxOrders} orders`);
+  }
+
+  const orders = await Order.find({ _id: { $in: ids } }).select('-items.originalImageUrl').lean();
+  const byId = new Map(orders.map(order => [String(order._id), order]));
+
+  const missing = ids.filter(id => !byId.has(id));
+  if (missing.length > 0) {
+    throw new ProductionError(`Orders not found: ${missing.join(', ')}`, 404);
+  }
+
+  const notReady = orders.filter(order => !PRODUCTION_PACKAGE.packageableStatuses.includes(order.status)
+    || order.paymentStatus !== 'completed');
+  if (notReady.length > 0) {
+    const list = notReady.map(order => `${orderReference(order)} (${order.status}, payment ${order.paymentStatus})`);
+    throw new ProductionError(`Only paid orders awaiting shipment can be packaged: ${list.join(', ')}`, 409);
+  }
+
+  return ids.map(id => byId.get(id));
+}
+
+/**
+ * Mark orders as in production, which stops customers cancelling them
+ * Orders packaged again (e.g. a reprint) keep their original start time.
+ * @param {Array<Object>} orders
+ * @param {string} changedBy
+ * @returns {Promise<number>} - Orders newly marked
+ */
+async function markInProduction(orders, changedBy) {
+  const result = await Order.updateMany(
+    {
+      _id: { $in: orders.map(order => order._id) },
+      status: { $in: PRODUCTION_PACKAGE.packageableStatuses },
+      productionStartedAt: { $exists: false }
+    },
+    { $set: { productionStartedAt: new Date(), productionStartedBy: changedBy } }
+  );
+  return result.modifiedCount;
+}
+
+const jobSheetRow = (order, item, index, artworkFile) => {
+  const customer = order.customerInfo || {};
+  const address = customer.address || {};
+  return toCsvRow([
+    orderReference(order),
+    index + 1,
+    artworkFile,
+    item.mousepadType,
+    item.mousepadSize,
+    item.thickness,
+    item.edge,
+    item.sku,
+    item.quantity,
+    [customer.firstName, customer.lastName].filter(Boolean).join(' '),
+    address.street,
+    address.city,
+    address.state,
+    address.zipCode,
+    address.country,
+    customer.phone,
+    order.shippingMethod && order.shippingMethod.label,
+    customer.additionalNotes
+  ]);
+};
+
+/**
+ * Stream a production package: artwork/<order>-<item>.<ext> for every line item and a
+ * job-sheet.csv with the specs and shipping label data
+ * Artwork is read one file at a time. Artwork that can't be read is listed as MISSING on the
+ * job sheet rather than aborting a download that has already started.
+ * @param {Array<Object>} orders - From loadProductionOrders
+ * @param {Object} output - Writable stream (e.g. the response)
+ * @returns {Promise<Object>} - { files, missing: [{ order, item, error }], aborted } - aborted unless
+ *   the whole archive was written to the output
+ */
+async function writeProductionPackage(orders, output) {
+  const archive = archiver('zip', { zlib: { level: 1 } }); // Artwork is already compressed
+  let closed = false;
+  let finished = false;
+  const done = new Promise((resolve, reject) => {
+    output.on('close', () => {
+      closed = true;
+      resolve();
+    });
+    output.on('finish', () => {
+      finished = true;
+      resolve();
+    });
+    archive.on('error', reject);
+  });
+  archive.pipe(output);
+
+  // Wait for each file to be written out before reading the next, so a slow download
+  // doesn't pile every artwork up in memory
+  const appendAndWait = (source, name) => {
+    const written = new Promise(resolve => archive.once('entry', resolve));
+    archive.append(source, { name });
+    return Promise.race([written, done]);
+  };
+
+  let jobSheet = toCsvRow(JOB_SHEET_HEADERS);
+  const missing = [];
+  let files = 0;
+
+  // The client went away: stop the archive so nothing is left waiting on it
+  const abort = () => {
+    archive.abort();
+    return { files, missing, aborted: true };
+  };
+
+  for (const order of orders) {
+    for (const [index, item] of order.items.entries()) {
+      if (closed) return abort();
+
+      let buffer = null;
+      try {
+        buffer = await readImage(item.finalImage);
+      } catch (error) {
+        missing.push({ order: orderReference(order), item: index + 1, error: error.message });
+      }
+
+      let artworkFile = 'MISSING';
+      if (buffer) {
+        artworkFile = `artwork/${orderReference(order)}-${index + 1}.${EXTENSIONS[detectImageType(buffer)] || 'bin'}`;
+        await appendAndWait(buffer, artworkFile);
+        files++;
+      }
+      jobSheet += jobSheetRow(order, item, index, artworkFile);
+    }
+  }
+
+  archive.append(jobSheet, { name: 'job-sheet.csv' });
+  if (missing.length > 0) {
+    const lines = missing.map(entry => `${entry.order} item ${entry.item}: ${entry.error}`);
+    archive.append(`${lines.join('\n')}\n`, { name: 'MISSING-ARTWORK.txt' });
+  }
+
+  // An archive that can't drain into a closed output never finalizes, so stop waiting when it closes
+  await Promise.race([archive.finalize(), done]);
+  // A response also emits 'close' after 'finish', so only a close before it means the download broke off
+  if (!finished) {
+    await done;
+    if (!finished) return abort();
+  }
+  return { files, missing, aborted: false };
+}
+
+module.exports = {
+  ProductionError,
+  loadProductionOrders,
+  markInProduction,
+  writeProductionPackage
+};
@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const CouponRedemption = require('../models/CouponRedemption');
+const { roundMoney } = require('./pricing');
+const { releaseCoupon } = require('./coupons');
+const { getPaymentProvider, toMinorUnits } = require('./payments');
+const { transitionOrder, OrderStatusError } = require('./orderStatus');
+const { notifyOrder } = require('./notifications');
+const { CANCELLATION_WINDOW_HOURS, CUSTOMER_CANCELLABLE_STATUSES } = require('../config/orders');
+
+// Raised when a refund can't be issued (unpaid order, nothing left to refund, provider error...)
+class RefundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RefundError';
+  }
+}
+
+// Refunds that count against what's left: pending and succeeded
+const activeRefunds = (order) => order.refunds.filter(refund => refund.status !== 'failed');
+
+/**
+ * Quantities of each order item already refunded
+ * @param {Object} order
+ * @returns {Array<number>} - Indexed like order.items
+ */
+const getRefundedQuantities = (order) => {
+  const refunded = order.items.map(() => 0);
+  activeRefunds(order).forEach(refund => {
+    refund.items.forEach(({ itemIndex, quantity }) => {
+      refunded[itemIndex] += quantity;
+    });
+  });
+  return refunded;
+};
+
+/**
+ * Work out what a refund of some line items (and optionally shipping) comes to
+ * Each line gets its share of the order discount and the tax charged on it.
+ * @param {Object} order - Order document
+ * @param {Object} params
+ * @param {Array<Object>} [params.items] - [{ itemIndex, quantity }]; empty or missing means everything not yet refunded
+ * @param {boolean} [params.includeShipping] - Also refund shipping (and the tax on it)
+ * @returns {Object} - { items: [{ itemIndex, quantity, amount }], shipping, amount }
+ */
+function calculateRefund(order, { items, includeShipping = false } = {}) {
+  const refunded = getRefundedQuantities(order);
+  const remaining = order.items.map((item, index) => item.quantity - refunded[index]);
+
+  const requested = items && items.length > 0
+    ? items
+    : remaining.map((quantity, itemIndex) => ({ itemIndex, quantity })).filter(item => item.quantity > 0);
+
+  // Stored as a percentage, like calculateTax charges it
+  const taxRate = ((order.taxDetails && order.taxDetails.rate) || 0) / 100;
+  const goodsNet = order.subtotal - (order.discount || 0);
+  const discountFactor = order.subtotal > 0 ? goodsNet / order.subtotal : 0;
+
+  const left = [...remaining];
+  const lines = requested.map(({ itemIndex, quantity }) => {
+    if (!Number.isInteger(itemIndex) || itemIndex < 0 || itemIndex >= order.items.length) {
+      throw new RefundError(`Order has no item ${itemIndex}`);
+    }
+    if (quantity > left[itemIndex]) {
+      throw new RefundError(`Only ${left[itemIndex]} of item ${itemIndex} left to refund`);
+    }
+    left[itemIndex] -= quantity;
+
+    const net = order.items[itemIndex].price * quantity * discountFactor;
+    return { itemIndex, quantity, amount: roundMoney(net * (1 + taxRate)) };
+  });
+
+  const shippingRefunded = activeRefunds(order).some(refund => refund.shipping > 0);
+  let shipping = 0;
+  if (includeShipping && !shippingRefunded && order.shipping > 0) {
+    // Whatever tax wasn't charged on the goods was charged on shipping
+    const shippingTax = Math.max(0, order.tax - roundMoney(goodsNet * taxRate));
+    shipping = roundMoney(order.shipping + shippingTax);
+  }
+
+  const refundable = roundMoney(order.total - order.refundedAmount);
+  let amount = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0) + shipping);
+
+  // Refunding everything that's left - absorb rounding differences
+  const everythingLeft = left.every(quantity => quantity === 0) && (shipping > 0 || shippingRefunded || order.shipping === 0);
+  if (everythingLeft || amount > refundable) {
+    amount = refundable;
+  }
+  if (amount <= 0) {
+    throw new RefundError('Nothing left to refund on this order');
+  }
+
+  return { items: lines, shipping, amount };
+}
+
+/**
+ * Refund (part of) a paid order through the payment provider and record it in the ledger
+ * The order is only marked refunded when the provider's webhook confirms it.
+ * @param {Object} order - Order document
+ * @param {Object} params - { items, includeShipping, reason }
+ * @param {Object} options - { changedBy }
+ * @returns {Promise<Object>} - { order, refund }
+ */
+async function issueRefund(order, { items, includeShipping, reason }, { changedBy }) {
+  if (order.paymentStatus !== 'completed') {
+    throw new RefundError('Only paid orders can be refunded');
+  }
+
+  const payment = await Payment.findOne({
+    orderId: order._id,
+    status: { $in: ['succeeded', 'partiallyRefunded'] }
+  }).sort({ createdAt: -1 });
+  if (!payment) {
+    throw new RefundError('No captured payment found for this order');
+  }
+
+  const calculation = calculateRefund(order, { items, includeShipping });
+  const refund = {
+    _id: new mongoose.Types.ObjectId(),
+    ...calculation,
+    currency: order.currency,
+    reason,
+    status: 'pending',
+    provider: payment.provider,
+    createdBy: changedBy
+  };
+
+  // Only if no other refund was recorded since the order was loaded, so nothing is refunded twice
+  const recorded = await Order.findOneAndUpdate(
+    { _id: order._id, paymentStatus: 'completed', refundedAmount: order.refundedAmount },
+    { $push: { refunds: refund }, $inc: { refundedAmount: refund.amount } },
+    { new: true }
+  );
+  if (!recorded) {
+    throw new RefundError('Order was changed by someone else, please reload and try again');
+  }
+
+  let result;
+  try {
+    result = await getPaymentProvider().refundPayment({
+      paymentId: payment.providerPaymentId,
+      amount: toMinorUnits(refund.amount),
+      metadata: { orderId: String(order._id), refundId: String(refund._id) },
+      idempotencyKey: `refund-${refund._id}`
+    });
+  } catch (error) {
+    result = { status: 'failed', failureMessage: error.message };
+  }
+
+  const set = { 'refunds.$.status': result.status };
+  if (result.id) set['refunds.$.providerRefundId'] = result.id;
+  if (result.failureMessage) set['refunds.$.failureMessage'] = result.failureMessage;
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, 'refunds._id': refund._id },
+    { $set: set, $inc: { refundedAmount: result.status === 'failed' ? -refund.amount : 0 } },
+    { new: true }
+  );
+
+  if (result.status === 'failed') {
+    throw new RefundError(`Refund could not be issued: ${result.failureMessage || 'declined by the payment provider'}`);
+  }
+
+  const saved = updated.refunds.id(refund._id);
+  await notifyOrder('refunded', updated, {
+    refund: { _id: String(saved._id), amount: saved.amount, reason: saved.reason, items: saved.items, shipping: saved.shipping }
+  });
+
+  return { order: updated, refund: saved };
+}
+
+/**
+ * Check a customer may still cancel their order
+ * @param {Object} order
+ * @throws {OrderStatusError}
+ */
+const assertCustomerCancellable = (order) => {
+  if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+    throw new OrderStatusError(`Order can no longer be cancelled (${order.status})`);
+  }
+  if (order.productionStartedAt) {
+    throw new OrderStatusError('Order can no longer be cancelled: production has started');
+  }
+  const deadline = new Date(order.createdAt.getTime() + CANCELLATION_WINDOW_HOURS * 60 * 60 * 1000);
+  if (new Date() > deadline) {
+    throw new OrderStatusError(`Orders can only be cancelled within ${CANCELLATION_WINDOW_HOURS} hours of being placed`);
+  }
+};
+
+/**
+ * Cancel an order: give back its coupon use, return unpaid items to the cart and refund whatever was paid
+ * A failed refund doesn't undo the cancellation; it stays in the ledger for staff to retry.
+ * @param {Object} order - Order document
+ * @param {Object} options
+ * @param {string} options.changedBy
+ * @param {string} [options.reason]
+ * @param {boolean} [options.byCustomer] - Enforce the customer cancellation window
+ * @param {boolean} [options.refund] - Refund a paid order (default: true)
+ * @returns {Promise<Object>} - { order, refund, refundError }
+ */
+async function cancelOrder(order, { changedBy, reason, byCustomer = false, refund = true }) {
+  if (byCustomer) {
+    assertCustomerCancellable(order);
+  }
+
+  let cancelled = await transitionOrder(order, 'cancelled', {
+    changedBy,
+    reason: reason || (byCustomer ? 'Cancelled by customer' : 'Cancelled')
+  });
+
+  if (order.coupon && order.coupon.redemptionId) {
+    const redemption = await CouponRedemption.findById(order.coupon.redemptionId);
+    if (redemption) await releaseCoupon(redemption);
+  }
+
+  const result = { order: cancelled, refund: null, refundError: null };
+  if (refund && cancelled.paymentStatus === 'completed' && cancelled.refundedAmount < cancelled.total) {
+    try {
+      const refunded = await issueRefund(cancelled, {
+        includeShipping: true,
+        reason: reason || 'Order cancelled'
+      }, { changedBy });
+      result.order = refunded.order;
+      result.refund = refunded.refund;
+    } catch (error) {
+      if (!(error instanceof RefundError)) throw error;
+      result.refundError = error.message;
+      cancelled = await Order.findById(order._id);
+      result.order = cancelled;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  RefundError,
+  getRefundedQuantities,
+  calculateRefund,
+  issueRefund,
+  assertCustomerCancellable,
+  cancelOrder
+};
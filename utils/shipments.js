@@ -0,0 +1,173 @@
+const Order = require('../models/Order');
+const { CARRIERS } = require('../config/shipping');
+const { transitionOrder } = require('./orderStatus');
+const { notifyOrder, buildShipmentSnapshot } = require('./notifications');
+
+// Raised when a shipment can't be recorded (unpaid order, unknown item, over-shipping...)
+class ShipmentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShipmentError';
+  }
+}
+
+// Orders in these statuses can have parcels added
+const SHIPPABLE_STATUSES = ['processing', 'shipped'];
+
+/**
+ * Build the tracking page URL for a carrier
+ * @param {string} carrier - Key of CARRIERS
+ * @param {string} trackingNumber
+ * @returns {string|null}
+ */
+const buildTrackingUrl = (carrier, trackingNumber) => {
+  const template = CARRIERS[carrier] && CARRIERS[carrier].trackingUrl;
+  return template ? template.replace('{trackingNumber}', encodeURIComponent(trackingNumber)) : null;
+};
+
+/**
+ * Quantities of each order item not in any shipment yet
+ * @param {Object} order
+ * @returns {Array<number>} - Indexed like order.items
+ */
+const getUnshippedQuantities = (order) => {
+  const remaining = order.items.map(item => item.quantity);
+  order.shipments.forEach(shipment => {
+    shipment.items.forEach(({ itemIndex, quantity }) => {
+      remaining[itemIndex] -= quantity;
+    });
+  });
+  return remaining.map(quantity => Math.max(0, quantity));
+};
+
+// Check requested shipment items against what's left to ship; no items means everything left
+const resolveShipmentItems = (order, items) => {
+  const remaining = getUnshippedQuantities(order);
+
+  if (!items || items.length === 0) {
+    const all = remaining
+      .map((quantity, itemIndex) => ({ itemIndex, quantity }))
+      .filter(item => item.quantity > 0);
+    if (all.length === 0) {
+      throw new ShipmentError('All items in this order have already been shipped');
+    }
+    return all;
+  }
+
+  return items.map(({ itemIndex, quantity }) => {
+    if (!Number.isInteger(itemIndex) || itemIndex < 0 || itemIndex >= order.items.length) {
+      throw new ShipmentError(`Order has no item ${itemIndex}`);
+    }
+    if (quantity > remaining[itemIndex]) {
+      throw new ShipmentError(`Only ${remaining[itemIndex]} of item ${itemIndex} left to ship`);
+    }
+    remaining[itemIndex] -= quantity;
+    return { itemIndex, quantity };
+  });
+};
+
+/**
+ * Record a parcel for an order; the order moves to shipped once every item is in a parcel
+ * @param {Object} order - Order document
+ * @param {Object} params - { carrier, trackingNumber, trackingUrl, items: [{ itemIndex, quantity }], shippedAt, notes }
+ * @param {Object} options - { changedBy }
+ * @returns {Promise<Object>} - Updated order
+ */
+async function addShipment(order, params, { changedBy }) {
+  if (order.paymentStatus !== 'completed') {
+    throw new ShipmentError('Order cannot be shipped before payment is completed');
+  }
+  if (!SHIPPABLE_STATUSES.includes(order.status)) {
+    throw new ShipmentError(`Order cannot be shipped while ${order.status}`);
+  }
+
+  const shipment = {
+    carrier: params.carrier,
+    trackingNumber: params.trackingNumber,
+    trackingUrl: params.trackingUrl || buildTrackingUrl(params.carrier, params.trackingNumber),
+    items: resolveShipmentItems(order, params.items),
+    shippedAt: params.shippedAt || new Date(),
+    createdBy: changedBy,
+    notes: params.notes
+  };
+
+  // Only if no other parcel was added since the order was loaded, so quantities stay right
+  let updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: { $in: SHIPPABLE_STATUSES }, shipments: { $size: order.shipments.length } },
+    { $push: { shipments: shipment } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ShipmentError('Order was changed by someone else, please reload and try again');
+  }
+
+  const created = updated.shipments[updated.shipments.length - 1];
+  const fullyShipped = getUnshippedQuantities(updated).every(quantity => quantity === 0);
+
+  if (fullyShipped && updated.status === 'processing') {
+    // The transition sends the shipped email for this parcel
+    updated = await transitionOrder(updated, 'shipped', {
+      changedBy,
+      reason: `Shipped with ${created.carrier} ${created.trackingNumber}`
+    });
+  } else {
+    await notifyOrder('shipped', updated, { shipment: buildShipmentSnapshot(created) });
+  }
+
+  return updated;
+}
+
+/**
+ * Correct a parcel's tracking details or mark it delivered
+ * The order moves to delivered once every parcel has been delivered.
+ * @param {Object} order - Order document
+ * @param {string} shipmentId
+ * @param {Object} changes - { carrier, trackingNumber, trackingUrl, deliveredAt, notes }
+ * @param {Object} options - { changedBy }
+ * @returns {Promise<Object>} - Updated order
+ */
+async function updateShipment(order, shipmentId, changes, { changedBy }) {
+  const shipment = order.shipments.id(shipmentId);
+  if (!shipment) {
+    throw new ShipmentError('Shipment not found');
+  }
+
+  const set = {};
+  ['carrier', 'trackingNumber', 'trackingUrl', 'deliveredAt', 'notes'].forEach(field => {
+    if (changes[field] !== undefined) set[`shipments.$.${field}`] = changes[field];
+  });
+  // Keep the tracking link in step with corrected tracking details
+  if ((changes.carrier || changes.trackingNumber) && changes.trackingUrl === undefined) {
+    set['shipments.$.trackingUrl'] = buildTrackingUrl(
+      changes.carrier || shipment.carrier,
+      changes.trackingNumber || shipment.trackingNumber
+    );
+  }
+
+  let updated = await Order.findOneAndUpdate(
+    { _id: order._id, 'shipments._id': shipment._id },
+    { $set: set },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ShipmentError('Shipment not found');
+  }
+
+  const allDelivered = updated.shipments.every(parcel => parcel.deliveredAt);
+  if (allDelivered && updated.status === 'shipped') {
+    updated = await transitionOrder(updated, 'delivered', {
+      changedBy,
+      reason: 'All shipments delivered'
+    });
+  }
+
+  return updated;
+}
+
+module.exports = {
+  ShipmentError,
+  buildTrackingUrl,
+  getUnshippedQuantities,
+  addShipment,
+  updateShipment
+};
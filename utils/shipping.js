@@ -0,0 +1,84 @@
+const { SHIPPING_ZONES, PARCEL_WEIGHT, COUNTRY_ALIASES } = require('../config/shipping');
+const { roundMoney } = require('./pricing');
+const { estimatePadWeight } = require('./dimensions');
+
+/**
+ * Normalize a country name or code to an ISO 3166-1 alpha-2 code
+ * @param {string} country - e.g. 'United States', 'usa', 'SG'
+ * @returns {string} - Upper-case code ('US' when missing)
+ */
+const normalizeCountry = (country) => {
+  if (!country) return 'US';
+  const key = String(country).trim().toLowerCase();
+  return COUNTRY_ALIASES[key] || String(country).trim().toUpperCase();
+};
+
+/**
+ * Estimate the parcel weight for a set of items
+ * @param {Array<Object>} items - Items with quantity and weightGrams (catalog weight), or
+ *   mousepadSize, thickness and mousepadType to estimate it from
+ * @returns {number} - Weight in grams
+ */
+const estimateParcelWeight = (items) => {
+  const itemsWeight = items.reduce((sum, item) => {
+    const grams = item.weightGrams !== undefined && item.weightGrams !== null
+      ? item.weightGrams
+      : estimatePadWeight(item);
+    return sum + grams * (item.quantity || 1);
+  }, 0);
+
+  return Math.round(itemsWeight + PARCEL_WEIGHT.packagingGrams);
+};
+
+const findZone = (countryCode) => {
+  return SHIPPING_ZONES.find(zone => zone.countries.includes(countryCode))
+    || SHIPPING_ZONES.find(zone => zone.countries.includes('*'));
+};
+
+const rateAmount = (option, currency, weightGrams) => {
+  if (option.type === 'flat') {
+    return option.amount[currency];
+  }
+  if (option.type === 'weight') {
+    if (option.base[currency] === undefined || option.perKg[currency] === undefined) return undefined;
+    return option.base[currency] + option.perKg[currency] * Math.ceil(weightGrams / 1000);
+  }
+  return undefined;
+};
+
+/**
+ * List the shipping options available for items going to an address
+ * @param {Array<Object>} items - Priced items (see utils/pricing.quoteItem)
+ * @param {Object} address - customerInfo.address
+ * @param {string} currency - Currency of the amounts
+ * @returns {Object} - { zone, country, weightGrams, options: [{ id, label, amount, estimatedDays }] }
+ */
+const getShippingOptions = (items, address, currency) => {
+  const country = normalizeCountry(address && address.country);
+  const zone = findZone(country);
+  const weightGrams = estimateParcelWeight(items);
+
+  const options = (zone ? zone.options : [])
+    .map(option => ({
+      id: option.id,
+      label: option.label,
+      estimatedDays: option.estimatedDays,
+      amount: rateAmount(option, currency, weightGrams)
+    }))
+    .filter(option => option.amount !== undefined)
+    .map(option => ({ ...option, amount: roundMoney(option.amount) }))
+    .sort((a, b) => a.amount - b.amount);
+
+  return {
+    zone: zone ? zone.id : null,
+    country,
+    weightGrams,
+    options
+  };
+};
+
+module.exports = {
+  normalizeCountry,
+  estimateParcelWeight,
+  getShippingOptions
+};
@@ -0,0 +1,153 @@
+const cloudinary = require('cloudinary').v2;
+
+// Configure Cloudinary (lazy initialization for serverless)
+let cloudinaryConfigured = false;
+
+const configureCloudinary = () => {
+  if (!cloudinaryConfigured) {
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET
+    });
+    cloudinaryConfigured = true;
+  }
+};
+
+/**
+ * Upload a file buffer to Cloudinary
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { folder, contentType }
+ * @returns {Promise<Object>} - { url, publicId, bytes, format, width, height }
+ */
+function upload(buffer, { folder }) {
+  configureCloudinary();
+
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      { folder, resource_type: 'image' },
+      (error, result) => {
+        if (error) return reject(error);
+        resolve({
+          url: result.secure_url,
+          publicId: result.public_id,
+          bytes: result.bytes,
+          format: result.format,
+          width: result.width,
+          height: result.height
+        });
+      }
+    );
+    stream.end(buffer);
+  });
+}
+
+/**
+ * Delete an asset from Cloudinary
+ * @param {string} publicId
+ * @returns {Promise<boolean>} - Success status
+ */
+async function remove(publicId) {
+  configureCloudinary();
+  const result = await cloudinary.uploader.destroy(publicId);
+  return result.result === 'ok' || result.result === 'not found';
+}
+
+/**
+ * Extract the public ID from a Cloudinary delivery URL
+ * e.g. https://res.cloudinary.com/cloud/image/upload/v123/folder/file.jpg -> folder/file
+ * Only URLs on our own cloud count - callers treat these as trusted and fetch them server-side.
+ * @param {string} url
+ * @returns {string|null} - Public ID, or null if the URL isn't one of our Cloudinary upload URLs
+ */
+function getPublicIdFromUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const urlParts = parsed.pathname.split('/').slice(1);
+  if (parsed.protocol !== 'https:' || parsed.hostname !== 'res.cloudinary.com' || parsed.port ||
+      parsed.username || parsed.password ||
+      !process.env.CLOUDINARY_CLOUD_NAME || urlParts[0] !== process.env.CLOUDINARY_CLOUD_NAME) {
+    return null;
+  }
+
+  const uploadIndex = urlParts.findIndex(part => part === 'upload');
+  if (uploadIndex === -1) return null;
+
+  // Skip the version segment (v123) if present
+  let pathAfterUpload = urlParts.slice(uploadIndex + 1);
+  if (/^v\d+$/.test(pathAfterUpload[0])) {
+    pathAfterUpload = pathAfterUpload.slice(1);
+  }
+  if (pathAfterUpload.length === 0) return null;
+
+  const lastPart = pathAfterUpload[pathAfterUpload.length - 1];
+  const fileName = lastPart.replace(/\.[^.]+$/, '');
+  return [...pathAfterUpload.slice(0, -1), fileName].join('/');
+}
+
+/**
+ * List stored assets under a folder
+ * @param {Object} options - { prefix }
+ * @returns {AsyncGenerator<Object>} - { publicId, url, bytes, createdAt }
+ */
+async function* list({ prefix }) {
+  configureCloudinary();
+
+  let nextCursor;
+  do {
+    const page = await cloudinary.api.resources({
+      type: 'upload',
+      resource_type: 'image',
+      prefix,
+      max_results: 500,
+      next_cursor: nextCursor
+    });
+    for (const resource of page.resources) {
+      yield {
+        publicId: resource.public_id,
+        url: resource.secure_url,
+        bytes: resource.bytes,
+        createdAt: new Date(resource.created_at)
+      };
+    }
+    nextCursor = page.next_cursor;
+  } while (nextCursor);
+}
+
+/**
+ * Sign parameters for a direct browser upload to Cloudinary
+ * @param {Object} options - { folder }
+ * @returns {Object} - Fields the browser posts along with the file
+ */
+function signUpload({ folder }) {
+  configureCloudinary();
+
+  const timestamp = Math.round(Date.now() / 1000);
+  const params = { folder, timestamp };
+  const signature = cloudinary.utils.api_sign_request(params, process.env.CLOUDINARY_API_SECRET);
+
+  return {
+    uploadUrl: `https://api.cloudinary.com/v1_1/${process.env.CLOUDINARY_CLOUD_NAME}/image/upload`,
+    fields: {
+      ...params,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      signature
+    }
+  };
+}
+
+module.exports = {
+  name: 'cloudinary',
+  upload,
+  remove,
+  getPublicIdFromUrl,
+  list,
+  signUpload
+};
@@ -0,0 +1,33 @@
+const { STORAGE_DRIVER } = require('../../config/storage');
+
+// Storage adapters share one interface:
+// - upload(buffer, { folder, contentType }) -> { url, publicId, bytes, format }
+// - remove(publicId) -> boolean
+// - getPublicIdFromUrl(url) -> publicId or null when the URL isn't ours
+// - list({ prefix }) -> async iterable of { publicId, url, bytes, createdAt }
+// - signUpload({ folder }) -> direct upload fields, or null when unsupported
+const adapters = {
+  cloudinary: () => require('./cloudinary'),
+  local: () => require('./local')
+};
+
+let storage = null;
+
+/**
+ * Get the configured storage adapter
+ * @returns {Object}
+ */
+const getStorage = () => {
+  if (!storage) {
+    const load = adapters[STORAGE_DRIVER];
+    if (!load) {
+      throw new Error(`Unknown STORAGE_DRIVER: ${STORAGE_DRIVER}`);
+    }
+    storage = load();
+  }
+  return storage;
+};
+
+module.exports = {
+  getStorage
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { LOCAL_STORAGE_DIR, LOCAL_STORAGE_BASE_URL } = require('../../config/storage');
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp'
+};
+
+// Resolve a public ID to a path inside the storage directory (never outside it)
+const resolvePath = (publicId) => {
+  const filePath = path.resolve(LOCAL_STORAGE_DIR, publicId);
+  if (!filePath.startsWith(LOCAL_STORAGE_DIR + path.sep)) {
+    throw new Error(`Invalid public ID: ${publicId}`);
+  }
+  return filePath;
+};
+
+/**
+ * Write a file buffer to the local storage directory
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { folder, contentType }
+ * @returns {Promise<Object>} - { url, publicId, bytes, format }
+ */
+async function upload(buffer, { folder, contentType }) {
+  const format = EXTENSIONS[contentType] || 'bin';
+  const publicId = `${folder}/${crypto.randomBytes(16).toString('hex')}.${format}`;
+  const filePath = resolvePath(publicId);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+
+  return {
+    url: `${LOCAL_STORAGE_BASE_URL}/${publicId}`,
+    publicId,
+    bytes: buffer.length,
+    format
+  };
+}
+
+/**
+ * Delete a file from the local storage directory
+ * @param {string} publicId
+ * @returns {Promise<boolean>} - Success status
+ */
+async function remove(publicId) {
+  try {
+    await fs.promises.unlink(resolvePath(publicId));
+    return true;
+  } catch (error) {
+    return error.code === 'ENOENT';
+  }
+}
+
+/**
+ * Extract the public ID from a local storage URL
+ * @param {string} url
+ * @returns {string|null}
+ */
+function getPublicIdFromUrl(url) {
+  if (!url || !url.startsWith(`${LOCAL_STORAGE_BASE_URL}/`)) return null;
+  return url.slice(LOCAL_STORAGE_BASE_URL.length + 1).split('?')[0];
+}
+
+/**
+ * List stored files under a folder
+ * @param {Object} options - { prefix }
+ * @returns {AsyncGenerator<Object>} - { publicId, url, bytes, createdAt }
+ */
+async function* list({ prefix }) {
+  const walk = async function* (dir) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        yield* walk(entryPath);
+      } else if (entry.isFile()) {
+        const stats = await fs.promises.stat(entryPath);
+        const publicId = path.relative(LOCAL_STORAGE_DIR, entryPath).split(path.sep).join('/');
+        yield {
+          publicId,
+          url: `${LOCAL_STORAGE_BASE_URL}/${publicId}`,
+          bytes: stats.size,
+          createdAt: stats.mtime
+        };
+      }
+    }
+  };
+
+  yield* walk(resolvePath(prefix));
+}
+
+module.exports = {
+  name: 'local',
+  upload,
+  remove,
+  getPublicIdFromUrl,
+  list,
+  // Direct uploads aren't supported locally - use POST /api/upload
+  signUpload: null
+};
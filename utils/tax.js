@@ -0,0 +1,66 @@
+const { TAX_RULES } = require('../config/tax');
+const { roundMoney } = require('./pricing');
+const { normalizeCountry } = require('./shipping');
+
+// Raised when an address can't be taxed (e.g. a US state that isn't in TAX_RULES)
+class TaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TaxError';
+  }
+}
+
+/**
+ * Resolve a US state name or code to its tax entry
+ * @param {Object} states - TAX_RULES.US.states
+ * @param {string} state - e.g. 'CA' or 'California'
+ * @returns {Object|null} - { code, name, rate }
+ */
+const findState = (states, state) => {
+  if (!state) return null;
+  const value = String(state).trim();
+  const code = value.toUpperCase();
+  if (states[code]) return { code, ...states[code] };
+
+  const match = Object.keys(states).find(key => states[key].name.toLowerCase() === value.toLowerCase());
+  return match ? { code: match, ...states[match] } : null;
+};
+
+/**
+ * Calculate tax for an order
+ * @param {Object} params - { subtotal, shipping, address }
+ * @returns {Object} - { amount, rate, label, jurisdiction }
+ * @throws {TaxError} - When the country taxes by state and the state is missing or unknown
+ */
+const calculateTax = ({ subtotal, shipping = 0, address }) => {
+  const country = normalizeCountry(address && address.country);
+  const rules = TAX_RULES[country];
+  const none = { amount: 0, rate: 0, label: null, jurisdiction: country };
+
+  if (!rules) return none;
+
+  let rate = rules.rate;
+  let jurisdiction = country;
+  if (rules.states) {
+    const state = findState(rules.states, address && address.state);
+    if (!state) {
+      throw new TaxError(`Unknown state for ${country} address: ${(address && address.state) || '(missing)'}`);
+    }
+    rate = state.rate;
+    jurisdiction = `${country}-${state.code}`;
+  }
+
+  const taxable = subtotal + (rules.taxShipping ? shipping : 0);
+
+  return {
+    amount: roundMoney(taxable * rate / 100),
+    rate,
+    label: rules.label,
+    jurisdiction
+  };
+};
+
+module.exports = {
+  TaxError,
+  calculateTax
+};
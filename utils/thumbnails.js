@@ -0,0 +1,72 @@
+const sharp = require('sharp');
+const { readImage, uploadImage, ImageError } = require('./imageProcessor');
+const { THUMBNAIL } = require('../config/storage');
+
+/**
+ * Resize an image to a WebP thumbnail that fits in THUMBNAIL.size x THUMBNAIL.size
+ * @param {Buffer} buffer - Original image
+ * @returns {Promise<Buffer>}
+ */
+async function createThumbnail(buffer) {
+  try {
+    return await sharp(buffer)
+      .rotate() // Apply EXIF orientation before it's stripped
+      .resize({ width: THUMBNAIL.size, height: THUMBNAIL.size, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: THUMBNAIL.quality })
+      .toBuffer();
+  } catch (error) {
+    throw new ImageError(`Thumbnail could not be created: ${error.message}`);
+  }
+}
+
+/**
+ * Create and store a thumbnail for a piece of artwork
+ * @param {string} imageUrl - Data URL or URL in our storage
+ * @returns {Promise<Object>} - { thumbnailUrl, thumbnailPublicId }
+ */
+async function generateThumbnail(imageUrl) {
+  const thumbnail = await createThumbnail(await readImage(imageUrl));
+  const stored = await uploadImage(thumbnail, { folder: THUMBNAIL.folder });
+  return { thumbnailUrl: stored.url, thumbnailPublicId: stored.publicId };
+}
+
+/**
+ * Like generateThumbnail, but never throws - a missing thumbnail is created on first view instead
+ * @param {string} imageUrl
+ * @returns {Promise<Object>} - { thumbnailUrl, thumbnailPublicId }, both null on failure
+ */
+async function tryGenerateThumbnail(imageUrl) {
+  try {
+    return await generateThumbnail(imageUrl);
+  } catch (error) {
+    console.warn(`Could not create thumbnail: ${error.message}`);
+    return { thumbnailUrl: null, thumbnailPublicId: null };
+  }
+}
+
+/**
+ * Get the stored thumbnail of a document's artwork, creating and saving it the first time
+ * The save is conditional on the artwork being unchanged, so a thumbnail never outlives its image.
+ * @param {Object} Model - CartItem or Order
+ * @param {Object} doc - Document holding the artwork
+ * @param {string} [path] - Prefix of the image fields, e.g. 'items.2.' for an order item
+ * @returns {Promise<string>} - Thumbnail URL
+ */
+async function ensureThumbnail(Model, doc, path = '') {
+  const source = path ? path.split('.').filter(Boolean).reduce((value, key) => value[key], doc) : doc;
+  if (source.thumbnailUrl) return source.thumbnailUrl;
+
+  const { thumbnailUrl, thumbnailPublicId } = await generateThumbnail(source.finalImage);
+  await Model.updateOne(
+    { _id: doc._id, [`${path}finalImage`]: source.finalImage },
+    { $set: { [`${path}thumbnailUrl`]: thumbnailUrl, [`${path}thumbnailPublicId`]: thumbnailPublicId } }
+  );
+  return thumbnailUrl;
+}
+
+module.exports = {
+  createThumbnail,
+  generateThumbnail,
+  tryGenerateThumbnail,
+  ensureThumbnail
+};